@@ -0,0 +1,1066 @@
+#!/usr/bin/env node
+// Stateful fake of the AbletonOSC remote script for offline testing.
+// It models a small Live set (song, tracks, return tracks, master, clip slots, clips,
+// notes, scenes, devices, arrangement clips, cue points) and answers /live/... addresses
+// the way AbletonOSC does: getters reply on the same address with the object indices
+// echoed before the value, setters and actions are silent, and failures are reported
+// on /live/error.
+//
+// Run standalone to stand in for Live: node ./ableton-simulator.mjs
+// Or import { AbletonSimulator } and start() it in-process (used by MCP_TEST_MODE).
+import OSC from "osc-js";
+import { fileURLToPath } from "url";
+
+const SIMULATED_LIVE_VERSION = [12, 1];
+const UNDO_HISTORY_LIMIT = 50;
+
+// Property tables: name -> value type. Types are used to coerce incoming values
+// the way the Live Object Model does (bools stay bools, ints are truncated).
+const SONG_PROPERTIES = {
+    tempo: "float",
+    signature_numerator: "int",
+    signature_denominator: "int",
+    is_playing: "bool",
+    current_song_time: "float",
+    loop: "bool",
+    loop_start: "float",
+    loop_length: "float",
+    metronome: "bool",
+    clip_trigger_quantization: "int",
+    record_mode: "bool",
+    root_note: "int",
+    scale_name: "string",
+    song_length: "float",
+    groove_amount: "float",
+};
+
+const TRACK_PROPERTIES = {
+    name: "string",
+    color: "int",
+    mute: "bool",
+    solo: "bool",
+    arm: "bool",
+    volume: "float",
+    panning: "float",
+    has_midi_input: "bool",
+    has_audio_input: "bool",
+    playing_slot_index: "int",
+    fired_slot_index: "int",
+    input_routing_type: "string",
+    input_routing_channel: "string",
+    output_routing_type: "string",
+    output_routing_channel: "string",
+};
+
+const RETURN_TRACK_PROPERTIES = {
+    name: "string",
+    color: "int",
+    mute: "bool",
+    solo: "bool",
+    volume: "float",
+    panning: "float",
+};
+
+const MASTER_TRACK_PROPERTIES = {
+    name: "string",
+    volume: "float",
+    panning: "float",
+    crossfader: "float",
+};
+
+const CLIP_PROPERTIES = {
+    name: "string",
+    color: "int",
+    length: "float",
+    looping: "bool",
+    loop_start: "float",
+    loop_end: "float",
+    start_marker: "float",
+    end_marker: "float",
+    is_playing: "bool",
+    is_recording: "bool",
+    is_midi_clip: "bool",
+    is_audio_clip: "bool",
+    playing_position: "float",
+};
+
+const SCENE_PROPERTIES = {
+    name: "string",
+    color: "int",
+};
+
+const DEVICE_PROPERTIES = {
+    name: "string",
+    class_name: "string",
+    type: "int",
+};
+
+// Read-only properties are computed from the model rather than stored
+const READ_ONLY = new Set([
+    "song_length", "has_midi_input", "has_audio_input", "playing_slot_index", "fired_slot_index",
+    "length", "is_playing", "is_recording", "is_midi_clip", "is_audio_clip", "playing_position",
+    "class_name", "type", "input_routing_type", "input_routing_channel", "output_routing_type",
+    "output_routing_channel",
+]);
+
+// Live device types (Device.type)
+const DEVICE_TYPE = { audio_effect: 1, instrument: 2, midi_effect: 4 };
+
+// Mixer parameters clips can automate
+const MIXER_ENVELOPES = new Set(["volume", "panning"]);
+
+class SimulatorError extends Error {}
+
+function coerce(type, value) {
+    switch (type) {
+        case "bool": return Boolean(value);
+        case "int": return Math.trunc(Number(value));
+        case "float": return Number(value);
+        default: return String(value);
+    }
+}
+
+// Linear between breakpoints, the first and last value outside them
+function envelopeValue(points, time) {
+    if (time <= points[0].time) return points[0].value;
+    const next = points.findIndex(p => p.time > time);
+    if (next === -1) return points.at(-1).value;
+    const before = points[next - 1];
+    const after = points[next];
+    return before.value + (after.value - before.value) * (time - before.time) / (after.time - before.time);
+}
+
+function param(name, value, min, max, isQuantized = false) {
+    return { name, value, min, max, is_quantized: isQuantized };
+}
+
+function deviceOnParam() {
+    return param("Device On", 1, 0, 1, true);
+}
+
+function note(pitch, start_time, duration, velocity = 100, mute = false) {
+    return { pitch, start_time, duration, velocity, mute };
+}
+
+function midiClip(name, length, notes = [], color = 16725558) {
+    return {
+        name,
+        color,
+        length,
+        looping: true,
+        loop_start: 0,
+        loop_end: length,
+        start_marker: 0,
+        end_marker: length,
+        is_playing: false,
+        is_recording: false,
+        is_midi_clip: true,
+        is_audio_clip: false,
+        notes,
+    };
+}
+
+function track(name, { color, midi = true, devices = [], clips = [] }) {
+    return {
+        name,
+        color,
+        mute: false,
+        solo: false,
+        arm: false,
+        volume: 0.85,
+        panning: 0,
+        midi,
+        devices,
+        clip_slots: clips,
+        arrangement_clips: [],
+        // One level per return track
+        sends: [0, 0],
+        input_routing_type: midi ? "All Ins" : "Ext. In",
+        input_routing_channel: midi ? "All Channels" : "1/2",
+        output_routing_type: "Master",
+        output_routing_channel: "Track In",
+    };
+}
+
+function returnTrack(name, color) {
+    return { name, color, mute: false, solo: false, volume: 0.85, panning: 0 };
+}
+
+// The default set every simulator starts with: four tracks, four scenes, a few clips
+export function createDefaultSong() {
+    const kick = [0, 1, 2, 3].map(beat => note(36, beat, 0.25, 110));
+    const snare = [1, 3].map(beat => note(38, beat, 0.25, 100));
+    const hats = [0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5].map(beat => note(42, beat, 0.125, 80));
+    const bassline = [
+        note(36, 0, 0.5), note(36, 0.75, 0.25), note(43, 1.5, 0.5),
+        note(41, 2, 1), note(39, 3, 0.5), note(38, 3.5, 0.5),
+    ];
+    const chords = [
+        note(60, 0, 2, 90), note(64, 0, 2, 90), note(67, 0, 2, 90),
+        note(57, 2, 2, 90), note(60, 2, 2, 90), note(64, 2, 2, 90),
+    ];
+
+    // Cloned so clips that share a pattern above don't share note objects
+    return structuredClone({
+        tempo: 120,
+        signature_numerator: 4,
+        signature_denominator: 4,
+        is_playing: false,
+        current_song_time: 0,
+        loop: false,
+        loop_start: 0,
+        loop_length: 16,
+        metronome: false,
+        clip_trigger_quantization: 4,
+        record_mode: false,
+        root_note: 0,
+        scale_name: "Major",
+        groove_amount: 1,
+        cue_points: [],
+        return_tracks: [returnTrack("A-Reverb", 10927616), returnTrack("B-Delay", 5480241)],
+        master_track: { name: "Master", volume: 0.85, panning: 0, crossfader: 0 },
+        tracks: [
+            track("Drums", {
+                color: 16725558,
+                devices: [
+                    {
+                        name: "Drum Rack", class_name: "DrumGroupDevice", type: DEVICE_TYPE.instrument,
+                        parameters: [deviceOnParam(), param("Macro 1", 0, 0, 127), param("Macro 2", 0, 0, 127)],
+                    },
+                ],
+                clips: [
+                    midiClip("Beat Intro", 4, [...kick, ...hats]),
+                    midiClip("Beat Verse", 4, [...kick, ...snare, ...hats]),
+                    midiClip("Beat Chorus", 4, [...kick, ...snare, ...hats]),
+                    null,
+                ],
+            }),
+            track("Bass", {
+                color: 3947580,
+                devices: [
+                    {
+                        name: "Analog", class_name: "UltraAnalog", type: DEVICE_TYPE.instrument,
+                        parameters: [deviceOnParam(), param("Volume", 0.7, 0, 1), param("Osc1 Shape", 0, 0, 3, true)],
+                    },
+                    {
+                        name: "Auto Filter", class_name: "AutoFilter", type: DEVICE_TYPE.audio_effect,
+                        parameters: [
+                            deviceOnParam(), param("Filter Type", 0, 0, 4, true),
+                            param("Frequency", 0.45, 0, 1), param("Resonance", 0.2, 0, 1.25),
+                        ],
+                    },
+                ],
+                clips: [null, midiClip("Bass Verse", 4, bassline), midiClip("Bass Chorus", 8, bassline), null],
+            }),
+            track("Keys", {
+                color: 8912743,
+                devices: [
+                    {
+                        name: "Electric", class_name: "LoungeLizard", type: DEVICE_TYPE.instrument,
+                        parameters: [deviceOnParam(), param("Volume", 0.6, 0, 1)],
+                    },
+                ],
+                clips: [midiClip("Pad Intro", 8, chords), null, midiClip("Chords Chorus", 4, chords), null],
+            }),
+            track("Vocals", {
+                color: 1090798,
+                midi: false,
+                devices: [
+                    {
+                        name: "EQ Eight", class_name: "Eq8", type: DEVICE_TYPE.audio_effect,
+                        parameters: [deviceOnParam(), param("1 Frequency A", 0.3, 0, 1), param("1 Gain A", 0, -15, 15)],
+                    },
+                    {
+                        name: "Reverb", class_name: "Reverb", type: DEVICE_TYPE.audio_effect,
+                        parameters: [deviceOnParam(), param("Decay Time", 0.5, 0, 1), param("Dry/Wet", 0.3, 0, 1)],
+                    },
+                ],
+                clips: [null, null, null, null],
+            }),
+        ],
+        scenes: [
+            { name: "Intro", color: 0 },
+            { name: "Verse", color: 0 },
+            { name: "Chorus", color: 0 },
+            { name: "Outro", color: 0 },
+        ],
+    });
+}
+
+export class AbletonSimulator {
+    constructor({ song = createDefaultSong(), replyPort = null, replyHost = null, bulkQueries = true, envelopes = true } = {}) {
+        this.song = song;
+        // Older AbletonOSC releases have no /live/song/get/track_data
+        this.bulkQueries = bulkQueries;
+        // Stock AbletonOSC has no clip envelope addresses
+        this.envelopes = envelopes;
+        // AbletonOSC replies to a fixed port (11001); when replyPort is null we reply
+        // to the sender instead, which lets tests bind ephemeral ports.
+        this.replyPort = replyPort;
+        this.replyHost = replyHost;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.received = [];
+        // Active start_listen registrations, keyed by domain/property/indices
+        this.listeners = new Map();
+        this.osc = null;
+    }
+
+    // Bind the UDP socket. port 0 picks a free port; see address().
+    start({ host = "127.0.0.1", port = 11000 } = {}) {
+        return new Promise((resolve, reject) => {
+            this.osc = new OSC({
+                plugin: new OSC.DatagramPlugin({ open: { host, port, exclusive: false } }),
+            });
+            this.osc.on("open", () => resolve(this.address()));
+            this.osc.on("error", reject);
+            this.osc.on("*", (message, rinfo) => {
+                const target = {
+                    host: this.replyHost || rinfo?.address || "127.0.0.1",
+                    port: this.replyPort || rinfo?.port,
+                };
+                for (const reply of this.handle(message.address, message.args, target)) {
+                    this.send(reply, target);
+                }
+                this.flushListeners();
+            });
+            this.osc.open();
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.osc) return resolve();
+            this.osc.on("close", () => resolve());
+            this.osc.close();
+            this.osc = null;
+        });
+    }
+
+    send({ address, args }, target) {
+        this.osc?.send(new OSC.Message(address, ...args), target);
+    }
+
+    // Change the set "by hand", as someone playing with Live would,
+    // and push the result to any registered listeners
+    edit(change) {
+        change(this.song);
+        this.flushListeners();
+    }
+
+    address() {
+        const { address, port } = this.osc.options.plugin.socket.address();
+        return { host: address, port };
+    }
+
+    // Process one incoming message and return the replies it produces.
+    // Exposed separately from the socket so it can be driven directly in tests.
+    handle(address, args = [], target = null) {
+        this.received.push({ address, args });
+        try {
+            const result = this.dispatch(address, args, target);
+            if (result === undefined) return [];
+            return [{ address, args: result }];
+        } catch (err) {
+            return [{ address: "/live/error", args: [`Error handling OSC message: ${err.message}`] }];
+        }
+    }
+
+    dispatch(address, args, target = null) {
+        const parts = address.split("/").filter(Boolean);
+        if (parts[0] !== "live") {
+            throw new SimulatorError(`Unknown OSC address: ${address}`);
+        }
+
+        const [, domain, verb, ...rest] = parts;
+        if (verb === "start_listen" || verb === "stop_listen") {
+            return this.listen(domain, verb, rest.join("/"), args, target);
+        }
+
+        const handler = this[`handle_${domain}`];
+        if (!handler) {
+            throw new SimulatorError(`Unknown OSC address: ${address}`);
+        }
+
+        const result = handler.call(this, verb, rest.join("/"), args, address);
+        if (result === null) {
+            throw new SimulatorError(`Unknown OSC address: ${address}`);
+        }
+        return result;
+    }
+
+    // --- Listeners -----------------------------------------------------------------
+    // /live/<domain>/start_listen/<property> [indices] makes AbletonOSC push
+    // /live/<domain>/get/<property> [indices] value whenever the value changes,
+    // starting with the current value; stop_listen removes the listener.
+
+    listen(domain, verb, property, args, target) {
+        const key = `${domain}/${property}/${args.join(",")}`;
+        if (verb === "stop_listen") {
+            this.listeners.delete(key);
+            return undefined;
+        }
+
+        const address = `/live/${domain}/get/${property}`;
+        this.dispatch(address, args);
+        this.listeners.set(key, { address, args, target, last: undefined });
+        return undefined;
+    }
+
+    flushListeners() {
+        for (const [key, listener] of this.listeners) {
+            let value;
+            try {
+                value = this.dispatch(listener.address, listener.args);
+            } catch {
+                // The object went away (track or clip deleted)
+                this.listeners.delete(key);
+                continue;
+            }
+
+            const serialized = JSON.stringify(value);
+            if (serialized === listener.last) continue;
+            listener.last = serialized;
+            if (listener.target) this.send({ address: listener.address, args: value }, listener.target);
+        }
+    }
+
+    // --- Undo history -----------------------------------------------------------
+
+    checkpoint() {
+        this.undoStack.push(structuredClone(this.song));
+        if (this.undoStack.length > UNDO_HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (!this.undoStack.length) return;
+        this.redoStack.push(structuredClone(this.song));
+        this.song = this.undoStack.pop();
+    }
+
+    redo() {
+        if (!this.redoStack.length) return;
+        this.undoStack.push(structuredClone(this.song));
+        this.song = this.redoStack.pop();
+    }
+
+    // --- Lookups -----------------------------------------------------------------
+
+    track(index) {
+        const track = this.song.tracks[index];
+        if (!track) throw new SimulatorError("Track index out of range");
+        return track;
+    }
+
+    scene(index) {
+        const scene = this.song.scenes[index];
+        if (!scene) throw new SimulatorError("Scene index out of range");
+        return scene;
+    }
+
+    sendLevel(track, sendIndex) {
+        if (!(sendIndex >= 0 && sendIndex < this.song.return_tracks.length)) {
+            throw new SimulatorError("Send index out of range");
+        }
+        return track.sends[sendIndex];
+    }
+
+    clipSlot(trackIndex, slotIndex) {
+        const track = this.track(trackIndex);
+        if (slotIndex < 0 || slotIndex >= this.song.scenes.length) {
+            throw new SimulatorError("Clip slot index out of range");
+        }
+        return { track, clip: track.clip_slots[slotIndex] };
+    }
+
+    clip(trackIndex, slotIndex) {
+        const { clip } = this.clipSlot(trackIndex, slotIndex);
+        if (!clip) throw new SimulatorError("No clip in slot");
+        return clip;
+    }
+
+    device(trackIndex, deviceIndex) {
+        const device = this.track(trackIndex).devices[deviceIndex];
+        if (!device) throw new SimulatorError("Device index out of range");
+        return device;
+    }
+
+    parameter(trackIndex, deviceIndex, parameterIndex) {
+        const parameter = this.device(trackIndex, deviceIndex).parameters[parameterIndex];
+        if (!parameter) throw new SimulatorError("Parameter index out of range");
+        return parameter;
+    }
+
+    songLength() {
+        const lengths = this.song.tracks.flatMap(t => [
+            ...t.clip_slots.filter(Boolean).map(c => c.length),
+            ...t.arrangement_clips.map(c => c.start_time + c.length),
+        ]);
+        return Math.max(this.song.loop_start + this.song.loop_length, ...lengths);
+    }
+
+    // Locators sit at the playhead (Song.set_or_delete_cue toggles the one there)
+    cuePoint(index) {
+        const cue = this.song.cue_points[index];
+        if (!cue) throw new SimulatorError("Cue point index out of range");
+        return cue;
+    }
+
+    // --- Domains -----------------------------------------------------------------
+
+    handle_test() {
+        return ["ok"];
+    }
+
+    handle_application(verb, property) {
+        if (verb === "get" && property === "version") return [...SIMULATED_LIVE_VERSION];
+        return null;
+    }
+
+    handle_api(verb) {
+        if (verb === "reload") return undefined;
+        return null;
+    }
+
+    handle_song(verb, property, args) {
+        const song = this.song;
+
+        if (verb === "get") {
+            switch (property) {
+                case "num_tracks": return [song.tracks.length];
+                case "num_scenes": return [song.scenes.length];
+                case "song_length": return [this.songLength()];
+                case "track_names": {
+                    const [start = 0, end = song.tracks.length] = args;
+                    return song.tracks.slice(start, end).map(t => t.name);
+                }
+                case "track_data": return this.bulkQueries ? this.trackData(args) : null;
+                case "cue_points": return song.cue_points.flatMap(c => [c.name, c.time]);
+                case "num_return_tracks": return [song.return_tracks.length];
+            }
+            if (!(property in SONG_PROPERTIES)) return null;
+            return [song[property]];
+        }
+
+        if (verb === "set") {
+            if (!(property in SONG_PROPERTIES) || READ_ONLY.has(property)) return null;
+            this.checkpoint();
+            song[property] = coerce(SONG_PROPERTIES[property], args[0]);
+            return undefined;
+        }
+
+        switch (verb) {
+            case "start_playing":
+                song.is_playing = true;
+                song.current_song_time = 0;
+                return undefined;
+            case "continue_playing":
+                song.is_playing = true;
+                return undefined;
+            case "stop_playing":
+                song.is_playing = false;
+                return undefined;
+            case "stop_all_clips":
+                song.tracks.forEach(t => t.clip_slots.forEach(c => c && (c.is_playing = false)));
+                return undefined;
+            case "tap_tempo":
+                return undefined;
+            case "cue_point":
+                return this.cuePointAction(property, args);
+            case "undo":
+                this.undo();
+                return undefined;
+            case "redo":
+                this.redo();
+                return undefined;
+            case "create_midi_track":
+            case "create_audio_track": {
+                this.checkpoint();
+                const midi = verb === "create_midi_track";
+                const index = args[0] ?? -1;
+                const created = track(`${song.tracks.length + 1}-${midi ? "MIDI" : "Audio"}`, {
+                    color: 0,
+                    midi,
+                    clips: song.scenes.map(() => null),
+                });
+                created.sends = song.return_tracks.map(() => 0);
+                if (index < 0 || index >= song.tracks.length) song.tracks.push(created);
+                else song.tracks.splice(index, 0, created);
+                return undefined;
+            }
+            case "delete_track":
+                this.track(args[0]);
+                this.checkpoint();
+                song.tracks.splice(args[0], 1);
+                return undefined;
+            case "duplicate_track": {
+                const source = this.track(args[0]);
+                this.checkpoint();
+                song.tracks.splice(args[0] + 1, 0, structuredClone(source));
+                return undefined;
+            }
+            case "create_scene": {
+                this.checkpoint();
+                const index = args[0] ?? -1;
+                const at = index < 0 || index >= song.scenes.length ? song.scenes.length : index;
+                song.scenes.splice(at, 0, { name: "", color: 0 });
+                song.tracks.forEach(t => t.clip_slots.splice(at, 0, null));
+                return undefined;
+            }
+            case "delete_scene":
+                this.scene(args[0]);
+                this.checkpoint();
+                song.scenes.splice(args[0], 1);
+                song.tracks.forEach(t => t.clip_slots.splice(args[0], 1));
+                return undefined;
+            case "duplicate_scene": {
+                const source = this.scene(args[0]);
+                this.checkpoint();
+                song.scenes.splice(args[0] + 1, 0, structuredClone(source));
+                song.tracks.forEach(t => t.clip_slots.splice(args[0] + 1, 0, structuredClone(t.clip_slots[args[0]])));
+                return undefined;
+            }
+        }
+        return null;
+    }
+
+    cuePointAction(action, args) {
+        const song = this.song;
+        switch (action) {
+            case "add_or_delete": {
+                this.checkpoint();
+                const at = song.cue_points.findIndex(c => c.time === song.current_song_time);
+                if (at !== -1) song.cue_points.splice(at, 1);
+                else {
+                    song.cue_points.push({ name: "", time: song.current_song_time });
+                    song.cue_points.sort((a, b) => a.time - b.time);
+                }
+                return undefined;
+            }
+            case "jump": {
+                const [target] = args;
+                const cue = typeof target === "string"
+                    ? song.cue_points.find(c => c.name === target)
+                    : this.cuePoint(target);
+                if (!cue) throw new SimulatorError(`No cue point named ${target}`);
+                song.current_song_time = cue.time;
+                return undefined;
+            }
+            case "set/name": {
+                const cue = this.cuePoint(args[0]);
+                this.checkpoint();
+                cue.name = String(args[1]);
+                return undefined;
+            }
+        }
+        return null;
+    }
+
+    // /live/song/get/track_data start end prop...: track.* once per track,
+    // clip_slot.* / clip.* / device.* once per slot or device, flattened in request order
+    trackData([start, end, ...properties]) {
+        const last = end === -1 ? this.song.tracks.length : end;
+        const values = [];
+        for (let i = start; i < last; i++) {
+            const t = this.track(i);
+            for (const property of properties) {
+                const [object, name] = property.split(".");
+                switch (object) {
+                    case "track":
+                        if (name === "num_devices") values.push(t.devices.length);
+                        else if (name in TRACK_PROPERTIES) values.push(this.handle_track("get", name, [i])[1]);
+                        else throw new SimulatorError(`Unknown track property: ${name}`);
+                        break;
+                    case "clip_slot":
+                        if (name !== "has_clip") throw new SimulatorError(`Unknown clip_slot property: ${name}`);
+                        values.push(...t.clip_slots.map(c => !!c));
+                        break;
+                    case "clip":
+                        if (!(name in CLIP_PROPERTIES)) throw new SimulatorError(`Unknown clip property: ${name}`);
+                        values.push(...t.clip_slots.map(c => c?.[name] ?? null));
+                        break;
+                    case "device":
+                        if (!(name in DEVICE_PROPERTIES)) throw new SimulatorError(`Unknown device property: ${name}`);
+                        values.push(...t.devices.map(d => d[name]));
+                        break;
+                    default:
+                        throw new SimulatorError(`Unknown track_data property: ${property}`);
+                }
+            }
+        }
+        return values;
+    }
+
+    handle_track(verb, property, args) {
+        const [trackIndex, ...rest] = args;
+
+        if (verb === "get") {
+            const t = this.track(trackIndex);
+            switch (property) {
+                case "has_midi_input": return [trackIndex, t.midi];
+                case "has_audio_input": return [trackIndex, !t.midi];
+                case "playing_slot_index": return [trackIndex, t.clip_slots.findIndex(c => c?.is_playing)];
+                case "fired_slot_index": return [trackIndex, -1];
+                case "num_devices": return [trackIndex, t.devices.length];
+                case "devices/name": return [trackIndex, ...t.devices.map(d => d.name)];
+                case "devices/type": return [trackIndex, ...t.devices.map(d => d.type)];
+                case "devices/class_name": return [trackIndex, ...t.devices.map(d => d.class_name)];
+                case "clips/name": return [trackIndex, ...t.clip_slots.map(c => c?.name ?? null)];
+                case "clips/length": return [trackIndex, ...t.clip_slots.map(c => c?.length ?? null)];
+                case "clips/color": return [trackIndex, ...t.clip_slots.map(c => c?.color ?? null)];
+                case "arrangement_clips/name": return [trackIndex, ...t.arrangement_clips.map(c => c.name)];
+                case "arrangement_clips/length": return [trackIndex, ...t.arrangement_clips.map(c => c.length)];
+                case "arrangement_clips/start_time": return [trackIndex, ...t.arrangement_clips.map(c => c.start_time)];
+                case "send": return [trackIndex, rest[0], this.sendLevel(t, rest[0])];
+            }
+            if (!(property in TRACK_PROPERTIES)) return null;
+            return [trackIndex, t[property]];
+        }
+
+        if (verb === "set" && property === "send") {
+            const t = this.track(trackIndex);
+            this.sendLevel(t, rest[0]);
+            this.checkpoint();
+            t.sends[rest[0]] = coerce("float", rest[1]);
+            return undefined;
+        }
+
+        if (verb === "set") {
+            if (!(property in TRACK_PROPERTIES) || READ_ONLY.has(property)) return null;
+            const t = this.track(trackIndex);
+            this.checkpoint();
+            t[property] = coerce(TRACK_PROPERTIES[property], rest[0]);
+            return undefined;
+        }
+
+        if (verb === "stop_all_clips") {
+            this.track(trackIndex).clip_slots.forEach(c => c && (c.is_playing = false));
+            return undefined;
+        }
+
+        // Track.duplicate_clip_to_arrangement: a copy of the session clip in slot
+        // rest[0] starting at beat rest[1], laid out in time order
+        if (verb === "duplicate_clip_to_arrangement") {
+            const [slotIndex, time] = rest;
+            const clip = this.clip(trackIndex, slotIndex);
+            if (!(Number(time) >= 0)) throw new SimulatorError("Arrangement position must not be negative");
+            const t = this.track(trackIndex);
+            this.checkpoint();
+            t.arrangement_clips.push({ ...structuredClone(clip), start_time: Number(time), is_playing: false });
+            t.arrangement_clips.sort((a, b) => a.start_time - b.start_time);
+            return undefined;
+        }
+        return null;
+    }
+
+    handle_return_track(verb, property, args) {
+        const [index, value] = args;
+        const returnTrack = this.song.return_tracks[index];
+        if (!(property in RETURN_TRACK_PROPERTIES)) return null;
+        if (!returnTrack) throw new SimulatorError("Return track index out of range");
+
+        if (verb === "get") return [index, returnTrack[property]];
+        if (verb === "set") {
+            this.checkpoint();
+            returnTrack[property] = coerce(RETURN_TRACK_PROPERTIES[property], value);
+            return undefined;
+        }
+        return null;
+    }
+
+    handle_master_track(verb, property, args) {
+        const master = this.song.master_track;
+        if (!(property in MASTER_TRACK_PROPERTIES)) return null;
+
+        if (verb === "get") return [master[property]];
+        if (verb === "set" && property !== "name") {
+            this.checkpoint();
+            master[property] = coerce(MASTER_TRACK_PROPERTIES[property], args[0]);
+            return undefined;
+        }
+        return null;
+    }
+
+    handle_clip_slot(verb, property, args) {
+        const [trackIndex, slotIndex, ...rest] = args;
+
+        if (verb === "get") {
+            if (property !== "has_clip") return null;
+            const { clip } = this.clipSlot(trackIndex, slotIndex);
+            return [trackIndex, slotIndex, !!clip];
+        }
+
+        switch (verb) {
+            case "fire": {
+                const { track: t, clip } = this.clipSlot(trackIndex, slotIndex);
+                t.clip_slots.forEach(c => c && (c.is_playing = false));
+                if (clip) {
+                    clip.is_playing = true;
+                    this.song.is_playing = true;
+                }
+                return undefined;
+            }
+            case "create_clip": {
+                const { track: t, clip } = this.clipSlot(trackIndex, slotIndex);
+                if (clip) throw new SimulatorError("Clip slot already has a clip");
+                if (!t.midi) throw new SimulatorError("Can only create MIDI clips on MIDI tracks");
+                const length = Number(rest[0] ?? 4);
+                if (!(length > 0)) throw new SimulatorError("Clip length must be positive");
+                this.checkpoint();
+                t.clip_slots[slotIndex] = midiClip("", length);
+                return undefined;
+            }
+            case "delete_clip": {
+                const { track: t } = this.clipSlot(trackIndex, slotIndex);
+                this.checkpoint();
+                t.clip_slots[slotIndex] = null;
+                return undefined;
+            }
+            case "duplicate_clip_to": {
+                const clip = this.clip(trackIndex, slotIndex);
+                const [targetTrack, targetSlot] = rest;
+                const { track: target } = this.clipSlot(targetTrack, targetSlot);
+                this.checkpoint();
+                target.clip_slots[targetSlot] = { ...structuredClone(clip), is_playing: false };
+                return undefined;
+            }
+        }
+        return null;
+    }
+
+    handle_clip(verb, property, args) {
+        const [trackIndex, slotIndex, ...rest] = args;
+        if (!this.envelopes && (verb === "envelope" || property === "envelope")) return null;
+
+        if (verb === "get") {
+            const clip = this.clip(trackIndex, slotIndex);
+            if (property === "notes") {
+                return [trackIndex, slotIndex, ...this.selectNotes(clip, rest).flatMap(noteArgs)];
+            }
+            if (property === "playing_position") return [trackIndex, slotIndex, 0];
+            if (property === "envelope") {
+                const [key, times] = this.envelopeTarget(trackIndex, rest);
+                const points = clip.envelopes?.[key];
+                return [trackIndex, slotIndex, ...(points ? times.map(t => envelopeValue(points, Number(t))) : [])];
+            }
+            if (!(property in CLIP_PROPERTIES)) return null;
+            return [trackIndex, slotIndex, clip[property]];
+        }
+
+        if (verb === "set") {
+            if (!(property in CLIP_PROPERTIES) || READ_ONLY.has(property)) return null;
+            const clip = this.clip(trackIndex, slotIndex);
+            this.checkpoint();
+            clip[property] = coerce(CLIP_PROPERTIES[property], rest[0]);
+            if (property === "loop_end" || property === "loop_start") {
+                clip.length = clip.loop_end - clip.loop_start;
+            }
+            return undefined;
+        }
+
+        switch (verb) {
+            case "fire":
+                return this.handle_clip_slot("fire", "", [trackIndex, slotIndex]);
+            case "stop":
+                this.clip(trackIndex, slotIndex).is_playing = false;
+                return undefined;
+            case "add": {
+                if (property !== "notes") return null;
+                const clip = this.clip(trackIndex, slotIndex);
+                if (rest.length % 5 !== 0) throw new SimulatorError("Notes must be given as groups of 5 values");
+                this.checkpoint();
+                for (let i = 0; i < rest.length; i += 5) {
+                    const [pitch, start, duration, velocity, mute] = rest.slice(i, i + 5);
+                    clip.notes.push(note(Math.trunc(pitch), Number(start), Number(duration), Math.trunc(velocity), Boolean(mute)));
+                }
+                return undefined;
+            }
+            case "remove": {
+                if (property !== "notes") return null;
+                const clip = this.clip(trackIndex, slotIndex);
+                const removed = new Set(this.selectNotes(clip, rest));
+                this.checkpoint();
+                clip.notes = clip.notes.filter(n => !removed.has(n));
+                return undefined;
+            }
+            case "envelope":
+                return this.envelopeAction(property, this.clip(trackIndex, slotIndex), trackIndex, rest);
+            case "duplicate_loop": {
+                const clip = this.clip(trackIndex, slotIndex);
+                this.checkpoint();
+                const span = clip.loop_end - clip.loop_start;
+                clip.notes.push(...clip.notes.map(n => ({ ...n, start_time: n.start_time + span })));
+                clip.loop_end += span;
+                clip.end_marker = clip.loop_end;
+                clip.length = clip.loop_end - clip.loop_start;
+                return undefined;
+            }
+        }
+        return null;
+    }
+
+    // Envelopes are keyed by parameter: "mixer/volume", "mixer/panning" or "<device>/<parameter>".
+    // Returns the key and the arguments after the parameter address.
+    envelopeTarget(trackIndex, [device, parameter, ...rest]) {
+        if (device === "mixer") {
+            this.track(trackIndex);
+            if (!MIXER_ENVELOPES.has(parameter)) throw new SimulatorError(`Unknown mixer parameter ${parameter}`);
+            return [`mixer/${parameter}`, rest];
+        }
+        this.parameter(trackIndex, device, parameter);
+        return [`${device}/${parameter}`, rest];
+    }
+
+    // Clip.automation_envelope(parameter).insert_step(time, length, value) per value triple,
+    // Clip.clear_envelope(parameter) and Clip.clear_all_envelopes()
+    envelopeAction(action, clip, trackIndex, args) {
+        switch (action) {
+            case "insert_step": {
+                const [key, steps] = this.envelopeTarget(trackIndex, args);
+                if (steps.length % 3 !== 0) throw new SimulatorError("Steps must be given as groups of 3 values");
+                this.checkpoint();
+                clip.envelopes ??= {};
+                let points = clip.envelopes[key] ?? [];
+                for (let i = 0; i < steps.length; i += 3) {
+                    const [time, length, value] = steps.slice(i, i + 3).map(Number);
+                    points = points.filter(p => p.time < time || p.time > time + length);
+                    points.push({ time, value });
+                    if (length > 0) points.push({ time: time + length, value });
+                }
+                clip.envelopes[key] = points.sort((a, b) => a.time - b.time);
+                return undefined;
+            }
+            case "clear": {
+                const [key] = this.envelopeTarget(trackIndex, args);
+                this.checkpoint();
+                if (clip.envelopes) delete clip.envelopes[key];
+                return undefined;
+            }
+            case "clear_all":
+                this.checkpoint();
+                delete clip.envelopes;
+                return undefined;
+        }
+        return null;
+    }
+
+    // Notes matching AbletonOSC's optional (start_pitch, pitch_span, start_time, time_span) filter
+    selectNotes(clip, range) {
+        if (range.length === 0) return clip.notes;
+        const [startPitch, pitchSpan, startTime, timeSpan] = range.map(Number);
+        return clip.notes.filter(n =>
+            n.pitch >= startPitch && n.pitch < startPitch + pitchSpan &&
+            n.start_time >= startTime && n.start_time < startTime + timeSpan
+        );
+    }
+
+    handle_scene(verb, property, args) {
+        const [sceneIndex, ...rest] = args;
+
+        if (verb === "get") {
+            if (!(property in SCENE_PROPERTIES)) return null;
+            return [sceneIndex, this.scene(sceneIndex)[property]];
+        }
+
+        if (verb === "set") {
+            if (!(property in SCENE_PROPERTIES)) return null;
+            const scene = this.scene(sceneIndex);
+            this.checkpoint();
+            scene[property] = coerce(SCENE_PROPERTIES[property], rest[0]);
+            return undefined;
+        }
+
+        if (verb === "fire") {
+            this.scene(sceneIndex);
+            this.song.tracks.forEach((t, i) => {
+                if (t.clip_slots[sceneIndex]) this.handle_clip_slot("fire", "", [i, sceneIndex]);
+            });
+            return undefined;
+        }
+        return null;
+    }
+
+    handle_device(verb, property, args) {
+        const [trackIndex, deviceIndex, ...rest] = args;
+
+        if (verb === "get") {
+            const device = this.device(trackIndex, deviceIndex);
+            const prefix = [trackIndex, deviceIndex];
+            switch (property) {
+                case "num_parameters": return [...prefix, device.parameters.length];
+                case "parameters/name": return [...prefix, ...device.parameters.map(p => p.name)];
+                case "parameters/value": return [...prefix, ...device.parameters.map(p => p.value)];
+                case "parameters/min": return [...prefix, ...device.parameters.map(p => p.min)];
+                case "parameters/max": return [...prefix, ...device.parameters.map(p => p.max)];
+                case "parameters/is_quantized": return [...prefix, ...device.parameters.map(p => p.is_quantized)];
+                case "parameter/value": {
+                    const p = this.parameter(trackIndex, deviceIndex, rest[0]);
+                    return [...prefix, rest[0], p.value];
+                }
+                case "parameter/value_string": {
+                    const p = this.parameter(trackIndex, deviceIndex, rest[0]);
+                    return [...prefix, rest[0], formatParameterValue(p)];
+                }
+            }
+            if (!(property in DEVICE_PROPERTIES)) return null;
+            return [...prefix, device[property]];
+        }
+
+        if (verb === "set") {
+            switch (property) {
+                case "name": {
+                    const device = this.device(trackIndex, deviceIndex);
+                    this.checkpoint();
+                    device.name = String(rest[0]);
+                    return undefined;
+                }
+                case "parameter/value": {
+                    const p = this.parameter(trackIndex, deviceIndex, rest[0]);
+                    this.checkpoint();
+                    setParameter(p, rest[1]);
+                    return undefined;
+                }
+                case "parameters/value": {
+                    const device = this.device(trackIndex, deviceIndex);
+                    this.checkpoint();
+                    device.parameters.forEach((p, i) => {
+                        if (rest[i] !== undefined) setParameter(p, rest[i]);
+                    });
+                    return undefined;
+                }
+            }
+        }
+        return null;
+    }
+}
+
+// Live clamps parameter values to their range and rounds quantized ones
+function setParameter(parameter, value) {
+    let v = Math.min(parameter.max, Math.max(parameter.min, Number(value)));
+    if (parameter.is_quantized) v = Math.round(v);
+    parameter.value = v;
+}
+
+function formatParameterValue(parameter) {
+    if (parameter.name === "Device On") return parameter.value ? "On" : "Off";
+    return parameter.is_quantized ? String(parameter.value) : parameter.value.toFixed(2);
+}
+
+function noteArgs(n) {
+    return [n.pitch, n.start_time, n.duration, n.velocity, n.mute];
+}
+
+// Standalone mode: behave like AbletonOSC on its default ports
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    const port = Number(process.env.ABLETON_OSC_PORT) || 11000;
+    const replyPort = Number(process.env.ABLETON_OSC_RESPONSE_PORT) || 11001;
+    const simulator = new AbletonSimulator({ replyPort });
+    simulator.start({ host: "0.0.0.0", port }).then(() => {
+        console.error(`🎛️  AbletonOSC simulator listening on port ${port}, replying to port ${replyPort}`);
+    });
+
+    const shutdown = () => simulator.stop().then(() => process.exit(0));
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
@@ -1,18 +1,58 @@
 #!/usr/bin/env node
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import {
+    CallToolRequestSchema,
+    ErrorCode,
+    isInitializeRequest,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ListToolsRequestSchema,
+    McpError,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
 import OSC from "osc-js";
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
 import fs from "fs";
+import http from "http";
+import os from "os";
 import path from "path";
 import { fileURLToPath } from "url";
 
 // Configuration / constants
 const TEST_MODE = process.env.MCP_TEST_MODE === "1" || process.env.NODE_ENV === "test";
 const TIMEOUT_MS = Number(process.env.ABLETON_OSC_TIMEOUT_MS) || 5000;
+// Max getter requests in flight at once; more are queued until a reply frees a slot
+const OSC_CONCURRENCY = Number(process.env.ABLETON_OSC_CONCURRENCY) || 8;
 const OSC_HOST = process.env.ABLETON_OSC_HOST || "127.0.0.1";
 const OSC_PORT = Number(process.env.ABLETON_OSC_PORT) || 11000;
 const OSC_RESPONSE_PORT = Number(process.env.ABLETON_OSC_RESPONSE_PORT) || 11001;
+// Strings go into a single UDP datagram, so cap them unless a schema sets maxLength
+const MAX_STRING_LENGTH = 4096;
+// Default for the verify option of write tools (see Confirmed writes)
+const VERIFY_WRITES = process.env.ABLETON_VERIFY_WRITES === "1";
+const MAX_BATCH_STEPS = 100;
+// Where the action journal is saved (see Action journal); off in test mode unless set
+const JOURNAL_DIR = process.env.ABLETON_JOURNAL_DIR ??
+    (TEST_MODE ? "" : path.join(os.homedir(), ".ableton-osc-mcp", "journal"));
+const MAX_JOURNAL_ACTIONS = 500;
+// Snapshot and MIDI files are read and written below this directory (see Local files)
+const FILES_DIR = path.resolve(process.env.ABLETON_FILES_DIR || process.cwd());
+// Default ticks per quarter note of exported MIDI files
+const MIDI_EXPORT_PPQ = 480;
+// MCP transports to serve: "stdio" (default), "http", or both ("stdio,http")
+const TRANSPORTS = (process.env.MCP_TRANSPORT || "stdio").split(",").map(t => t.trim());
+const HTTP_HOST = process.env.MCP_HTTP_HOST || "127.0.0.1";
+const HTTP_PORT = Number(process.env.MCP_HTTP_PORT) || 3000;
+const HTTP_TOKEN = process.env.MCP_HTTP_TOKEN || "";
+// Browser origins besides local pages that may use the HTTP transport (comma-separated)
+const HTTP_ALLOWED_ORIGINS = new Set(
+    (process.env.MCP_HTTP_ALLOWED_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean)
+);
 
 // Load tool specifications from ableton_mcp_tools.json
 const __filename = fileURLToPath(import.meta.url);
@@ -32,29 +72,52 @@ try {
     console.error("Warning: failed to load ableton_mcp_tools.json:", e?.message || e);
 }
 
+// In test mode the server talks to the bundled AbletonOSC simulator instead of Live.
+// It runs in-process on ephemeral ports (and replies to the sender's port), so the
+// real handleTool/OSC_MAPPINGS code paths are exercised without port clashes.
+let simulator = null;
+if (TEST_MODE) {
+    const { AbletonSimulator } = await import("./ableton-simulator.mjs");
+    simulator = new AbletonSimulator();
+    await simulator.start({ host: "127.0.0.1", port: 0 });
+}
+const oscTarget = simulator ? simulator.address() : { host: OSC_HOST, port: OSC_PORT };
+
 // OSC client to communicate with Ableton Live
 // IMPORTANT: AbletonOSC sends responses to a fixed port (11001 by default)
-// not back to the source port, so we must bind to that specific port
-const osc = new OSC({
-    plugin: new OSC.DatagramPlugin({
-        open: { host: "0.0.0.0", port: OSC_RESPONSE_PORT, exclusive: false },
-        send: { host: OSC_HOST, port: OSC_PORT },
-    }),
-})// Track OSC initialization state
+// not back to the source port, so we must bind to that specific port.
+// A closed UDP socket can't be reopened, so after a socket error a new client
+// replaces this one (see Connection monitoring).
+let osc = null;
+
+// Track OSC socket state
 let oscReady = false;
 let oscError = null;
 
-osc.on("open", () => {
-    oscReady = true;
-    console.error(`✅ OSC client ready, sending to ${OSC_HOST}:${OSC_PORT}, receiving on port ${OSC_RESPONSE_PORT}`);
-});
+function createOscClient() {
+    const client = new OSC({
+        plugin: new OSC.DatagramPlugin({
+            open: { host: "0.0.0.0", port: simulator ? 0 : OSC_RESPONSE_PORT, exclusive: false },
+            send: oscTarget,
+        }),
+    });
 
-osc.on("error", (err) => {
-    oscError = err;
-    console.error("❌ OSC Error:", err.message);
+    client.on("open", () => {
+        oscReady = true;
+        oscError = null;
+        const { port } = client.options.plugin.socket.address();
+        console.error(`✅ OSC client ready, sending to ${oscTarget.host}:${oscTarget.port}, receiving on port ${port}`);
+        onSocketOpen();
+    });
 
-    if (err.code === "EADDRINUSE") {
-        console.error(`
+    client.on("error", (err) => {
+        // Errors from a client that has already been replaced don't matter
+        if (client !== osc) return;
+        oscError = err;
+        console.error("❌ OSC Error:", err.message);
+
+        if (err.code === "EADDRINUSE") {
+            console.error(`
 ⚠️  CRITICAL: Port ${OSC_RESPONSE_PORT} is already in use!
     This usually means another MCP server instance is running.
 
@@ -63,13 +126,18 @@ osc.on("error", (err) => {
     2. Kill it: kill <PID>
     3. Or change the port: ABLETON_OSC_RESPONSE_PORT=11002
         `);
-    }
-});
+        }
+        onSocketError(err);
+    });
+
+    client.on("*", handleOscMessage);
+    return client;
+}
+
+osc = createOscClient();
 
 // Helper to wait for OSC socket to be ready
 async function waitForOSCReady(timeoutMs = 5000) {
-    if (TEST_MODE) return true;
-
     const startTime = Date.now();
     while (!oscReady && !oscError) {
         if (Date.now() - startTime > timeoutMs) {
@@ -86,563 +154,6242 @@ async function waitForOSCReady(timeoutMs = 5000) {
 }
 
 // Initialize OSC connection (but don't block module loading)
-if (!TEST_MODE) {
-    try {
-        osc.open();
-    } catch (err) {
-        console.error("❌ FATAL: Failed to open OSC socket:", err.message);
-        oscError = err;
-    }
+try {
+    osc.open();
+} catch (err) {
+    console.error("❌ FATAL: Failed to open OSC socket:", err.message);
+    oscError = err;
 }
 
-// OSC Command Mapping System
-// Maps tool names to OSC addresses and parameter transformations
-const OSC_MAPPINGS = {
-    // Song/Global Operations
-    get_song_info: {
-        async handler() {
-            const [tempo] = await sendAndWait("/live/song/get/tempo");
-            const [numNumerator] = await sendAndWait("/live/song/get/signature_numerator");
-            const [numDenominator] = await sendAndWait("/live/song/get/signature_denominator");
-            const [isPlaying] = await sendAndWait("/live/song/get/is_playing");
-            const [currentTime] = await sendAndWait("/live/song/get/current_song_time");
-            const [loopStart] = await sendAndWait("/live/song/get/loop_start");
-            const [loopLength] = await sendAndWait("/live/song/get/loop_length");
+// Clip notes
+// AbletonOSC exchanges notes as flat groups of (pitch, start_time, duration, velocity, mute)
+// and filters get/remove by (start_pitch, pitch_span, start_time, time_span).
+const NOTE_ARGS = 5;
+const NOTES_PER_MESSAGE = 128;
+// Time span used when only a pitch range is given, i.e. "the whole clip"
+const NOTE_TIME_SPAN_ALL = 100000;
 
-            return {
-                tempo,
-                time_signature_numerator: numNumerator,
-                time_signature_denominator: numDenominator,
-                is_playing: !!isPlaying,
-                current_song_time: currentTime,
-                loop_start: loopStart,
-                loop_length: loopLength
-            };
+const NOTE_SCHEMA = {
+    type: "object",
+    properties: {
+        pitch: {
+            type: "integer",
+            description: "MIDI note number (0-127, 60 = middle C)",
+            minimum: 0,
+            maximum: 127
+        },
+        start_time: {
+            type: "number",
+            description: "Start position in beats",
+            minimum: 0
+        },
+        duration: {
+            type: "number",
+            description: "Length in beats",
+            exclusiveMinimum: 0
+        },
+        velocity: {
+            type: "integer",
+            description: "Velocity (0-127)",
+            minimum: 0,
+            maximum: 127,
+            default: 100
+        },
+        mute: {
+            type: "boolean",
+            description: "Whether the note is muted",
+            default: false
         }
     },
+    required: ["pitch", "start_time", "duration"]
+};
 
-    set_tempo: {
-        address: "/live/song/set/tempo",
-        params: ["tempo"],
-        fireAndForget: true
+const NOTE_RANGE_PROPERTIES = {
+    pitch_min: {
+        type: "integer",
+        description: "Lowest pitch to include (default 0)",
+        minimum: 0,
+        maximum: 127
+    },
+    pitch_max: {
+        type: "integer",
+        description: "Highest pitch to include (default 127)",
+        minimum: 0,
+        maximum: 127
     },
+    time_start: {
+        type: "number",
+        description: "Only notes starting at or after this beat",
+        minimum: 0
+    },
+    time_end: {
+        type: "number",
+        description: "Only notes starting before this beat",
+        minimum: 0
+    }
+};
 
+// OSC range arguments for the optional pitch_min/pitch_max/time_start/time_end,
+// or [] for "all notes"
+function noteRange({ pitch_min, pitch_max, time_start, time_end }) {
+    if ([pitch_min, pitch_max, time_start, time_end].every(v => v === undefined)) {
+        return [];
+    }
+    const lowPitch = pitch_min ?? 0;
+    const highPitch = pitch_max ?? 127;
+    const from = time_start ?? 0;
+    const to = time_end ?? from + NOTE_TIME_SPAN_ALL;
+    if (highPitch < lowPitch) throw new Error(`pitch_max (${highPitch}) is below pitch_min (${lowPitch})`);
+    if (to <= from) throw new Error(`time_end (${to}) must be after time_start (${from})`);
+    return [lowPitch, highPitch - lowPitch + 1, from, to - from];
+}
 
+// Values travel as 32-bit floats; round away the noise (0.1 -> 0.10000000149...)
+function roundFloat(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
 
-    // Track Operations
-    list_tracks: {
-        async handler(args) {
-            const includeReturn = args.include_return_tracks || false;
-            const includeMaster = args.include_master || false;
-            const [numTracks] = await sendAndWait("/live/song/get/num_tracks");
+function parseNotes(values) {
+    const notes = [];
+    for (let i = 0; i + NOTE_ARGS <= values.length; i += NOTE_ARGS) {
+        const [pitch, start_time, duration, velocity, mute] = values.slice(i, i + NOTE_ARGS);
+        notes.push({
+            pitch,
+            start_time: roundFloat(start_time),
+            duration: roundFloat(duration),
+            velocity: Math.round(velocity),
+            mute: !!mute
+        });
+    }
+    return notes.sort((a, b) => a.start_time - b.start_time || a.pitch - b.pitch);
+}
 
-            const tracks = [];
-            for (let i = 0; i < numTracks; i++) {
-                const [name] = await sendAndWait("/live/track/get/name", i);
-                const [color] = await sendAndWait("/live/track/get/color", i);
-                const [mute] = await sendAndWait("/live/track/get/mute", i);
-                const [solo] = await sendAndWait("/live/track/get/solo", i);
-                const [arm] = await sendAndWait("/live/track/get/arm", i);
-
-                tracks.push({
-                    id: i,
-                    name,
-                    color,
-                    mute: !!mute,
-                    solo: !!solo,
-                    arm: !!arm
-                });
-            }
+async function readClipNotes(trackIndex, clipIndex, range = []) {
+    const values = await sendAndWait("/live/clip/get/notes", trackIndex, clipIndex, ...range);
+    return parseNotes(values);
+}
 
-            return { tracks };
-        }
-    },
+// Add notes in chunks so each OSC message stays well inside one UDP datagram
+function noteMessages(trackIndex, clipIndex, notes) {
+    const messages = [];
+    for (let i = 0; i < notes.length; i += NOTES_PER_MESSAGE) {
+        const values = notes.slice(i, i + NOTES_PER_MESSAGE).flatMap(n => [
+            n.pitch, n.start_time, n.duration, n.velocity ?? 100, n.mute ? 1 : 0
+        ]);
+        messages.push({ address: "/live/clip/add/notes", args: [trackIndex, clipIndex, ...values] });
+    }
+    return messages;
+}
 
-    get_track_clips: {
-        async handler(args) {
-            const trackIndex = args.track_index;
-            const [numSlots] = await sendAndWait("/live/track/get/clip_slots", trackIndex);
+function writeClipNotes(trackIndex, clipIndex, notes) {
+    for (const { address, args } of noteMessages(trackIndex, clipIndex, notes)) {
+        fireAndForget(address, ...args);
+    }
+}
 
-            const clips = [];
-            for (let i = 0; i < numSlots; i++) {
-                const [hasClip] = await sendAndWait("/live/clip_slot/get/has_clip", trackIndex, i);
-                if (hasClip) {
-                    const [name] = await sendAndWait("/live/clip/get/name", trackIndex, i);
-                    const [length] = await sendAndWait("/live/clip/get/length", trackIndex, i);
-                    const [looping] = await sendAndWait("/live/clip/get/looping", trackIndex, i);
+// Deterministic PRNG (mulberry32) so humanize can be reproduced with a seed
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
 
-                    clips.push({
-                        slot_index: i,
-                        name,
-                        length,
-                        looping: !!looping
-                    });
-                }
-            }
+// Apply transpose (then snap to key's scale), velocity_scale, time_shift, quantize and
+// humanize (in that order)
+function transformNotes(notes, options) {
+    const {
+        transpose = 0, key, velocity_scale, time_shift = 0,
+        quantize_grid, quantize_strength = 1,
+        humanize_timing = 0, humanize_velocity = 0, seed
+    } = options;
+    const random = seed !== undefined ? seededRandom(seed) : Math.random;
+    const jitter = (amount) => (random() * 2 - 1) * amount;
 
-            return { clips };
-        }
-    },
+    const result = notes.map(note => {
+        let { pitch, start_time, velocity } = note;
 
-    fire_clip: {
-        address: "/live/clip_slot/fire",
-        params: ["track_index", "clip_index"],
-        fireAndForget: true
-    },
+        pitch += transpose;
+        if (key) pitch = snapToScale(pitch, key);
+        if (velocity_scale !== undefined) velocity = Math.round(velocity * velocity_scale);
+        start_time += time_shift;
+        if (quantize_grid) {
+            const target = Math.round(start_time / quantize_grid) * quantize_grid;
+            start_time += (target - start_time) * quantize_strength;
+        }
+        if (humanize_timing) start_time = Math.max(0, start_time + jitter(humanize_timing));
+        if (humanize_velocity) velocity = Math.round(velocity + jitter(humanize_velocity));
 
-    stop_track_clips: {
-        address: "/live/track/stop_all_clips",
-        params: ["track_index"],
-        fireAndForget: true
-    },
+        return {
+            ...note,
+            pitch,
+            start_time: roundFloat(start_time),
+            velocity: Math.min(127, Math.max(1, velocity))
+        };
+    });
 
-    create_clip: {
-        address: "/live/clip_slot/create_clip",
-        params: ["track_index", "clip_index", "length"],
-        fireAndForget: true,
-        defaults: { length: 4.0 }
-    },
+    const outOfRange = result.filter(n => n.pitch < 0 || n.pitch > 127);
+    if (outOfRange.length) {
+        throw new Error(`Transpose by ${transpose} would move ${outOfRange.length} notes outside the MIDI range 0-127`);
+    }
+    const beforeStart = result.filter(n => n.start_time < 0);
+    if (beforeStart.length) {
+        throw new Error(`Time shift by ${time_shift} would move ${beforeStart.length} notes before the clip start`);
+    }
+    return result;
+}
 
-    delete_clip: {
-        address: "/live/clip_slot/delete_clip",
-        params: ["track_index", "clip_index"],
-        fireAndForget: true
-    },
+// Music theory
+// Keys, chords and step patterns for the pattern generators (write_chord_progression,
+// write_arpeggio, write_drum_pattern, write_bassline). Pitches are MIDI note numbers,
+// with octave 4 starting at middle C (60).
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+const SCALES = {
+    "major": [0, 2, 4, 5, 7, 9, 11],
+    "minor": [0, 2, 3, 5, 7, 8, 10],
+    "dorian": [0, 2, 3, 5, 7, 9, 10],
+    "phrygian": [0, 1, 3, 5, 7, 8, 10],
+    "lydian": [0, 2, 4, 6, 7, 9, 11],
+    "mixolydian": [0, 2, 4, 5, 7, 9, 10],
+    "locrian": [0, 1, 3, 5, 6, 8, 10],
+    "harmonic minor": [0, 2, 3, 5, 7, 8, 11],
+    "melodic minor": [0, 2, 3, 5, 7, 9, 11],
+    "harmonic major": [0, 2, 4, 5, 7, 8, 11],
+    "phrygian dominant": [0, 1, 4, 5, 7, 8, 10],
+    "major pentatonic": [0, 2, 4, 7, 9],
+    "minor pentatonic": [0, 3, 5, 7, 10],
+    "minor blues": [0, 3, 5, 6, 7, 10],
+    "whole tone": [0, 2, 4, 6, 8, 10]
+};
+// Roman numerals name seven degrees; in a shorter scale they are degrees of its parent
+const PARENT_SCALES = {
+    "major pentatonic": "major",
+    "minor pentatonic": "minor",
+    "minor blues": "minor"
+};
+const CHORD_INTERVALS = {
+    "": [0, 4, 7],
+    "m": [0, 3, 7],
+    "dim": [0, 3, 6],
+    "aug": [0, 4, 8],
+    "sus2": [0, 2, 7],
+    "sus4": [0, 5, 7],
+    "5": [0, 7],
+    "6": [0, 4, 7, 9],
+    "m6": [0, 3, 7, 9],
+    "7": [0, 4, 7, 10],
+    "maj7": [0, 4, 7, 11],
+    "m7": [0, 3, 7, 10],
+    "mmaj7": [0, 3, 7, 11],
+    "m7b5": [0, 3, 6, 10],
+    "dim7": [0, 3, 6, 9],
+    "9": [0, 4, 7, 10, 14],
+    "maj9": [0, 4, 7, 11, 14],
+    "m9": [0, 3, 7, 10, 14],
+    "add9": [0, 4, 7, 14]
+};
+const CHORD_ALIASES = {
+    "maj": "", "M": "", "min": "m", "-": "m", "M7": "maj7", "Δ": "maj7", "Δ7": "maj7", "min7": "m7", "-7": "m7",
+    "°": "dim", "o": "dim", "°7": "dim7", "o7": "dim7", "ø": "m7b5", "ø7": "m7b5", "+": "aug", "sus": "sus4"
+};
+const ROMAN_NUMERALS = ["i", "ii", "iii", "iv", "v", "vi", "vii"];
+// Roman numeral suffix -> chord quality for an upper-case (major) and lower-case (minor) numeral
+const ROMAN_QUALITIES = {
+    "": ["", "m"], "7": ["7", "m7"], "9": ["9", "m9"], "6": ["6", "m6"], "maj7": ["maj7", "mmaj7"],
+    "°": ["dim", "dim"], "o": ["dim", "dim"], "dim": ["dim", "dim"],
+    "°7": ["dim7", "dim7"], "o7": ["dim7", "dim7"], "dim7": ["dim7", "dim7"],
+    "ø": ["m7b5", "m7b5"], "ø7": ["m7b5", "m7b5"], "+": ["aug", "aug"], "aug": ["aug", "aug"],
+    "sus2": ["sus2", "sus2"], "sus4": ["sus4", "sus4"], "add9": ["add9", "add9"]
+};
+// General MIDI percussion (channel 10) note numbers
+const GM_DRUMS = {
+    acoustic_kick: 35, kick: 36, side_stick: 37, snare: 38, clap: 39, electric_snare: 40,
+    low_floor_tom: 41, closed_hat: 42, high_floor_tom: 43, pedal_hat: 44, low_tom: 45, open_hat: 46,
+    low_mid_tom: 47, high_mid_tom: 48, crash: 49, high_tom: 50, ride: 51, china: 52, ride_bell: 53,
+    tambourine: 54, splash: 55, cowbell: 56, crash_2: 57, vibraslap: 58, ride_2: 59,
+    high_bongo: 60, low_bongo: 61, mute_high_conga: 62, open_high_conga: 63, low_conga: 64,
+    high_timbale: 65, low_timbale: 66, high_agogo: 67, low_agogo: 68, cabasa: 69, maracas: 70,
+    short_whistle: 71, long_whistle: 72, short_guiro: 73, long_guiro: 74, claves: 75,
+    high_wood_block: 76, low_wood_block: 77, mute_cuica: 78, open_cuica: 79, mute_triangle: 80, open_triangle: 81
+};
+const ACCENT_VELOCITY_BOOST = 20;
 
-    set_clip_name: {
-        address: "/live/clip/set/name",
-        params: ["track_index", "clip_index", "name"],
-        fireAndForget: true
-    },
+function parsePitchClass(name) {
+    const match = /^([A-Ga-g])([#b]*)$/.exec(name);
+    if (!match) throw new Error(`"${name}" is not a note name (e.g. C, F#, Bb)`);
+    const [, letter, accidentals] = match;
+    const shift = [...accidentals].reduce((sum, a) => sum + (a === "#" ? 1 : -1), 0);
+    return (PITCH_CLASSES[letter.toUpperCase()] + shift + 120) % 12;
+}
 
-    set_clip_color: {
-        address: "/live/clip/set/color",
-        params: ["track_index", "clip_index", "color_index"],
-        fireAndForget: true
-    },
+// "C", "Am", "A minor", "F# dorian", "Bb harmonic minor" -> { name, root, scale, intervals }
+function parseKey(key) {
+    const match = /^\s*([A-Ga-g][#b]?)\s*(.*?)\s*$/.exec(key);
+    if (!match) throw new Error(`"${key}" is not a key (e.g. C major, A minor, F# dorian)`);
+    const root = parsePitchClass(match[1]);
+    const mode = match[2].toLowerCase();
+    const scale = { "": "major", "maj": "major", "m": "minor", "min": "minor" }[mode] ?? mode;
+    if (!SCALES[scale]) {
+        throw new Error(`Unknown scale "${match[2]}" in key "${key}"; known scales: ${Object.keys(SCALES).join(", ")}`);
+    }
+    return { name: `${NOTE_NAMES[root]} ${scale}`, root, scale, intervals: SCALES[scale] };
+}
 
-    duplicate_clip: {
-        address: "/live/clip/duplicate_clip_to",
-        params: ["source_track_index", "source_clip_index", "dest_track_index", "dest_clip_index"],
-        fireAndForget: true
-    },
+function chordQuality(suffix, symbol) {
+    const quality = CHORD_ALIASES[suffix] ?? suffix;
+    if (!CHORD_INTERVALS[quality]) {
+        throw new Error(`Unknown chord "${symbol}": "${suffix}" is not a chord quality (${Object.keys(CHORD_INTERVALS).filter(Boolean).join(", ")})`);
+    }
+    return quality;
+}
 
-    // Scene Operations
-    list_scenes: {
-        async handler() {
-            const [numScenes] = await sendAndWait("/live/song/get/num_scenes");
+// Chord symbol ("Am7", "F/C", "Bbmaj7") or Roman numeral in the key ("vi", "V7", "bVII", "ii°")
+// -> { symbol, root, intervals, bass }
+function parseChord(symbol, key) {
+    const [body, bassName] = symbol.split("/");
+    const bass = bassName !== undefined ? parsePitchClass(bassName) : null;
 
-            const scenes = [];
-            for (let i = 0; i < numScenes; i++) {
-                const [name] = await sendAndWait("/live/scene/get/name", i);
-                scenes.push({
-                    index: i,
-                    name
-                });
-            }
+    const letter = /^([A-G][#b]?)(.*)$/.exec(body);
+    if (letter) {
+        return { symbol, root: parsePitchClass(letter[1]), intervals: CHORD_INTERVALS[chordQuality(letter[2], symbol)], bass };
+    }
 
-            return { scenes };
-        }
-    },
+    const roman = /^([#b]?)(iii|ii|iv|vii|vi|v|i)(.*)$/i.exec(body);
+    const upper = roman && roman[2] === roman[2].toUpperCase();
+    if (!roman || (!upper && roman[2] !== roman[2].toLowerCase()) || !ROMAN_QUALITIES[roman[3]]) {
+        throw new Error(`"${symbol}" is not a chord symbol (Am7, F/C) or Roman numeral (vi, V7, bVII)`);
+    }
+    const degree = ROMAN_NUMERALS.indexOf(roman[2].toLowerCase());
+    // Plain numerals are degrees of the key's scale; with an accidental they are relative
+    // to the major scale, so bVII is the same chord in C major and C minor
+    const shift = roman[1] === "#" ? 1 : roman[1] === "b" ? -1 : 0;
+    const scale = key.intervals.length === 7 ? key.intervals : SCALES[PARENT_SCALES[key.scale]];
+    if (!shift && !scale) {
+        throw new Error(`"${symbol}" names degree ${degree + 1}, but ${key.name} has ${key.intervals.length} notes; use chord symbols or an accidental (bVII)`);
+    }
+    const offset = shift ? SCALES.major[degree] + shift : scale[degree];
+    const quality = ROMAN_QUALITIES[roman[3]][upper ? 0 : 1];
+    return { symbol, root: (key.root + offset + 12) % 12, intervals: CHORD_INTERVALS[quality], bass };
+}
 
-    fire_scene: {
-        address: "/live/scene/fire",
-        params: ["scene_index"],
-        fireAndForget: true
-    },
+function parseProgression(progression, key) {
+    const symbols = progression.split(/[\s,|]+/).filter(Boolean);
+    if (!symbols.length) throw new Error("The progression has no chords");
+    return symbols.map(symbol => parseChord(symbol, key));
+}
 
-    create_scene: {
-        address: "/live/song/create_scene",
-        params: ["index"],
-        fireAndForget: true,
-        defaults: { index: -1 }
-    },
+// MIDI pitch of a pitch class in an octave (octave 4: 60-71)
+function pitchInOctave(pitchClass, octave) {
+    return 12 * (octave + 1) + pitchClass;
+}
 
-    delete_scene: {
-        address: "/live/song/delete_scene",
-        params: ["scene_index"],
-        fireAndForget: true
-    },
+// Voice a chord: close (stacked from the root), open (root an octave down), drop2
+// (second voice from the top an octave down) or smooth (the inversion closest to the
+// previous chord). A slash bass goes below the voicing.
+function voiceChord(chord, octave, voicing, previous) {
+    let pitches = chord.intervals.map(i => pitchInOctave(chord.root, octave) + i);
+    if (voicing === "open") {
+        pitches = [pitches[0] - 12, ...pitches.slice(1)];
+    } else if (voicing === "drop2" && pitches.length > 2) {
+        const dropped = pitches.length - 2;
+        pitches = [pitches[dropped] - 12, ...pitches.filter((_, i) => i !== dropped)];
+    } else if (voicing === "smooth" && previous) {
+        const center = previous.reduce((sum, p) => sum + p, 0) / previous.length;
+        const candidates = [];
+        for (let inversion = 0; inversion < pitches.length; inversion++) {
+            const inverted = pitches.map((p, i) => i < inversion ? p + 12 : p);
+            for (const shift of [-12, 0, 12]) candidates.push(inverted.map(p => p + shift));
+        }
+        const distance = candidate => Math.abs(candidate.reduce((sum, p) => sum + p, 0) / candidate.length - center);
+        pitches = candidates.reduce((best, c) => distance(c) < distance(best) ? c : best);
+    }
+    pitches.sort((a, b) => a - b);
+    if (chord.bass !== null) {
+        const bass = pitches[0] - ((pitches[0] - chord.bass + 120) % 12 || 12);
+        pitches.unshift(bass);
+    }
+    return pitches;
+}
 
-    duplicate_scene: {
-        address: "/live/scene/duplicate",
-        params: ["scene_index"],
-        fireAndForget: true
-    },
+// Step strings: x = hit, X = accented hit, - = hold the previous hit, . = rest.
+// Spaces and | are ignored, so "x--- x.x. | x..." reads like a step sequencer.
+function parseSteps(pattern) {
+    const steps = pattern.replace(/[\s|]/g, "");
+    const invalid = /[^xX.-]/.exec(steps);
+    if (!steps || invalid) {
+        throw new Error(`Step pattern "${pattern}" must use x (hit), X (accent), - (hold) and . (rest)`);
+    }
+    const hits = [];
+    [...steps].forEach((step, index) => {
+        const last = hits[hits.length - 1];
+        if (step === "x" || step === "X") hits.push({ step: index, length: 1, accent: step === "X" });
+        else if (step === "-" && last && last.step + last.length === index) last.length++;
+    });
+    return { steps: steps.length, hits };
+}
 
-    // Track Properties
-    set_track_property: {
-        async handler(args) {
-            const { track_index, property, value } = args;
+// Song key
+// The key snapping, the pattern generators and analyze_clip_key work in. Live 11+ has
+// a song root note and scale (AbletonOSC's root_note/scale_name); the server mirrors
+// them when Live has them and keeps its own key otherwise.
+const KEY_PROBE_TIMEOUT_MS = Math.min(TIMEOUT_MS, 1500);
+// Krumhansl-Kessler key profiles, from the tonic up
+const MAJOR_KEY_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_KEY_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
 
-            const propertyMap = {
-                volume: "/live/track/set/volume",
-                pan: "/live/track/set/pan",
-                mute: "/live/track/set/mute",
-                solo: "/live/track/set/solo",
-                arm: "/live/track/set/arm",
-                name: "/live/track/set/name",
-                color: "/live/track/set/color"
-            };
+let songKey = null;
+let liveKeySupported = null;
 
-            const address = propertyMap[property];
-            if (!address) {
-                throw new Error(`Unknown property: ${property}`);
-            }
+// Live spells scales in title case ("Harmonic Minor")
+function liveScaleName(scale) {
+    return scale.replace(/\b\w/g, c => c.toUpperCase());
+}
 
-            // Convert boolean values to integers for OSC
-            let oscValue = value;
-            if (typeof value === "boolean") {
-                oscValue = value ? 1 : 0;
-            }
+function describeKey(root, scale) {
+    return {
+        key: `${NOTE_NAMES[root]} ${scale}`,
+        root: NOTE_NAMES[root],
+        root_note: root,
+        scale,
+        scale_notes: SCALES[scale]?.map(i => NOTE_NAMES[(root + i) % 12]) ?? null
+    };
+}
 
-            fireAndForget(address, track_index, oscValue);
-            return `Track ${track_index} ${property} set to ${value}`;
+// Resolves to describeKey(...) plus source ("live" or "server"), or null if no key is known
+async function readSongKey() {
+    if (liveKeySupported !== false) {
+        const probeStarted = Date.now();
+        try {
+            const read = property => liveKeySupported
+                ? sendAndWait(`/live/song/get/${property}`)
+                : requestOSC(`/live/song/get/${property}`, [], KEY_PROBE_TIMEOUT_MS);
+            const [[root], [scaleName]] = await Promise.all([read("root_note"), read("scale_name")]);
+            liveKeySupported = true;
+            const scale = String(scaleName).toLowerCase();
+            if (SCALES[scale]) songKey = { root, scale };
+            return { ...describeKey(root, scale), live_scale_name: scaleName, source: "live" };
+        } catch (err) {
+            // Like the bulk query probe: only an error from Live means "not supported"
+            if (liveKeySupported || !(lastLiveError && lastLiveError.at >= probeStarted)) throw err;
+            liveKeySupported = false;
         }
-    },
+    }
+    return songKey && { ...describeKey(songKey.root, songKey.scale), source: "server" };
+}
 
-    // Clip Operations
-    set_clip_loop: {
-        async handler(args) {
-            const { track_index, clip_index, loop_enabled, loop_start, loop_end } = args;
+// A key from readSongKey as parseKey returns it
+function keyFromSong(key) {
+    if (!SCALES[key.scale]) {
+        throw new Error(`Live's scale "${key.live_scale_name}" isn't supported; known scales: ${Object.keys(SCALES).join(", ")}`);
+    }
+    return parseKey(key.key);
+}
 
-            if (loop_enabled !== undefined) {
-                fireAndForget("/live/clip/set/looping", track_index, clip_index, loop_enabled ? 1 : 0);
-            }
-            if (loop_start !== undefined) {
-                fireAndForget("/live/clip/set/loop_start", track_index, clip_index, loop_start);
-            }
-            if (loop_end !== undefined) {
-                fireAndForget("/live/clip/set/loop_end", track_index, clip_index, loop_end);
-            }
+async function requireSongKey() {
+    const key = await readSongKey();
+    if (!key) throw new Error("No song key is set; set one with set_song_key");
+    return keyFromSong(key);
+}
 
-            return `Clip loop settings updated for track ${track_index}, clip ${clip_index}`;
-        }
-    },
+// The generators fall back to C major
+async function songKeyOrDefault() {
+    const key = await readSongKey();
+    return key ? keyFromSong(key) : parseKey("C major");
+}
 
-    create_midi_note: {
-        address: "/live/clip/add/notes",
-        params: ["track_index", "clip_index", "pitch", "start_time", "duration", "velocity"],
-        fireAndForget: true,
-        defaults: { velocity: 100 }
-    },
+// Move a pitch to the nearest note of the key's scale (down on a tie), staying in 0-127
+function snapToScale(pitch, key) {
+    const inScale = p => p >= 0 && p <= 127 && key.intervals.includes((p - key.root + 120) % 12);
+    for (let distance = 0; distance < 12; distance++) {
+        if (inScale(pitch - distance)) return pitch - distance;
+        if (inScale(pitch + distance)) return pitch + distance;
+    }
+    return pitch;
+}
 
-    set_global_quantization: {
-        async handler(args) {
-            const quantMap = {
-                "none": 0,
-                "8_bars": 1,
-                "4_bars": 2,
-                "2_bars": 3,
-                "1_bar": 4,
-                "1/2": 5,
-                "1/4": 6,
-                "1/8": 7,
-                "1/16": 8
-            };
+function correlation(a, b) {
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const [meanA, meanB] = [mean(a), mean(b)];
+    let covariance = 0, varianceA = 0, varianceB = 0;
+    a.forEach((v, i) => {
+        covariance += (v - meanA) * (b[i] - meanB);
+        varianceA += (v - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    });
+    return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+}
 
-            const quantValue = quantMap[args.quantization];
-            if (quantValue === undefined) {
-                throw new Error(`Unknown quantization: ${args.quantization}`);
-            }
+// Krumhansl-Schmuckler: correlate the duration-weighted pitch class histogram with the
+// major and minor profiles in every key. Returns the candidates, best first.
+function estimateKeys(notes) {
+    const histogram = new Array(12).fill(0);
+    for (const note of notes) histogram[note.pitch % 12] += note.duration;
 
-            fireAndForget("/live/song/set/clip_trigger_quantization", quantValue);
-            return `Global quantization set to ${args.quantization}`;
+    const candidates = [];
+    for (let root = 0; root < 12; root++) {
+        for (const [scale, profile] of [["major", MAJOR_KEY_PROFILE], ["minor", MINOR_KEY_PROFILE]]) {
+            const rotated = histogram.map((_, pc) => profile[(pc - root + 12) % 12]);
+            candidates.push({ root, scale, score: correlation(histogram, rotated) });
         }
-    },
+    }
+    return { histogram, candidates: candidates.sort((a, b) => b.score - a.score) };
+}
 
-    // Track Creation/Deletion
-    create_audio_track: {
-        address: "/live/song/create_audio_track",
-        params: ["index"],
-        fireAndForget: true,
-        defaults: { index: -1 }
+// Pattern generators
+// Each generator builds notes for a whole clip, checks them against the MIDI range and
+// the clip's length (from get_clip_length) and writes them like replace_clip_notes.
+const GENERATOR_TARGET_PROPERTIES = {
+    track_index: {
+        type: "integer",
+        description: "Track index (0-based)",
+        minimum: 0
     },
-
-    create_midi_track: {
-        address: "/live/song/create_midi_track",
-        params: ["index"],
-        fireAndForget: true,
-        defaults: { index: -1 }
+    clip_index: {
+        type: "integer",
+        description: "Clip slot index (0-based); the clip must exist",
+        minimum: 0
+    },
+    replace: {
+        type: "boolean",
+        description: "Remove the clip's notes first (false adds to them)",
+        default: true
     },
+    velocity: {
+        type: "integer",
+        description: "Velocity (1-127); accented steps (X) are louder",
+        minimum: 1,
+        maximum: 127,
+        default: 100
+    }
+};
 
-    delete_track: {
-        address: "/live/song/delete_track",
-        params: ["track_index"],
-        fireAndForget: true
+const PROGRESSION_PROPERTIES = {
+    progression: {
+        type: "string",
+        description:
+            "Chords separated by spaces, commas or |: Roman numerals in the key (\"I V vi IV\", \"ii7 V7 Imaj7\", " +
+            "\"i bVI bIII bVII\") or chord symbols (\"Am F C G\", \"Dm7 G7 Cmaj7\", \"C/E\")",
+        minLength: 1
+    },
+    key: {
+        type: "string",
+        description: "Key for Roman numerals, e.g. \"C major\", \"A minor\", \"F# dorian\" (default: the song key); in a pentatonic or blues key they are degrees of its major or minor parent"
     },
+    beats_per_chord: {
+        type: "number",
+        description: "Length of each chord in beats",
+        exclusiveMinimum: 0,
+        default: 4
+    },
+    repeat: {
+        type: "integer",
+        description: "How many times to play the progression",
+        minimum: 1,
+        default: 1
+    }
+};
 
-    // Arrangement View
-    get_arrangement_view: {
-        async handler() {
-            const [loopEnabled] = await sendAndWait("/live/song/get/loop");
-            const [loopStart] = await sendAndWait("/live/song/get/loop_start");
-            const [loopLength] = await sendAndWait("/live/song/get/loop_length");
+async function clipLengthBeats(trackIndex, clipIndex) {
+    const { length_beats } = await OSC_MAPPINGS.get_clip_length.handler({ track_id: trackIndex, clip_id: clipIndex });
+    return length_beats;
+}
 
-            return {
-                loop_enabled: !!loopEnabled,
-                loop_start: loopStart,
-                loop_length: loopLength
-            };
-        }
-    },
+function velocityFor(hit, velocity) {
+    return hit.accent ? Math.min(127, velocity + ACCENT_VELOCITY_BOOST) : velocity;
+}
 
-    set_arrangement_loop: {
-        async handler(args) {
-            const { enabled, start, length } = args;
+// The chords of a progression with the beat each one starts at, repeated as asked
+async function progressionSpans({ progression, key, beats_per_chord, repeat }) {
+    const chords = parseProgression(progression, key ? parseKey(key) : await songKeyOrDefault());
+    return range(0, repeat).flatMap(r => chords.map((chord, i) => ({
+        chord,
+        start: (r * chords.length + i) * beats_per_chord,
+        length: beats_per_chord
+    })));
+}
 
-            if (enabled !== undefined) {
-                fireAndForget("/live/song/set/loop", enabled ? 1 : 0);
-            }
-            if (start !== undefined) {
+// Notes for the hits of a step pattern spread over [start, start + length); pitchesFor(hitIndex)
+// gives the pitches of each hit
+function stepNotes(pattern, start, length, velocity, pitchesFor) {
+    const { steps, hits } = parseSteps(pattern);
+    const step = length / steps;
+    return hits.flatMap((hit, i) => pitchesFor(i).map(pitch => ({
+        pitch,
+        start_time: roundFloat(start + hit.step * step),
+        duration: roundFloat(hit.length * step),
+        velocity: velocityFor(hit, velocity)
+    })));
+}
+
+async function writeGeneratedNotes(args, notes, details = {}) {
+    const { track_index, clip_index } = args;
+    const outOfRange = notes.find(n => n.pitch < 0 || n.pitch > 127);
+    if (outOfRange) {
+        throw new Error(`Pitch ${outOfRange.pitch} at beat ${outOfRange.start_time} is outside the MIDI range 0-127; pick another octave`);
+    }
+    const clipLength = await clipLengthBeats(track_index, clip_index);
+    const end = roundFloat(Math.max(0, ...notes.map(n => n.start_time + n.duration)));
+    if (end > clipLength + 1e-6) {
+        throw new Error(`The pattern is ${end} beats long but the clip is ${roundFloat(clipLength)} beats; lengthen the clip or shorten the pattern`);
+    }
+
+    if (args.replace) fireAndForget("/live/clip/remove/notes", track_index, clip_index);
+    writeClipNotes(track_index, clip_index, notes);
+    return { track_index, clip_index, notes: notes.length, length_beats: end, clip_length_beats: roundFloat(clipLength), ...details };
+}
+
+async function writeChordProgression(args) {
+    let previous = null;
+    const voiced = (await progressionSpans(args)).map(span => {
+        previous = voiceChord(span.chord, args.octave, args.voicing, previous);
+        return { ...span, pitches: previous };
+    });
+    const notes = voiced.flatMap(v => stepNotes(args.rhythm, v.start, v.length, args.velocity, () => v.pitches));
+    const chords = voiced.slice(0, voiced.length / args.repeat).map(v => ({ symbol: v.chord.symbol, pitches: v.pitches }));
+    return writeGeneratedNotes(args, notes, { chords });
+}
+
+const ARPEGGIO_ORDERS = {
+    up: tones => tones,
+    down: tones => [...tones].reverse(),
+    up_down: tones => [...tones, ...tones.slice(1, -1).reverse()],
+    down_up: tones => [...[...tones].reverse(), ...tones.slice(1, -1)]
+};
+
+async function writeArpeggio(args) {
+    const random = seededRandom(args.seed);
+    const notes = (await progressionSpans(args)).flatMap(({ chord, start, length }) => {
+        const close = voiceChord({ ...chord, bass: null }, args.octave, "close");
+        const tones = range(0, args.octaves).flatMap(o => close.map(p => p + 12 * o));
+        const order = args.pattern === "random" ? null : ARPEGGIO_ORDERS[args.pattern](tones);
+        const count = Math.floor(roundFloat(length / args.rate));
+        return range(0, count).map(i => ({
+            pitch: order ? order[i % order.length] : tones[Math.floor(random() * tones.length)],
+            start_time: roundFloat(start + i * args.rate),
+            duration: roundFloat(args.rate * args.gate),
+            velocity: args.velocity
+        }));
+    });
+    return writeGeneratedNotes(args, notes);
+}
+
+function drumPitch(name) {
+    if (/^\d+$/.test(name)) return Number(name);
+    const pitch = GM_DRUMS[name.toLowerCase().replace(/[\s-]+/g, "_")];
+    if (pitch === undefined) {
+        throw new Error(`Unknown drum "${name}"; use a MIDI note number or one of: ${Object.keys(GM_DRUMS).join(", ")}`);
+    }
+    return pitch;
+}
+
+async function writeDrumPattern(args) {
+    const length = args.length ?? await clipLengthBeats(args.track_index, args.clip_index);
+    const notes = Object.entries(args.patterns).flatMap(([drum, pattern]) => {
+        if (typeof pattern !== "string") throw new Error(`The pattern for ${drum} must be a step string like "x...x..."`);
+        const pitch = drumPitch(drum);
+        const { steps } = parseSteps(pattern);
+        // A pattern shorter than the clip repeats, like a step sequencer
+        const bars = Math.ceil(roundFloat(length / (steps * args.step)));
+        return range(0, bars)
+            .flatMap(r => stepNotes(pattern, r * steps * args.step, steps * args.step, args.velocity, () => [pitch]))
+            .filter(n => n.start_time < length)
+            .map(n => ({ ...n, duration: roundFloat(Math.min(n.duration, length - n.start_time)) }));
+    });
+    return writeGeneratedNotes(args, notes, { drums: Object.fromEntries(Object.keys(args.patterns).map(d => [d, drumPitch(d)])) });
+}
+
+// Bass notes for one chord: the slash bass or root, then the style's other tones
+function bassTones(chord, nextChord, octave, style) {
+    const root = pitchInOctave(chord.bass ?? chord.root, octave);
+    const fifth = root + (chord.intervals.find(i => i === 6 || i === 7 || i === 8) ?? 7);
+    switch (style) {
+        case "root_fifth": return [root, fifth];
+        case "octave": return [root, root + 12];
+        case "arpeggio": return chord.intervals.slice(0, 4).map(i => pitchInOctave(chord.root, octave) + i);
+        case "walking": {
+            // Chord tones, then a half step into the next chord's root
+            const next = pitchInOctave(nextChord.bass ?? nextChord.root, octave);
+            return [root, root + chord.intervals[1], fifth, next >= root ? next - 1 : next + 1];
+        }
+        default: return [root];
+    }
+}
+
+const BASSLINE_RHYTHMS = { root: "x---", root_fifth: "x-x-", octave: "x.x.x.x.", arpeggio: "x.x.x.x.", walking: "xxxx" };
+
+async function writeBassline(args) {
+    const rhythm = args.rhythm ?? BASSLINE_RHYTHMS[args.style];
+    const spans = await progressionSpans(args);
+    const notes = spans.flatMap((span, i) => {
+        // The last chord leads back into the first
+        const tones = bassTones(span.chord, spans[(i + 1) % spans.length].chord, args.octave, args.style);
+        return stepNotes(rhythm, span.start, span.length, args.velocity, hit => [tones[hit % tones.length]]);
+    });
+    return writeGeneratedNotes(args, notes);
+}
+
+// Name matching
+// Resolves a user/LLM supplied name against a list of candidates: exact match
+// (case- and punctuation-insensitive), then substring, then closest edit distance.
+// Throws with the candidate list when nothing or more than one thing matches.
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+function findByName(query, candidates, { kind = "item", getName = c => c.name } = {}) {
+    const wanted = normalizeName(query);
+    const named = candidates.map(candidate => ({ candidate, name: normalizeName(getName(candidate)) }));
+    const listing = () => candidates.map(c => `'${getName(c)}'`).join(", ") || "none";
+    const pick = (matches) => {
+        if (matches.length === 1) return matches[0].candidate;
+        if (matches.length > 1) {
+            throw new Error(
+                `'${query}' matches several ${kind}s: ${matches.map(m => `'${getName(m.candidate)}'`).join(", ")}. ` +
+                `Use a more specific name or an index.`
+            );
+        }
+        return null;
+    };
+
+    const exact = pick(named.filter(n => n.name === wanted));
+    if (exact) return exact;
+
+    const partial = pick(named.filter(n => wanted && n.name && (n.name.includes(wanted) || wanted.includes(n.name))));
+    if (partial) return partial;
+
+    // Typos: accept the closest name within roughly a third of its length
+    const scored = named
+        .map(n => ({ ...n, distance: editDistance(wanted, n.name) }))
+        .filter(n => n.distance <= Math.max(2, Math.floor(wanted.length / 3)));
+    if (scored.length) {
+        const best = Math.min(...scored.map(n => n.distance));
+        const fuzzy = pick(scored.filter(n => n.distance === best));
+        if (fuzzy) return fuzzy;
+    }
+
+    throw new Error(`No ${kind} matching '${query}'. Available: ${listing()}`);
+}
+
+// Devices
+// Live's Device.type values, and the "Device On" switch every device has as parameter 0
+const DEVICE_TYPES = { 1: "audio_effect", 2: "instrument", 4: "midi_effect" };
+const DEVICE_ON_PARAMETER = 0;
+
+async function fetchDeviceParameters(trackIndex, deviceIndex, { valueStrings = true } = {}) {
+    const [names, values, mins, maxes, quantized] = await Promise.all(
+        ["name", "value", "min", "max", "is_quantized"].map(p =>
+            sendAndWait(`/live/device/get/parameters/${p}`, trackIndex, deviceIndex)
+        )
+    );
+    const strings = valueStrings
+        ? await Promise.all(names.map((_, i) =>
+            sendAndWait("/live/device/get/parameter/value_string", trackIndex, deviceIndex, i).then(([text]) => text)
+        ))
+        : [];
+
+    return names.map((name, index) => ({
+        index,
+        name,
+        value: roundFloat(values[index]),
+        min: roundFloat(mins[index]),
+        max: roundFloat(maxes[index]),
+        is_quantized: !!quantized[index],
+        ...(valueStrings && { value_string: strings[index] })
+    }));
+}
+
+// Tracks and scenes
+// Index a new track or scene ends up at: -1 (or past the end) appends
+async function createAt(address, countGetter, index) {
+    const [count] = await sendAndWait(countGetter);
+    fireAndForget(address, index);
+    return index === -1 || index >= count ? count : index;
+}
+
+// Return tracks and master
+// Return tracks have their own indices (/live/return_track/..., 0 is return A) and a
+// track's send N feeds return track N. The master track (/live/master_track/...) also
+// holds the crossfader.
+const MASTER_PROPERTIES = { volume: "volume", pan: "panning", crossfader: "crossfader" };
+const ROUTING_PROPERTIES = ["input_routing_type", "input_routing_channel", "output_routing_type", "output_routing_channel"];
+
+async function readReturnTracks(properties) {
+    const [count] = await sendAndWait("/live/song/get/num_return_tracks");
+    return Promise.all(range(0, count).map(async index => {
+        const values = await Promise.all(properties.map(p => sendAndWait(`/live/return_track/get/${p}`, index)));
+        return { index, ...Object.fromEntries(properties.map((p, i) => [p, values[i][0]])) };
+    }));
+}
+
+async function readMasterTrack() {
+    const [[name], ...values] = await Promise.all(
+        ["name", ...Object.values(MASTER_PROPERTIES)].map(p => sendAndWait(`/live/master_track/get/${p}`))
+    );
+    const master = Object.fromEntries(Object.values(MASTER_PROPERTIES).map((p, i) => [p, roundFloat(values[i][0])]));
+    return {
+        name,
+        ...describeVolume(master.volume),
+        panning: master.panning,
+        pan: formatPan(master.panning),
+        crossfader: master.crossfader
+    };
+}
+
+// Mixer units
+// Live's volume faders run 0.0-1.0 over the wire but show dB: 0.85 is 0 dB and 1.0 is
+// +6 dB, linear in dB down to -18 dB (0.4); below that the fader falls off
+// logarithmically (continuing the same slope) to -inf dB at 0. Pan is shown as the
+// percent of the way to either side: -0.25 is "25L", 0 is "C", 1.0 is "100R".
+const VOLUME_UNITY = 0.85;
+const VOLUME_DB_PER_UNIT = 40;
+const VOLUME_KNEE = 0.4;
+const VOLUME_KNEE_DB = (VOLUME_KNEE - VOLUME_UNITY) * VOLUME_DB_PER_UNIT;
+const VOLUME_DB_PER_DECADE = VOLUME_DB_PER_UNIT * VOLUME_KNEE * Math.LN10;
+const MAX_VOLUME_DB = (1 - VOLUME_UNITY) * VOLUME_DB_PER_UNIT;
+
+function volumeToDb(value) {
+    if (value <= 0) return -Infinity;
+    if (value >= VOLUME_KNEE) return (value - VOLUME_UNITY) * VOLUME_DB_PER_UNIT;
+    return VOLUME_KNEE_DB + VOLUME_DB_PER_DECADE * Math.log10(value / VOLUME_KNEE);
+}
+
+function dbToVolume(db) {
+    if (db > MAX_VOLUME_DB + 1e-9) {
+        throw new Error(`${formatDb(db)} is above the fader's maximum of +${MAX_VOLUME_DB.toFixed(1)} dB`);
+    }
+    if (db === -Infinity) return 0;
+    if (db >= VOLUME_KNEE_DB) return roundFloat(VOLUME_UNITY + db / VOLUME_DB_PER_UNIT);
+    return roundFloat(VOLUME_KNEE * 10 ** ((db - VOLUME_KNEE_DB) / VOLUME_DB_PER_DECADE));
+}
+
+// dB to one decimal like Live shows it, or null for -inf (JSON has no infinity)
+function roundDb(db) {
+    return Number.isFinite(db) ? Math.round(db * 10) / 10 + 0 : null;
+}
+
+function formatDb(db) {
+    if (!Number.isFinite(db)) return "-inf dB";
+    return `${db > 0 ? "+" : ""}${(Math.round(db * 10) / 10 + 0).toFixed(1)} dB`;
+}
+
+// "-6", "-6 dB", "+3.5dB", "-inf"
+function parseDb(text) {
+    const match = /^\s*([+-]?(?:\d+(?:\.\d+)?|\.\d+|inf))\s*(?:db)?\s*$/i.exec(text);
+    if (!match) throw new Error(`Can't read "${text}" as a level in dB (e.g. "-6 dB", "+2 dB", "-inf dB")`);
+    return /inf/i.test(match[1]) ? -Infinity : Number(match[1]);
+}
+
+function formatPan(value) {
+    const percent = Math.round(Math.abs(value) * 100);
+    if (percent === 0) return "C";
+    return `${percent}${value < 0 ? "L" : "R"}`;
+}
+
+// "25L", "40 R", "C" / "center" -> -0.25, 0.4, 0
+function parsePan(text) {
+    if (/^\s*(c|center|centre)\s*$/i.test(text)) return 0;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*%?\s*([lr])\s*$/i.exec(text);
+    if (!match || Number(match[1]) > 100) {
+        throw new Error(`Can't read "${text}" as a pan position (e.g. "25L", "C", "100R")`);
+    }
+    return (match[2].toUpperCase() === "L" ? -1 : 1) * Number(match[1]) / 100;
+}
+
+// The raw value to send for a volume, pan or crossfader given as a number or in
+// human units ("-3 dB", "25L")
+function mixerValue(property, value) {
+    if (property === "volume") {
+        if (typeof value === "string") return dbToVolume(parseDb(value));
+        if (typeof value !== "number" || value < 0 || value > 1) {
+            throw new Error(`Volume must be between 0.0 and 1.0 or a level in dB like "-6 dB" (got ${JSON.stringify(value)})`);
+        }
+        return value;
+    }
+    if (property === "pan" && typeof value === "string") return parsePan(value);
+    if (typeof value !== "number" || value < -1 || value > 1) {
+        throw new Error(`${property} must be between -1.0 and 1.0 (got ${JSON.stringify(value)})`);
+    }
+    return value;
+}
+
+// A fader value with its level in dB, for the getters
+function describeVolume(value) {
+    const volume = roundFloat(value);
+    return { volume, volume_db: roundDb(volumeToDb(volume)), volume_display: formatDb(volumeToDb(volume)) };
+}
+
+// Optional addresses
+// Some tools need OSC addresses stock AbletonOSC doesn't have; they name the feature in
+// requiresFeature. Such tools are left out of tools/list until a probe finds the address
+// (clients are told when the list changes), and fail with a clear error if called
+// anyway. The probe decides once per connection: a reply, or an error about the probe's
+// arguments, means the address exists; "Unknown OSC address", or no answer while
+// /live/test is answered, means it doesn't.
+const FEATURE_PROBE_TIMEOUT_MS = Math.min(TIMEOUT_MS, 1500);
+const OSC_FEATURES = {
+    "Clip automation": { address: "/live/clip/get/envelope", args: [0, 0, "mixer", "volume", 0] }
+};
+// feature -> whether Live has it, as last probed; and the probes in flight
+const supportedFeatures = new Map();
+const featureProbes = new Map();
+
+function probeOscFeature(feature) {
+    if (!featureProbes.has(feature)) {
+        const probe = runFeatureProbe(OSC_FEATURES[feature]).then(supported => {
+            const listed = supportedFeatures.get(feature) === true;
+            supportedFeatures.set(feature, supported);
+            if (listed !== supported) notifyToolListChanged();
+            return supported;
+        }).finally(() => featureProbes.delete(feature));
+        featureProbes.set(feature, probe);
+    }
+    return featureProbes.get(feature);
+}
+
+// Probe every feature (again), e.g. when Live connects; earlier answers stand until then
+function probeOscFeatures() {
+    return Promise.allSettled(Object.keys(OSC_FEATURES).map(probeOscFeature));
+}
+
+async function runFeatureProbe({ address, args }) {
+    const probeStarted = Date.now();
+    try {
+        await requestOSC(address, args, FEATURE_PROBE_TIMEOUT_MS);
+        return true;
+    } catch (err) {
+        const liveError = lastLiveError?.at >= probeStarted ? lastLiveError.message : null;
+        if (liveError) return !/Unknown OSC address/.test(liveError);
+        try {
+            await requestOSC("/live/test", [], FEATURE_PROBE_TIMEOUT_MS);
+        } catch {
+            throw err;
+        }
+        return false;
+    }
+}
+
+async function requireOscFeature(feature) {
+    if (!(supportedFeatures.get(feature) ?? await probeOscFeature(feature))) {
+        throw new Error(`${feature} isn't supported by this AbletonOSC (it doesn't handle ${OSC_FEATURES[feature].address})`);
+    }
+}
+
+// Whether a tool can be listed: it needs no optional feature or Live has it
+function isToolAvailable(tool) {
+    const feature = tool.mapping?.requiresFeature;
+    return !feature || supportedFeatures.get(feature) === true;
+}
+
+// Automation
+// Clip envelopes are addressed like the clip itself (track, clip slot) followed by the
+// parameter: "mixer" and "volume" or "panning" for the track's mixer, or the device and
+// parameter index. Live interpolates linearly between breakpoints and only reports an
+// envelope's value at a given time, so envelopes are read by sampling and curved
+// segments are written as extra breakpoints, one every `resolution` beats. The envelope
+// addresses are an AbletonOSC extension (probed, see Optional addresses), and since
+// Live doesn't acknowledge envelope writes they are read back.
+const MIXER_PARAMETERS = { volume: { min: 0, max: 1 }, panning: { min: -1, max: 1 } };
+const AUTOMATION_CURVES = ["linear", "hold", "exponential", "logarithmic", "s_curve"];
+// Segment shapes from 0 to 1; exponential starts slow (filter sweeps), logarithmic fast
+const CURVE_EASING = {
+    linear: t => t,
+    exponential: t => (Math.exp(4 * t) - 1) / (Math.exp(4) - 1),
+    logarithmic: t => 1 - CURVE_EASING.exponential(1 - t),
+    s_curve: t => (1 - Math.cos(Math.PI * t)) / 2
+};
+// A held value drops to the next breakpoint's this close before it
+const HOLD_GAP_BEATS = 1 / 128;
+const MAX_ENVELOPE_SAMPLES = 1024;
+const ENVELOPE_SAMPLES_PER_MESSAGE = 128;
+const BREAKPOINTS_PER_MESSAGE = 128;
+
+const AUTOMATION_TARGET_PROPERTIES = {
+    track_index: {
+        type: "integer",
+        description: "Track index (0-based)",
+        minimum: 0
+    },
+    clip_index: {
+        type: "integer",
+        description: "Clip slot index (0-based)",
+        minimum: 0
+    },
+    mixer_parameter: {
+        type: "string",
+        description: "Track mixer parameter to automate; use this or device_index",
+        enum: Object.keys(MIXER_PARAMETERS)
+    },
+    device_index: {
+        type: "integer",
+        description: "Device index on the track (0-based, see list_devices); use this or mixer_parameter",
+        minimum: 0
+    },
+    parameter_index: {
+        type: "integer",
+        description: "Device parameter index (0-based); use this or parameter_name",
+        minimum: 0
+    },
+    parameter_name: {
+        type: "string",
+        description: "Device parameter name; use this or parameter_index"
+    }
+};
+
+// The envelope address arguments, range and current value of the parameter a call names
+async function resolveAutomationTarget(args) {
+    const { track_index, mixer_parameter, device_index, parameter_index, parameter_name } = args;
+    if ((mixer_parameter === undefined) === (device_index === undefined)) {
+        throw new Error("Provide exactly one of mixer_parameter or device_index");
+    }
+    if (mixer_parameter !== undefined) {
+        const [value] = await sendAndWait(`/live/track/get/${mixer_parameter}`, track_index);
+        return {
+            target: ["mixer", mixer_parameter],
+            name: mixer_parameter,
+            ...MIXER_PARAMETERS[mixer_parameter],
+            value: roundFloat(value)
+        };
+    }
+
+    if ((parameter_index === undefined) === (parameter_name === undefined)) {
+        throw new Error("Provide exactly one of parameter_index or parameter_name");
+    }
+    const parameters = await fetchDeviceParameters(track_index, device_index, { valueStrings: false });
+    const parameter = parameter_name !== undefined
+        ? findByName(parameter_name, parameters, { kind: "parameter" })
+        : parameters[parameter_index];
+    if (!parameter) {
+        throw new Error(`Parameter index ${parameter_index} out of range (device has ${parameters.length} parameters)`);
+    }
+    return { target: [device_index, parameter.index], ...parameter };
+}
+
+function describeAutomationTarget(args, parameter) {
+    return {
+        track_index: args.track_index,
+        clip_index: args.clip_index,
+        ...(parameter.target[0] === "mixer" ? { mixer_parameter: parameter.name } : {
+            device_index: parameter.target[0],
+            parameter_index: parameter.index,
+            parameter: parameter.name
+        }),
+        min: parameter.min,
+        max: parameter.max
+    };
+}
+
+// Envelope values at the given times, or null when the clip has no envelope for the parameter
+async function sampleEnvelope(trackIndex, clipIndex, target, times) {
+    const values = [];
+    for (let i = 0; i < times.length; i += ENVELOPE_SAMPLES_PER_MESSAGE) {
+        const chunk = await sendAndWait("/live/clip/get/envelope", trackIndex, clipIndex, ...target,
+            ...times.slice(i, i + ENVELOPE_SAMPLES_PER_MESSAGE));
+        if (!chunk.length) return null;
+        values.push(...chunk);
+    }
+    return values.map(roundFloat);
+}
+
+// Samples reduced to the points where the envelope changes direction or slope
+function envelopeBreakpoints(samples, tolerance) {
+    return samples.filter((sample, i) => {
+        if (i === 0 || i === samples.length - 1) return true;
+        const [before, after] = [samples[i - 1], samples[i + 1]];
+        const expected = before.value + (after.value - before.value) * (sample.time - before.time) / (after.time - before.time);
+        return Math.abs(sample.value - expected) > tolerance;
+    });
+}
+
+// Breakpoints with curves -> the linear breakpoints Live gets
+function renderBreakpoints(breakpoints, resolution) {
+    const sorted = [...breakpoints].sort((a, b) => a.time - b.time);
+    const points = [];
+    sorted.forEach((point, i) => {
+        points.push({ time: point.time, value: point.value });
+        const next = sorted[i + 1];
+        const curve = point.curve ?? "linear";
+        if (!next || curve === "linear" || next.time === point.time) return;
+        if (curve === "hold") {
+            points.push({ time: Math.max(point.time, next.time - HOLD_GAP_BEATS), value: point.value });
+            return;
+        }
+        const span = next.time - point.time;
+        const steps = Math.ceil(span / resolution);
+        for (let step = 1; step < steps; step++) {
+            const t = step / steps;
+            points.push({
+                time: point.time + span * t,
+                value: point.value + (next.value - point.value) * CURVE_EASING[curve](t)
+            });
+        }
+    });
+    return points.map(p => ({ time: roundFloat(p.time), value: roundFloat(p.value) }));
+}
+
+// Check breakpoints against the parameter's range and the clip's length, then write them
+// (after clearing the envelope with replace)
+async function writeEnvelope(args, parameter, breakpoints) {
+    const { track_index, clip_index, replace = true, resolution = 0.0625 } = args;
+    const outOfRange = breakpoints.filter(p => p.value < parameter.min || p.value > parameter.max);
+    if (outOfRange.length) {
+        throw new Error(
+            `${outOfRange.length} breakpoints are outside the range of '${parameter.name}' ` +
+            `(${parameter.min} to ${parameter.max}), e.g. ${outOfRange[0].value} at beat ${outOfRange[0].time}`
+        );
+    }
+    const [clipLength] = await sendAndWait("/live/clip/get/length", track_index, clip_index);
+    const end = Math.max(...breakpoints.map(p => p.time));
+    if (end > clipLength + 1e-6) {
+        throw new Error(`The automation runs to beat ${end} but the clip is ${roundFloat(clipLength)} beats long`);
+    }
+
+    const points = renderBreakpoints(breakpoints, resolution);
+    if (replace) fireAndForget("/live/clip/envelope/clear", track_index, clip_index, ...parameter.target);
+    for (let i = 0; i < points.length; i += BREAKPOINTS_PER_MESSAGE) {
+        const values = points.slice(i, i + BREAKPOINTS_PER_MESSAGE).flatMap(p => [p.time, 0, p.value]);
+        fireAndForget("/live/clip/envelope/insert_step", track_index, clip_index, ...parameter.target, ...values);
+    }
+
+    const written = await sampleEnvelope(track_index, clip_index, parameter.target, points.map(p => p.time));
+    const tolerance = (parameter.max - parameter.min) * 1e-3;
+    const wrong = written ? points.findIndex((p, i) => Math.abs(written[i] - p.value) > tolerance) : 0;
+    if (wrong !== -1) {
+        throw new Error(
+            `Live didn't apply the automation: at beat ${points[wrong].time} the envelope ` +
+            `${written ? `is ${written[wrong]}` : "doesn't exist"}, expected ${points[wrong].value}`
+        );
+    }
+    return {
+        ...describeAutomationTarget(args, parameter),
+        breakpoints_written: points.length,
+        start_time: points[0].time,
+        end_time: points.at(-1).time
+    };
+}
+
+// Breakpoints for write_automation_shape. fade and sweep ramp from -> to; pump drops to
+// `from` at the start of every period and comes back to `to` over `release` of it.
+function automationShape(shape, { start, end, from, to, curve, period = 1, release = 0.75 }) {
+    if (shape !== "pump") {
+        return [
+            { time: start, value: from, curve: curve ?? (shape === "sweep" ? "exponential" : "linear") },
+            { time: end, value: to }
+        ];
+    }
+
+    const points = [];
+    for (let beat = 0; start + beat * period < end - 1e-6; beat++) {
+        const time = start + beat * period;
+        points.push({ time, value: from, curve: curve ?? "logarithmic" });
+        points.push({ time: Math.min(end, time + period * release), value: to, curve: "hold" });
+    }
+    if (points.at(-1).time < end) points.push({ time: end, value: to });
+    return points;
+}
+
+// Arrangement
+// Positions are in beats from the start of the arrangement. AbletonOSC returns
+// cue points (locators) as name, time pairs in time order; the index of a cue point
+// is its position in that list. Live doesn't acknowledge copying a session clip into
+// the arrangement and older AbletonOSC releases ignore the address, so copies are
+// confirmed by reading the track's arrangement clips back.
+async function readArrangementClips(trackIndex) {
+    const [names, lengths, starts] = await Promise.all(
+        ["name", "length", "start_time"].map(p => sendAndWait(`/live/track/get/arrangement_clips/${p}`, trackIndex))
+    );
+    return names.map((name, index) => ({
+        index,
+        name,
+        start_time: roundFloat(starts[index]),
+        end_time: roundFloat(starts[index] + lengths[index]),
+        length: roundFloat(lengths[index])
+    }));
+}
+
+// Check that each { track_index, clip, starts } copy is in the arrangement
+async function confirmArrangementCopies(copies) {
+    const tracks = [...new Set(copies.map(c => c.track_index))];
+    let arranged;
+    try {
+        arranged = await Promise.all(tracks.map(readArrangementClips));
+    } catch (err) {
+        throw new Error(`Could not confirm the arrangement copies: ${err.message}`);
+    }
+    for (const { track_index, clip, starts } of copies) {
+        const clips = arranged[tracks.indexOf(track_index)];
+        const missing = starts.filter(start => !clips.some(c => c.name === clip && Math.abs(c.start_time - start) < 1e-3));
+        if (missing.length) {
+            throw new Error(
+                `Live didn't copy '${clip}' into the arrangement of track ${track_index} at beat ${missing.join(", ")}; ` +
+                "this AbletonOSC may not support /live/track/duplicate_clip_to_arrangement"
+            );
+        }
+    }
+}
+
+async function readCuePoints() {
+    const values = await sendAndWait("/live/song/get/cue_points");
+    const cuePoints = [];
+    for (let i = 0; i + 1 < values.length; i += 2) {
+        cuePoints.push({ index: i / 2, name: values[i], time: roundFloat(values[i + 1]) });
+    }
+    return cuePoints;
+}
+
+async function findCuePoint({ index, name }) {
+    if ((index === undefined) === (name === undefined)) {
+        throw new Error("Provide exactly one of index or name");
+    }
+    const cuePoints = await readCuePoints();
+    if (name !== undefined) return findByName(name, cuePoints, { kind: "cue point" });
+    if (!cuePoints[index]) {
+        throw new Error(`Cue point ${index} does not exist; the arrangement has ${cuePoints.length} cue points`);
+    }
+    return cuePoints[index];
+}
+
+// Live adds or removes the cue point at the playhead, so toggling them elsewhere means
+// moving the playhead to each position in turn (afterEach runs there); a stopped
+// playhead is put back afterwards
+async function toggleCuePointsAt(times, afterEach = () => {}) {
+    const [[isPlaying], [playhead]] = await Promise.all([
+        sendAndWait("/live/song/get/is_playing"),
+        sendAndWait("/live/song/get/current_song_time")
+    ]);
+    times.forEach((time, i) => {
+        fireAndForget("/live/song/set/current_song_time", time);
+        fireAndForget("/live/song/cue_point/add_or_delete");
+        afterEach(time, i);
+    });
+    if (!isPlaying && times.some(time => time !== playhead)) {
+        fireAndForget("/live/song/set/current_song_time", roundFloat(playhead));
+    }
+}
+
+// Song structure
+// build_song_structure lays out scenes section by section, each a number of bars long.
+// Into the arrangement, every clip of a section's scene is copied to the section start
+// (looping clips repeated to fill it) and a cue point marks it. Scheduled, the first
+// scene is launched right away and the song time listener launches each next one a
+// launch quantum before its section starts, so Live's launch quantization lands it on
+// the boundary. Stopping playback or scheduling another structure cancels a schedule.
+// Launch quantum per Song.clip_trigger_quantization value, in bars or in beats
+const LAUNCH_QUANTUM_BARS = { 1: 8, 2: 4, 3: 2, 4: 1 };
+const LAUNCH_QUANTUM_BEATS = { 0: 0, 5: 2, 6: 4 / 3, 7: 1, 8: 2 / 3, 9: 0.5, 10: 1 / 3, 11: 0.25, 12: 1 / 6, 13: 0.125 };
+
+let songSchedule = null;
+
+async function readBeatsPerBar() {
+    const [[numerator], [denominator]] = await Promise.all([
+        sendAndWait("/live/song/get/signature_numerator"),
+        sendAndWait("/live/song/get/signature_denominator")
+    ]);
+    return numerator * 4 / denominator;
+}
+
+// Sections with their scene resolved and their place on the timeline, from start_time on
+async function planSongSections(sections, startTime, beatsPerBar) {
+    const { scenes } = await OSC_MAPPINGS.list_scenes.handler({});
+    let time = startTime;
+    return sections.map((section, i) => {
+        let scene;
+        if ((section.scene_index === undefined) === (section.scene === undefined)) {
+            throw new Error(`Section ${i} needs exactly one of scene_index or scene`);
+        }
+        if (section.scene !== undefined) scene = findByName(section.scene, scenes, { kind: "scene" });
+        else if (!(scene = scenes[section.scene_index])) {
+            throw new Error(`Section ${i}: scene ${section.scene_index} does not exist; the set has ${scenes.length} scenes`);
+        }
+
+        const planned = {
+            section: i,
+            scene_index: scene.index,
+            scene: scene.name,
+            bars: section.bars,
+            start_bar: roundFloat((time - startTime) / beatsPerBar) + 1,
+            start_time: roundFloat(time),
+            end_time: roundFloat(time + section.bars * beatsPerBar)
+        };
+        time += section.bars * beatsPerBar;
+        return planned;
+    });
+}
+
+async function placeSongStructure(sections, { cue_points = true }) {
+    const [numTracks] = await sendAndWait("/live/song/get/num_tracks");
+    const snapshot = await fetchTrackSnapshot(0, numTracks, { track: ["name"], clip: ["name", "length", "looping"] });
+
+    for (const section of sections) {
+        section.clips = [];
+        for (const track of snapshot) {
+            const clip = track.slots[section.scene_index]?.clip;
+            if (!clip) continue;
+            // A clip longer than its section runs into the next one, where that section's
+            // copies replace it; only the end of the last section can stick out
+            const starts = [section.start_time];
+            while (clip.looping && starts.at(-1) + clip.length < section.end_time - 1e-6) {
+                starts.push(roundFloat(starts.at(-1) + clip.length));
+            }
+            for (const start of starts) {
+                fireAndForget("/live/track/duplicate_clip_to_arrangement", track.index, section.scene_index, start);
+            }
+            section.clips.push({ track_index: track.index, track: track.name, clip: clip.name, length: clip.length, starts });
+        }
+    }
+    await confirmArrangementCopies(sections.flatMap(s => s.clips));
+    if (!cue_points) return { sections };
+
+    // Sections starting on an existing cue point keep it (toggling would remove it)
+    const existing = await readCuePoints();
+    const taken = new Set(existing.map(c => c.time));
+    const added = sections.filter(s => !taken.has(s.start_time));
+    const below = time => existing.filter(c => c.time < time).length;
+    await toggleCuePointsAt(added.map(s => s.start_time), (time, i) => {
+        fireAndForget("/live/song/cue_point/set/name", below(time) + i, added[i].scene || `Scene ${added[i].scene_index + 1}`);
+    });
+    return {
+        sections,
+        cue_points_added: added.length,
+        ...(added.length < sections.length && { cue_points_kept: sections.length - added.length })
+    };
+}
+
+async function scheduleSongStructure(sections, beatsPerBar, { stop_at_end = true }) {
+    const [[quantization], [isPlaying], [songTime]] = await Promise.all([
+        sendAndWait("/live/song/get/clip_trigger_quantization"),
+        sendAndWait("/live/song/get/is_playing"),
+        sendAndWait("/live/song/get/current_song_time")
+    ]);
+    const quantum = LAUNCH_QUANTUM_BARS[quantization] !== undefined
+        ? LAUNCH_QUANTUM_BARS[quantization] * beatsPerBar
+        : LAUNCH_QUANTUM_BEATS[quantization] ?? 0;
+    sections.forEach((section, i) => {
+        const quanta = section.bars * beatsPerBar / quantum;
+        if (quantum && (quanta < 1 - 1e-6 || Math.abs(quanta - Math.round(quanta)) > 1e-6)) {
+            throw new Error(
+                `Section ${i} (${section.bars} bars) isn't a whole number of launch quantization steps ` +
+                `(${roundFloat(quantum / beatsPerBar)} bars); change its length or lower the global quantization`
+            );
+        }
+    });
+
+    // The first scene starts at the next launch boundary, or right away when stopped
+    const origin = isPlaying && quantum ? (Math.floor(songTime / quantum) + 1) * quantum : songTime;
+    const timeline = await planSongSections(sections, origin, beatsPerBar);
+    const launches = timeline.slice(1).map(s => ({
+        scene_index: s.scene_index,
+        scene: s.scene,
+        fire_at: roundFloat(s.start_time - quantum),
+        starts_at: s.start_time
+    }));
+    if (stop_at_end) {
+        const end = timeline.at(-1).end_time;
+        launches.push({ stop: true, fire_at: roundFloat(end - quantum), starts_at: end });
+    }
+
+    fireAndForget("/live/scene/fire", timeline[0].scene_index);
+    songSchedule = { launches: [...launches] };
+    // Listening is server state, not part of this call's changes
+    await recordedWrites.exit(() => startListeners());
+    return { sections: timeline, launch_quantization_beats: roundFloat(quantum), launches };
+}
+
+// Called with each song time Live pushes while a schedule is active
+function advanceSongSchedule(time) {
+    while (songSchedule?.launches.length && time >= songSchedule.launches[0].fire_at) {
+        const launch = songSchedule.launches.shift();
+        if (launch.stop) fireAndForget("/live/song/stop_all_clips");
+        else fireAndForget("/live/scene/fire", launch.scene_index);
+        console.error(`🎬 ${launch.stop ? "Stopping clips" : `Launching scene ${launch.scene_index}`} at beat ${launch.starts_at}`);
+    }
+    if (songSchedule && !songSchedule.launches.length) {
+        songSchedule = null;
+        stopUnusedListeners();
+    }
+}
+
+// OSC Command Mapping System
+// Maps tool names to OSC addresses and parameter transformations.
+// Entries carry their own description and input_schema and are merged with the
+// tools from ableton_mcp_tools.json into a single registry (see buildToolRegistry).
+// An entry that deliberately replaces a JSON tool sets overridesJson and inherits
+// the JSON description/input_schema unless it defines its own.
+// Entries that only read from Live set readOnly (they get a refresh option, see
+// withRefreshOption); all others get a verify option (withVerifyOption).
+const OSC_MAPPINGS = {
+    health_check: {
+        readOnly: true,
+        description:
+            "Check the connection to Live: status (ok, connecting, unresponsive or socket_error), " +
+            "round-trip latency, time of the last reply from AbletonOSC and the Live version",
+        input_schema: { type: "object", properties: {}, required: [] },
+        async handler() {
+            const latency = await heartbeat();
+            return {
+                status: connection.state === "connected" ? "ok" : connection.state,
+                since: connection.since,
+                latency_ms: latency,
+                last_reply_at: connection.last_reply_at,
+                live_version: connection.live_version,
+                error: connection.error,
+                abletonosc: {
+                    host: oscTarget.host,
+                    port: oscTarget.port,
+                    bulk_queries: bulkQueriesSupported
+                }
+            };
+        }
+    },
+
+    // Song/Global Operations
+    get_song_info: {
+        readOnly: true,
+        overridesJson: true,
+        async handler() {
+            const [
+                [tempo], [numNumerator], [numDenominator], [isPlaying], [currentTime], [loopStart], [loopLength]
+            ] = await Promise.all([
+                sendAndWait("/live/song/get/tempo"),
+                sendAndWait("/live/song/get/signature_numerator"),
+                sendAndWait("/live/song/get/signature_denominator"),
+                sendAndWait("/live/song/get/is_playing"),
+                sendAndWait("/live/song/get/current_song_time"),
+                sendAndWait("/live/song/get/loop_start"),
+                sendAndWait("/live/song/get/loop_length")
+            ]);
+
+            return {
+                tempo,
+                time_signature_numerator: numNumerator,
+                time_signature_denominator: numDenominator,
+                is_playing: !!isPlaying,
+                current_song_time: currentTime,
+                loop_start: loopStart,
+                loop_length: loopLength
+            };
+        }
+    },
+
+    adjust_tempo: {
+        description:
+            "Change the tempo relative to where it is: by a number of BPM (tempo_delta: +4, -10) or by a percent " +
+            "(nudge: 5 = 5% faster, -2 = 2% slower). Use set_tempo for an absolute BPM.",
+        input_schema: {
+            type: "object",
+            properties: {
+                tempo_delta: {
+                    type: "number",
+                    description: "BPM to add (negative = slower); use this or nudge"
+                },
+                nudge: {
+                    type: "number",
+                    description: "Percent to speed up (negative = slow down); use this or tempo_delta",
+                    minimum: -95,
+                    maximum: 1000
+                }
+            },
+            required: []
+        },
+        async handler({ tempo_delta, nudge }) {
+            if ((tempo_delta === undefined) === (nudge === undefined)) {
+                throw new Error("Provide exactly one of tempo_delta or nudge");
+            }
+
+            const [current] = await sendAndWait("/live/song/get/tempo");
+            const previous = Math.round(current * 100) / 100;
+            const target = tempo_delta !== undefined ? current + tempo_delta : current * (1 + nudge / 100);
+            const tempo = Math.round(target * 100) / 100;
+            if (tempo < 20 || tempo > 999) {
+                throw new Error(`That would make the tempo ${tempo} BPM; Live's tempo range is 20-999 BPM (now ${previous})`);
+            }
+
+            fireAndForget("/live/song/set/tempo", tempo);
+            return { previous_tempo: previous, tempo };
+        }
+    },
+
+    set_song_key: {
+        description:
+            "Set the song key (root and scale) used by snap_to_scale, the pattern generators and analyze_clip_key. " +
+            "Also sets Live's root note and scale where Live and AbletonOSC have them.",
+        input_schema: {
+            type: "object",
+            properties: {
+                key: {
+                    type: "string",
+                    description: `Key, e.g. "C major", "A minor", "F# dorian", "Eb minor pentatonic" (scales: ${Object.keys(SCALES).join(", ")})`,
+                    minLength: 1
+                }
+            },
+            required: ["key"]
+        },
+        async handler(args) {
+            const { root, scale } = parseKey(args.key);
+            fireAndForget("/live/song/set/root_note", root);
+            fireAndForget("/live/song/set/scale_name", liveScaleName(scale));
+            songKey = { root, scale };
+            return describeKey(root, scale);
+        }
+    },
+
+    get_song_key: {
+        readOnly: true,
+        description:
+            "Get the song key: root, scale and the notes of the scale. source is \"live\" when it was read from " +
+            "Live's root note and scale, \"server\" when Live doesn't have them and the key set with set_song_key is used.",
+        input_schema: { type: "object", properties: {}, required: [] },
+        async handler() {
+            const key = await readSongKey();
+            if (!key) throw new Error("No song key is set; set one with set_song_key");
+            return key;
+        }
+    },
+
+    // Track Operations
+    list_tracks: {
+        readOnly: true,
+        description:
+            "List all tracks with their name, color, mute, solo and arm state, and on request the return " +
+            "tracks and the master track (volume, pan, crossfader)",
+        input_schema: {
+            type: "object",
+            properties: {
+                include_return_tracks: {
+                    type: "boolean",
+                    description: "Also list return tracks",
+                    default: false
+                },
+                include_master: {
+                    type: "boolean",
+                    description: "Also list the master track",
+                    default: false
+                }
+            },
+            required: []
+        },
+        async handler(args) {
+            const includeReturn = args.include_return_tracks || false;
+            const includeMaster = args.include_master || false;
+            const [numTracks] = await sendAndWait("/live/song/get/num_tracks");
+
+            const snapshot = await fetchTrackSnapshot(0, numTracks, {
+                track: ["name", "color", "mute", "solo", "arm"]
+            });
+            const tracks = snapshot.map(t => ({
+                id: t.index,
+                name: t.name,
+                color: t.color,
+                mute: !!t.mute,
+                solo: !!t.solo,
+                arm: !!t.arm
+            }));
+            const [returnTracks, master] = await Promise.all([
+                includeReturn && readReturnTracks(["name", "color", "mute", "solo"]),
+                includeMaster && readMasterTrack()
+            ]);
+
+            return {
+                tracks,
+                ...(returnTracks && {
+                    return_tracks: returnTracks.map(t => ({
+                        id: t.index,
+                        name: t.name,
+                        color: t.color,
+                        mute: !!t.mute,
+                        solo: !!t.solo
+                    }))
+                }),
+                ...(master && { master })
+            };
+        }
+    },
+
+    get_track_clips: {
+        readOnly: true,
+        description: "List the clips in every clip slot of a track with name, length and loop state",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["track_index"]
+        },
+        async handler(args) {
+            const trackIndex = args.track_index;
+            const [snapshot] = await fetchTrackSnapshot(trackIndex, trackIndex + 1, {
+                clip: ["name", "length", "looping"]
+            });
+
+            const clips = snapshot.slots
+                .filter(slot => slot.clip)
+                .map(slot => ({
+                    slot_index: slot.slot_index,
+                    name: slot.clip.name,
+                    length: slot.clip.length,
+                    looping: !!slot.clip.looping
+                }));
+
+            return { clips };
+        }
+    },
+
+    // Scene Operations
+    list_scenes: {
+        readOnly: true,
+        description: "List all scenes with their index and name",
+        input_schema: { type: "object", properties: {}, required: [] },
+        async handler() {
+            const [numScenes] = await sendAndWait("/live/song/get/num_scenes");
+
+            const names = await Promise.all(range(0, numScenes).map(i => sendAndWait("/live/scene/get/name", i)));
+            const scenes = names.map(([name], index) => ({
+                index,
+                name
+            }));
+
+            return { scenes };
+        }
+    },
+
+    duplicate_scene: {
+        description: "Duplicate a scene, inserting the copy directly below it",
+        input_schema: {
+            type: "object",
+            properties: {
+                scene_index: {
+                    type: "integer",
+                    description: "Scene index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["scene_index"]
+        },
+        // Song.duplicate_scene; AbletonOSC has no /live/scene/duplicate
+        address: "/live/song/duplicate_scene",
+        params: ["scene_index"],
+        fireAndForget: true
+    },
+
+    // Track Properties
+    set_track_property: {
+        description: "Set a mixer or display property of a track (volume, pan, mute, solo, arm, name or color)",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                property: {
+                    type: "string",
+                    description: "Property to set",
+                    enum: ["volume", "pan", "mute", "solo", "arm", "name", "color"]
+                },
+                value: {
+                    type: ["number", "boolean", "string"],
+                    description:
+                        "New value: 0.0-1.0 or a level in dB (\"-6 dB\") for volume, -1.0-1.0 or \"25L\"/\"C\"/\"40R\" for pan, " +
+                        "boolean for mute/solo/arm, string for name, integer for color"
+                }
+            },
+            required: ["track_index", "property", "value"]
+        },
+        async handler(args) {
+            const { track_index, property, value } = args;
+
+            // AbletonOSC names the pan property after Live's Track.mixer_device.panning
+            const propertyMap = {
+                volume: "/live/track/set/volume",
+                pan: "/live/track/set/panning",
+                mute: "/live/track/set/mute",
+                solo: "/live/track/set/solo",
+                arm: "/live/track/set/arm",
+                name: "/live/track/set/name",
+                color: "/live/track/set/color"
+            };
+
+            const address = propertyMap[property];
+            if (!address) {
+                throw new Error(`Unknown property: ${property}`);
+            }
+
+            // Convert boolean values to integers for OSC, and dB / L-R pan to fader values
+            let oscValue = value;
+            if (typeof value === "boolean") {
+                oscValue = value ? 1 : 0;
+            } else if (property === "volume" || property === "pan") {
+                oscValue = mixerValue(property, value);
+            }
+
+            fireAndForget(address, track_index, oscValue);
+            return `Track ${track_index} ${property} set to ${value}${oscValue !== value ? ` (${oscValue})` : ""}`;
+        }
+    },
+
+    get_track_volume: {
+        readOnly: true,
+        overridesJson: true,
+        description:
+            "Get a track's volume as the fader value (0.0-1.0) and in dB (volume_db is null when the fader " +
+            "is all the way down, i.e. -inf dB)",
+        async handler({ track_id }) {
+            const [volume] = await sendAndWait("/live/track/get/volume", track_id);
+            return { track_id, ...describeVolume(volume) };
+        }
+    },
+
+    set_track_volume: {
+        overridesJson: true,
+        description:
+            "Set a track's volume as a fader value (0.0-1.0, 0.85 = 0 dB), in dB (-6, up to +6) or by a change " +
+            "in dB from where it is (delta_db: -3 = \"3 dB quieter\")",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_id: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                volume: {
+                    type: "number",
+                    description: "Fader value, 0.0 (-inf dB) to 1.0 (+6 dB); use one of volume, db or delta_db",
+                    minimum: 0,
+                    maximum: 1
+                },
+                db: {
+                    type: "number",
+                    description: `Level in dB (0 = unity, at most +${MAX_VOLUME_DB})`,
+                    maximum: MAX_VOLUME_DB
+                },
+                delta_db: {
+                    type: "number",
+                    description: "Change in dB from the current level (negative = quieter)"
+                }
+            },
+            required: ["track_id"]
+        },
+        async handler({ track_id, volume, db, delta_db }) {
+            if ([volume, db, delta_db].filter(v => v !== undefined).length !== 1) {
+                throw new Error("Provide exactly one of volume, db or delta_db");
+            }
+
+            let value = volume;
+            if (db !== undefined) value = dbToVolume(db);
+            if (delta_db !== undefined) {
+                const [current] = await sendAndWait("/live/track/get/volume", track_id);
+                if (current <= 0) {
+                    throw new Error(`Track ${track_id} is at -inf dB, so there is no level to change by ${delta_db} dB; set db instead`);
+                }
+                value = dbToVolume(volumeToDb(current) + delta_db);
+            }
+
+            fireAndForget("/live/track/set/volume", track_id, value);
+            return { track_id, ...describeVolume(value) };
+        }
+    },
+
+    get_track_panning: {
+        readOnly: true,
+        overridesJson: true,
+        description: "Get a track's pan as a value (-1.0 left to 1.0 right) and as a percent to one side (\"25L\", \"C\", \"40R\")",
+        async handler({ track_id }) {
+            const [panning] = await sendAndWait("/live/track/get/panning", track_id);
+            return { track_id, panning: roundFloat(panning), pan: formatPan(panning) };
+        }
+    },
+
+    set_track_panning: {
+        overridesJson: true,
+        description: "Set a track's pan as a value (-1.0 left to 1.0 right) or as a percent to one side (\"25L\", \"C\", \"40R\")",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_id: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                panning: {
+                    type: "number",
+                    description: "Pan, -1.0 (left) to 1.0 (right); use this or pan",
+                    minimum: -1,
+                    maximum: 1
+                },
+                pan: {
+                    type: "string",
+                    description: "Pan as a percent to the left or right, e.g. \"25L\", \"C\" (center), \"100R\"; use this or panning",
+                    minLength: 1
+                }
+            },
+            required: ["track_id"]
+        },
+        async handler({ track_id, panning, pan }) {
+            if ((panning === undefined) === (pan === undefined)) {
+                throw new Error("Provide exactly one of panning or pan");
+            }
+            const value = panning ?? parsePan(pan);
+            fireAndForget("/live/track/set/panning", track_id, value);
+            return { track_id, panning: value, pan: formatPan(value) };
+        }
+    },
+
+    get_track_sends: {
+        readOnly: true,
+        description: "Get a track's send levels, one per return track (0.0-1.0)",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["track_index"]
+        },
+        async handler({ track_index }) {
+            const returnTracks = await readReturnTracks(["name"]);
+            const levels = await Promise.all(returnTracks.map(r => sendAndWait("/live/track/get/send", track_index, r.index)));
+            return {
+                track_index,
+                sends: returnTracks.map((r, i) => ({
+                    send_index: r.index,
+                    return_track: r.name,
+                    value: roundFloat(levels[i][0])
+                }))
+            };
+        }
+    },
+
+    set_track_send: {
+        description:
+            "Set how much of a track goes to a return track, by send index or return track name " +
+            "(e.g. 0.3 to \"Reverb\" for 30%)",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                send_index: {
+                    type: "integer",
+                    description: "Send index (0-based, 0 = return A); use this or return_track",
+                    minimum: 0
+                },
+                return_track: {
+                    type: "string",
+                    description: "Return track name (case-insensitive, closest match); use this or send_index",
+                    minLength: 1
+                },
+                value: {
+                    type: "number",
+                    description: "Send level, 0.0 (off) to 1.0 (full)",
+                    minimum: 0,
+                    maximum: 1
+                }
+            },
+            required: ["track_index", "value"]
+        },
+        async handler(args) {
+            const { track_index, send_index, return_track, value } = args;
+            if ((send_index === undefined) === (return_track === undefined)) {
+                throw new Error("Provide exactly one of send_index or return_track");
+            }
+
+            const returnTracks = await readReturnTracks(["name"]);
+            const target = return_track !== undefined
+                ? findByName(return_track, returnTracks, { kind: "return track" })
+                : returnTracks[send_index];
+            if (!target) {
+                throw new Error(`Send ${send_index} does not exist; the set has ${returnTracks.length} return tracks`);
+            }
+
+            fireAndForget("/live/track/set/send", track_index, target.index, value);
+            return { track_index, send_index: target.index, return_track: target.name, value };
+        }
+    },
+
+    get_track_routing: {
+        readOnly: true,
+        description: "Get where a track's input comes from and where its output goes (routing type and channel, read-only)",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["track_index"]
+        },
+        async handler({ track_index }) {
+            const values = await Promise.all(ROUTING_PROPERTIES.map(p => sendAndWait(`/live/track/get/${p}`, track_index)));
+            return { track_index, ...Object.fromEntries(ROUTING_PROPERTIES.map((p, i) => [p, values[i][0]])) };
+        }
+    },
+
+    // Master Track
+    get_master_track: {
+        readOnly: true,
+        description:
+            "Get the master track's volume (0.0-1.0 and in dB), pan (-1.0 to 1.0 and as \"25L\"/\"C\"/\"40R\") " +
+            "and crossfader (-1.0 to 1.0)",
+        input_schema: { type: "object", properties: {}, required: [] },
+        async handler() {
+            return readMasterTrack();
+        }
+    },
+
+    set_master_property: {
+        description: "Set the master track's volume, pan or crossfader",
+        input_schema: {
+            type: "object",
+            properties: {
+                property: {
+                    type: "string",
+                    description: "Property to set",
+                    enum: Object.keys(MASTER_PROPERTIES)
+                },
+                value: {
+                    type: ["number", "string"],
+                    description:
+                        "New value: 0.0-1.0 or a level in dB (\"-3 dB\") for volume, -1.0 (left / A) to 1.0 (right / B) " +
+                        "for pan and crossfader, or \"25L\"/\"C\"/\"40R\" for pan",
+                    minimum: -1,
+                    maximum: 1
+                }
+            },
+            required: ["property", "value"]
+        },
+        async handler({ property, value }) {
+            const oscValue = mixerValue(property, value);
+            fireAndForget(`/live/master_track/set/${MASTER_PROPERTIES[property]}`, oscValue);
+            return `Master ${property} set to ${value}${oscValue !== value ? ` (${oscValue})` : ""}`;
+        }
+    },
+
+    // Clip Operations
+    set_clip_loop: {
+        description: "Enable or disable looping of a clip and set its loop start/end in beats",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                loop_enabled: {
+                    type: "boolean",
+                    description: "Whether the clip loops"
+                },
+                loop_start: {
+                    type: "number",
+                    description: "Loop start in beats",
+                    minimum: 0
+                },
+                loop_end: {
+                    type: "number",
+                    description: "Loop end in beats",
+                    minimum: 0
+                }
+            },
+            required: ["track_index", "clip_index"]
+        },
+        async handler(args) {
+            const { track_index, clip_index, loop_enabled, loop_start, loop_end } = args;
+
+            if (loop_enabled !== undefined) {
+                fireAndForget("/live/clip/set/looping", track_index, clip_index, loop_enabled ? 1 : 0);
+            }
+            if (loop_start !== undefined) {
+                fireAndForget("/live/clip/set/loop_start", track_index, clip_index, loop_start);
+            }
+            if (loop_end !== undefined) {
+                fireAndForget("/live/clip/set/loop_end", track_index, clip_index, loop_end);
+            }
+
+            return `Clip loop settings updated for track ${track_index}, clip ${clip_index}`;
+        }
+    },
+
+    create_midi_note: {
+        description: "Add a single MIDI note to a clip",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                pitch: {
+                    type: "integer",
+                    description: "MIDI note number (0-127, 60 = middle C)",
+                    minimum: 0,
+                    maximum: 127
+                },
+                start_time: {
+                    type: "number",
+                    description: "Start position in beats",
+                    minimum: 0
+                },
+                duration: {
+                    type: "number",
+                    description: "Length in beats",
+                    exclusiveMinimum: 0
+                },
+                velocity: {
+                    type: "integer",
+                    description: "Velocity (0-127)",
+                    minimum: 0,
+                    maximum: 127,
+                    default: 100
+                },
+                mute: {
+                    type: "boolean",
+                    description: "Whether the note is muted",
+                    default: false
+                },
+                snap_to_scale: {
+                    type: "boolean",
+                    description: "Move pitches outside the song key's scale to the nearest scale note (see get_song_key)",
+                    default: false
+                }
+            },
+            required: ["track_index", "clip_index", "pitch", "start_time", "duration"]
+        },
+        async handler(args) {
+            const pitch = args.snap_to_scale ? snapToScale(args.pitch, await requireSongKey()) : args.pitch;
+            const params = [args.track_index, args.clip_index, pitch, args.start_time, args.duration, args.velocity, args.mute ? 1 : 0];
+            fireAndForget("/live/clip/add/notes", ...params);
+            return `Sent ${["/live/clip/add/notes", ...params].join(" ")}`;
+        }
+    },
+
+    // MIDI Note Editing
+    get_clip_notes: {
+        readOnly: true,
+        description: "Read the MIDI notes of a clip, optionally limited to a pitch and/or time range",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                ...NOTE_RANGE_PROPERTIES
+            },
+            required: ["track_index", "clip_index"]
+        },
+        async handler(args) {
+            const { track_index, clip_index } = args;
+            const notes = await readClipNotes(track_index, clip_index, noteRange(args));
+            return { notes };
+        }
+    },
+
+    remove_clip_notes: {
+        description: "Remove the MIDI notes of a clip in a pitch and/or time range (all notes if no range is given)",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                ...NOTE_RANGE_PROPERTIES
+            },
+            required: ["track_index", "clip_index"]
+        },
+        async handler(args) {
+            const { track_index, clip_index } = args;
+            const range = noteRange(args);
+            const removed = await readClipNotes(track_index, clip_index, range);
+            fireAndForget("/live/clip/remove/notes", track_index, clip_index, ...range);
+            return `Removed ${removed.length} notes from track ${track_index}, clip ${clip_index}`;
+        }
+    },
+
+    replace_clip_notes: {
+        description: "Replace the MIDI notes of a clip (or of a pitch/time range of it) with the given notes in a single call",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                notes: {
+                    type: "array",
+                    description: "Notes to write",
+                    items: NOTE_SCHEMA
+                },
+                snap_to_scale: {
+                    type: "boolean",
+                    description: "Move pitches outside the song key's scale to the nearest scale note (see get_song_key)",
+                    default: false
+                },
+                ...NOTE_RANGE_PROPERTIES
+            },
+            required: ["track_index", "clip_index", "notes"]
+        },
+        async handler(args) {
+            const { track_index, clip_index } = args;
+            const key = args.snap_to_scale && await requireSongKey();
+            const notes = key ? args.notes.map(n => ({ ...n, pitch: snapToScale(n.pitch, key) })) : args.notes;
+            fireAndForget("/live/clip/remove/notes", track_index, clip_index, ...noteRange(args));
+            writeClipNotes(track_index, clip_index, notes);
+            return `Wrote ${notes.length} notes to track ${track_index}, clip ${clip_index}`;
+        }
+    },
+
+    transform_clip_notes: {
+        description:
+            "Transform existing MIDI notes of a clip in place: transpose (optionally snapping to the song key's scale), " +
+            "scale velocity, shift in time, quantize to a grid and/or humanize. Operations are applied in that order, " +
+            "optionally only to notes in a pitch/time range.",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                transpose: {
+                    type: "integer",
+                    description: "Semitones to transpose by (e.g. 12 = up an octave)",
+                    minimum: -127,
+                    maximum: 127
+                },
+                snap_to_scale: {
+                    type: "boolean",
+                    description: "Move pitches outside the song key's scale to the nearest scale note (see get_song_key)",
+                    default: false
+                },
+                velocity_scale: {
+                    type: "number",
+                    description: "Multiply velocities by this factor (result clamped to 1-127)",
+                    minimum: 0
+                },
+                time_shift: {
+                    type: "number",
+                    description: "Beats to move notes by (negative = earlier)"
+                },
+                quantize_grid: {
+                    type: "number",
+                    description: "Grid in beats to quantize note starts to (0.25 = 1/16 notes in 4/4)",
+                    exclusiveMinimum: 0
+                },
+                quantize_strength: {
+                    type: "number",
+                    description: "How far to move notes towards the grid (0-1)",
+                    minimum: 0,
+                    maximum: 1,
+                    default: 1
+                },
+                humanize_timing: {
+                    type: "number",
+                    description: "Maximum random timing offset in beats",
+                    minimum: 0
+                },
+                humanize_velocity: {
+                    type: "integer",
+                    description: "Maximum random velocity offset",
+                    minimum: 0,
+                    maximum: 127
+                },
+                seed: {
+                    type: "integer",
+                    description: "Random seed for reproducible humanize results"
+                },
+                ...NOTE_RANGE_PROPERTIES
+            },
+            required: ["track_index", "clip_index"]
+        },
+        async handler(args) {
+            const { track_index, clip_index } = args;
+            const range = noteRange(args);
+            const notes = await readClipNotes(track_index, clip_index, range);
+            const key = args.snap_to_scale ? await requireSongKey() : null;
+            const transformed = transformNotes(notes, { ...args, key });
+
+            fireAndForget("/live/clip/remove/notes", track_index, clip_index, ...range);
+            writeClipNotes(track_index, clip_index, transformed);
+            return { transformed: transformed.length, notes: transformed };
+        }
+    },
+
+    analyze_clip_key: {
+        readOnly: true,
+        description:
+            "Estimate the key of a MIDI clip from its notes (Krumhansl-Schmuckler, weighted by note length). " +
+            "Returns the best match, the runners-up with their scores and the share of notes in the best key's scale.",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                candidates: {
+                    type: "integer",
+                    description: "How many candidate keys to return",
+                    minimum: 1,
+                    maximum: 24,
+                    default: 3
+                }
+            },
+            required: ["track_index", "clip_index"]
+        },
+        async handler({ track_index, clip_index, candidates = 3 }) {
+            const notes = (await readClipNotes(track_index, clip_index)).filter(n => !n.mute);
+            if (!notes.length) throw new Error(`Clip ${clip_index} on track ${track_index} has no notes to analyze`);
+
+            const estimate = estimateKeys(notes);
+            const best = estimate.candidates[0];
+            const inScale = notes.filter(n => SCALES[best.scale].includes((n.pitch - best.root + 12) % 12));
+            return {
+                track_index,
+                clip_index,
+                ...describeKey(best.root, best.scale),
+                confidence: roundFloat(best.score),
+                notes_in_scale: roundFloat(inScale.length / notes.length),
+                note_count: notes.length,
+                candidates: estimate.candidates.slice(0, candidates).map(c => ({
+                    key: `${NOTE_NAMES[c.root]} ${c.scale}`,
+                    score: roundFloat(c.score)
+                })),
+                pitch_class_weights: Object.fromEntries(
+                    estimate.histogram.map((weight, pc) => [NOTE_NAMES[pc], roundFloat(weight)])
+                )
+            };
+        }
+    },
+
+    // Pattern generators
+    write_chord_progression: {
+        description:
+            "Write a chord progression into a MIDI clip from Roman numerals or chord symbols, with a voicing " +
+            "and a rhythm per chord",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...GENERATOR_TARGET_PROPERTIES,
+                ...PROGRESSION_PROPERTIES,
+                octave: {
+                    type: "integer",
+                    description: "Octave of the chord roots (4: middle C = 60)",
+                    minimum: -1,
+                    maximum: 9,
+                    default: 4
+                },
+                voicing: {
+                    type: "string",
+                    description:
+                        "close (stacked from the root), open (root an octave lower), drop2, or smooth " +
+                        "(each chord in the inversion closest to the previous one)",
+                    enum: ["close", "open", "drop2", "smooth"],
+                    default: "close"
+                },
+                rhythm: {
+                    type: "string",
+                    description:
+                        "Step pattern spread over each chord: x = hit, X = accent, - = hold, . = rest " +
+                        "(\"x\" holds the chord, \"x.x.x.x.\" plays it on every beat of a 4-beat chord)",
+                    default: "x"
+                }
+            },
+            required: ["track_index", "clip_index", "progression"]
+        },
+        async handler(args) {
+            return writeChordProgression(args);
+        }
+    },
+
+    write_arpeggio: {
+        description: "Write an arpeggio over a chord progression into a MIDI clip",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...GENERATOR_TARGET_PROPERTIES,
+                ...PROGRESSION_PROPERTIES,
+                octave: {
+                    type: "integer",
+                    description: "Octave the arpeggio starts in (4: middle C = 60)",
+                    minimum: -1,
+                    maximum: 9,
+                    default: 4
+                },
+                octaves: {
+                    type: "integer",
+                    description: "Number of octaves the arpeggio spans",
+                    minimum: 1,
+                    maximum: 4,
+                    default: 1
+                },
+                pattern: {
+                    type: "string",
+                    description: "Order of the chord tones",
+                    enum: ["up", "down", "up_down", "down_up", "random"],
+                    default: "up"
+                },
+                rate: {
+                    type: "number",
+                    description: "Beats per note (0.25 = sixteenths)",
+                    exclusiveMinimum: 0,
+                    default: 0.25
+                },
+                gate: {
+                    type: "number",
+                    description: "Note length as a fraction of the rate",
+                    exclusiveMinimum: 0,
+                    maximum: 1,
+                    default: 0.9
+                },
+                seed: {
+                    type: "integer",
+                    description: "Seed for the random pattern",
+                    default: 0
+                }
+            },
+            required: ["track_index", "clip_index", "progression"]
+        },
+        async handler(args) {
+            return writeArpeggio(args);
+        }
+    },
+
+    write_drum_pattern: {
+        description:
+            "Write a drum pattern into a MIDI clip from step strings per drum, e.g. " +
+            "{\"kick\": \"x...x...x...x...\", \"snare\": \"....x.......x...\", \"closed_hat\": \"x.x.x.x.x.x.x.x.\"}. " +
+            "Drums are General MIDI names or note numbers; patterns shorter than the clip repeat.",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...GENERATOR_TARGET_PROPERTIES,
+                patterns: {
+                    type: "object",
+                    description:
+                        "Drum -> step pattern (x = hit, X = accent, - = hold, . = rest). Drums: " +
+                        Object.keys(GM_DRUMS).join(", ") + ", or a MIDI note number",
+                    additionalProperties: true
+                },
+                step: {
+                    type: "number",
+                    description: "Beats per step (0.25 = sixteenths)",
+                    exclusiveMinimum: 0,
+                    default: 0.25
+                },
+                length: {
+                    type: "number",
+                    description: "Beats to fill (default: the whole clip)",
+                    exclusiveMinimum: 0
+                }
+            },
+            required: ["track_index", "clip_index", "patterns"]
+        },
+        async handler(args) {
+            return writeDrumPattern(args);
+        }
+    },
+
+    write_bassline: {
+        description: "Write a bassline following a chord progression into a MIDI clip",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...GENERATOR_TARGET_PROPERTIES,
+                ...PROGRESSION_PROPERTIES,
+                octave: {
+                    type: "integer",
+                    description: "Octave of the bass roots (2: C2 = 36)",
+                    minimum: -1,
+                    maximum: 9,
+                    default: 2
+                },
+                style: {
+                    type: "string",
+                    description:
+                        "root, root_fifth, octave (root and the octave above), arpeggio (chord tones) or " +
+                        "walking (chord tones leading by a half step into the next chord)",
+                    enum: ["root", "root_fifth", "octave", "arpeggio", "walking"],
+                    default: "root"
+                },
+                rhythm: {
+                    type: "string",
+                    description:
+                        "Step pattern spread over each chord (x = hit, X = accent, - = hold, . = rest); " +
+                        "each hit plays the style's next tone. Default depends on the style."
+                }
+            },
+            required: ["track_index", "clip_index", "progression"]
+        },
+        async handler(args) {
+            return writeBassline(args);
+        }
+    },
+
+    // Devices
+    list_devices: {
+        readOnly: true,
+        description: "List the devices (instruments, MIDI and audio effects) on a track in chain order",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["track_index"]
+        },
+        async handler(args) {
+            const { track_index } = args;
+            const [names, types, classNames] = await Promise.all([
+                sendAndWait("/live/track/get/devices/name", track_index),
+                sendAndWait("/live/track/get/devices/type", track_index),
+                sendAndWait("/live/track/get/devices/class_name", track_index)
+            ]);
+            const enabled = await Promise.all(names.map((_, i) =>
+                sendAndWait("/live/device/get/parameter/value", track_index, i, DEVICE_ON_PARAMETER).then(([on]) => !!on)
+            ));
+
+            const devices = names.map((name, index) => ({
+                index,
+                name,
+                class_name: classNames[index],
+                type: DEVICE_TYPES[types[index]] || "unknown",
+                enabled: enabled[index]
+            }));
+            return { devices };
+        }
+    },
+
+    get_device_parameters: {
+        readOnly: true,
+        description: "List a device's parameters with value, range, whether they are quantized (stepped) and the value as Live displays it",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                device_index: {
+                    type: "integer",
+                    description: "Device index on the track (0-based, see list_devices)",
+                    minimum: 0
+                }
+            },
+            required: ["track_index", "device_index"]
+        },
+        async handler(args) {
+            const { track_index, device_index } = args;
+            const [name] = await sendAndWait("/live/device/get/name", track_index, device_index);
+            const parameters = await fetchDeviceParameters(track_index, device_index);
+            return { device: name, parameters };
+        }
+    },
+
+    set_device_parameter: {
+        description:
+            "Set a device parameter by index or by name (fuzzy matched, e.g. 'freq' finds 'Frequency'). " +
+            "The value is in the parameter's own range as reported by get_device_parameters.",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                device_index: {
+                    type: "integer",
+                    description: "Device index on the track (0-based, see list_devices)",
+                    minimum: 0
+                },
+                parameter_index: {
+                    type: "integer",
+                    description: "Parameter index (0-based); use this or parameter_name",
+                    minimum: 0
+                },
+                parameter_name: {
+                    type: "string",
+                    description: "Parameter name; use this or parameter_index"
+                },
+                value: {
+                    type: "number",
+                    description: "New value within the parameter's min/max"
+                }
+            },
+            required: ["track_index", "device_index", "value"]
+        },
+        async handler(args) {
+            const { track_index, device_index, parameter_index, parameter_name, value } = args;
+            if ((parameter_index === undefined) === (parameter_name === undefined)) {
+                throw new Error("Provide exactly one of parameter_index or parameter_name");
+            }
+
+            const parameters = await fetchDeviceParameters(track_index, device_index, { valueStrings: false });
+            const parameter = parameter_name !== undefined
+                ? findByName(parameter_name, parameters, { kind: "parameter" })
+                : parameters[parameter_index];
+            if (!parameter) {
+                throw new Error(`Parameter index ${parameter_index} out of range (device has ${parameters.length} parameters)`);
+            }
+            if (value < parameter.min || value > parameter.max) {
+                throw new Error(`Value ${value} is outside the range of '${parameter.name}' (${parameter.min} to ${parameter.max})`);
+            }
+
+            const oscValue = parameter.is_quantized ? Math.round(value) : value;
+            fireAndForget("/live/device/set/parameter/value", track_index, device_index, parameter.index, oscValue);
+            const [valueString] = await sendAndWait("/live/device/get/parameter/value_string", track_index, device_index, parameter.index);
+
+            return {
+                parameter_index: parameter.index,
+                parameter: parameter.name,
+                value: oscValue,
+                value_string: valueString
+            };
+        }
+    },
+
+    toggle_device: {
+        description: "Turn a device on or off (flips its current state if enabled is omitted)",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                device_index: {
+                    type: "integer",
+                    description: "Device index on the track (0-based, see list_devices)",
+                    minimum: 0
+                },
+                enabled: {
+                    type: "boolean",
+                    description: "true to turn the device on, false to bypass it"
+                }
+            },
+            required: ["track_index", "device_index"]
+        },
+        async handler(args) {
+            const { track_index, device_index } = args;
+            let { enabled } = args;
+            if (enabled === undefined) {
+                const [on] = await sendAndWait("/live/device/get/parameter/value", track_index, device_index, DEVICE_ON_PARAMETER);
+                enabled = !on;
+            }
+
+            fireAndForget("/live/device/set/parameter/value", track_index, device_index, DEVICE_ON_PARAMETER, enabled ? 1 : 0);
+            return `Device ${device_index} on track ${track_index} turned ${enabled ? "on" : "off"}`;
+        }
+    },
+
+    set_global_quantization: {
+        description: "Set the global clip launch quantization",
+        input_schema: {
+            type: "object",
+            properties: {
+                quantization: {
+                    type: "string",
+                    description: "Launch quantization",
+                    enum: ["none", "8_bars", "4_bars", "2_bars", "1_bar", "1/2", "1/4", "1/8", "1/16"]
+                }
+            },
+            required: ["quantization"]
+        },
+        async handler(args) {
+            // Values of Live's Song.clip_trigger_quantization enum, which has a triplet
+            // value after each of 1/2, 1/4 and 1/8 (6, 8, 10)
+            const quantMap = {
+                "none": 0,
+                "8_bars": 1,
+                "4_bars": 2,
+                "2_bars": 3,
+                "1_bar": 4,
+                "1/2": 5,
+                "1/4": 7,
+                "1/8": 9,
+                "1/16": 11
+            };
+
+            const quantValue = quantMap[args.quantization];
+            if (quantValue === undefined) {
+                throw new Error(`Unknown quantization: ${args.quantization}`);
+            }
+
+            fireAndForget("/live/song/set/clip_trigger_quantization", quantValue);
+            return `Global quantization set to ${args.quantization}`;
+        }
+    },
+
+    // Automation
+    get_clip_automation: {
+        requiresFeature: "Clip automation",
+        readOnly: true,
+        description:
+            "Read a clip's automation envelope for a track mixer or device parameter: its breakpoints " +
+            "(time in beats from the clip start, value in the parameter's range), found by sampling the envelope",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...AUTOMATION_TARGET_PROPERTIES,
+                resolution: {
+                    type: "number",
+                    description: "Sampling interval in beats",
+                    exclusiveMinimum: 0,
+                    default: 0.25
+                }
+            },
+            required: ["track_index", "clip_index"]
+        },
+        async handler(args) {
+            const { track_index, clip_index } = args;
+            const parameter = await resolveAutomationTarget(args);
+            const [clipLength] = await sendAndWait("/live/clip/get/length", track_index, clip_index);
+            const resolution = Math.max(args.resolution ?? 0.25, clipLength / (MAX_ENVELOPE_SAMPLES - 1));
+            const times = [];
+            for (let i = 0; i * resolution < clipLength - 1e-6; i++) times.push(roundFloat(i * resolution));
+            times.push(roundFloat(clipLength));
+
+            const values = await sampleEnvelope(track_index, clip_index, parameter.target, times);
+            const samples = values && times.map((time, i) => ({ time, value: values[i] }));
+            return {
+                ...describeAutomationTarget(args, parameter),
+                has_envelope: !!values,
+                resolution: roundFloat(resolution),
+                breakpoints: samples ? envelopeBreakpoints(samples, (parameter.max - parameter.min) * 1e-4) : []
+            };
+        }
+    },
+
+    write_clip_automation: {
+        requiresFeature: "Clip automation",
+        description:
+            "Write automation breakpoints into a clip's envelope for a track mixer or device parameter. " +
+            "Each breakpoint's curve shapes the segment to the next one (hold keeps the value until then).",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...AUTOMATION_TARGET_PROPERTIES,
+                breakpoints: {
+                    type: "array",
+                    description: "Breakpoints; times in beats from the clip start, values in the parameter's range",
+                    minItems: 1,
+                    items: {
+                        type: "object",
+                        properties: {
+                            time: { type: "number", minimum: 0 },
+                            value: { type: "number" },
+                            curve: { type: "string", enum: AUTOMATION_CURVES, default: "linear" }
+                        },
+                        required: ["time", "value"]
+                    }
+                },
+                replace: {
+                    type: "boolean",
+                    description: "Clear the parameter's envelope first (false writes over it)",
+                    default: true
+                },
+                resolution: {
+                    type: "number",
+                    description: "Spacing in beats of the breakpoints that draw curved segments",
+                    exclusiveMinimum: 0,
+                    default: 0.0625
+                }
+            },
+            required: ["track_index", "clip_index", "breakpoints"]
+        },
+        async handler(args) {
+            const parameter = await resolveAutomationTarget(args);
+            return writeEnvelope(args, parameter, args.breakpoints);
+        }
+    },
+
+    write_automation_shape: {
+        requiresFeature: "Clip automation",
+        description:
+            "Write a common automation shape into a clip's envelope, in beats: fade (linear ramp, e.g. a volume " +
+            "fade), sweep (exponential ramp, e.g. opening a filter) or pump (sidechain-style dip on every period). " +
+            "from/to default to the current value and the parameter's minimum for fade, minimum to maximum for " +
+            "sweep, and minimum (dip) to the current value for pump.",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...AUTOMATION_TARGET_PROPERTIES,
+                shape: {
+                    type: "string",
+                    enum: ["fade", "sweep", "pump"]
+                },
+                start_time: {
+                    type: "number",
+                    description: "Beat where the shape starts",
+                    minimum: 0,
+                    default: 0
+                },
+                end_time: {
+                    type: "number",
+                    description: "Beat where the shape ends (default: the end of the clip)",
+                    exclusiveMinimum: 0
+                },
+                from: {
+                    type: "number",
+                    description: "Start value (pump: the value it dips to)"
+                },
+                to: {
+                    type: "number",
+                    description: "End value (pump: the value it recovers to)"
+                },
+                curve: {
+                    type: "string",
+                    description: "Override the shape's curve (fade: linear, sweep: exponential, pump: logarithmic)",
+                    enum: AUTOMATION_CURVES
+                },
+                period: {
+                    type: "number",
+                    description: "pump: beats between dips (1 = every quarter note)",
+                    exclusiveMinimum: 0,
+                    default: 1
+                },
+                release: {
+                    type: "number",
+                    description: "pump: share of the period it takes to recover",
+                    exclusiveMinimum: 0,
+                    maximum: 1,
+                    default: 0.75
+                },
+                replace: {
+                    type: "boolean",
+                    description: "Clear the parameter's envelope first (false writes over it)",
+                    default: true
+                }
+            },
+            required: ["track_index", "clip_index", "shape"]
+        },
+        async handler(args) {
+            const { track_index, clip_index, shape, start_time = 0 } = args;
+            const parameter = await resolveAutomationTarget(args);
+            let end = args.end_time;
+            if (end === undefined) [end] = await sendAndWait("/live/clip/get/length", track_index, clip_index);
+            if (end <= start_time) throw new Error(`end_time ${end} must be after start_time ${start_time}`);
+
+            const defaults = {
+                fade: [parameter.value, parameter.min],
+                sweep: [parameter.min, parameter.max],
+                pump: [parameter.min, parameter.value]
+            }[shape];
+            const breakpoints = automationShape(shape, {
+                ...args,
+                start: start_time,
+                end: roundFloat(end),
+                from: args.from ?? defaults[0],
+                to: args.to ?? defaults[1]
+            });
+            return { shape, ...await writeEnvelope(args, parameter, breakpoints) };
+        }
+    },
+
+    clear_clip_automation: {
+        requiresFeature: "Clip automation",
+        description: "Clear a clip's automation envelope for one track mixer or device parameter, or all of its envelopes",
+        input_schema: {
+            type: "object",
+            properties: {
+                ...AUTOMATION_TARGET_PROPERTIES,
+                all: {
+                    type: "boolean",
+                    description: "Clear every envelope of the clip instead of one parameter's",
+                    default: false
+                }
+            },
+            required: ["track_index", "clip_index"]
+        },
+        async handler(args) {
+            const { track_index, clip_index, all = false } = args;
+            if (all) {
+                if (args.mixer_parameter !== undefined || args.device_index !== undefined) {
+                    throw new Error("Pass either a parameter or all: true, not both");
+                }
+                fireAndForget("/live/clip/envelope/clear_all", track_index, clip_index);
+                // Only the mixer envelopes can be named without knowing the clip's devices
+                const left = [];
+                for (const mixer of Object.keys(MIXER_PARAMETERS)) {
+                    if (await sampleEnvelope(track_index, clip_index, ["mixer", mixer], [0])) left.push(mixer);
+                }
+                if (left.length) throw new Error(`Live didn't clear the clip's automation (${left.join(", ")} still has an envelope)`);
+                return { track_index, clip_index, cleared: "all" };
+            }
+
+            const parameter = await resolveAutomationTarget(args);
+            fireAndForget("/live/clip/envelope/clear", track_index, clip_index, ...parameter.target);
+            if (await sampleEnvelope(track_index, clip_index, parameter.target, [0])) {
+                throw new Error(`Live didn't clear the automation of '${parameter.name}'`);
+            }
+            return { ...describeAutomationTarget(args, parameter), cleared: true };
+        }
+    },
+
+    // Arrangement View
+    get_arrangement_view: {
+        readOnly: true,
+        description: "Get the arrangement loop brace: whether looping is enabled, loop start and length in beats",
+        input_schema: { type: "object", properties: {}, required: [] },
+        async handler() {
+            const [loopEnabled] = await sendAndWait("/live/song/get/loop");
+            const [loopStart] = await sendAndWait("/live/song/get/loop_start");
+            const [loopLength] = await sendAndWait("/live/song/get/loop_length");
+
+            return {
+                loop_enabled: !!loopEnabled,
+                loop_start: loopStart,
+                loop_length: loopLength
+            };
+        }
+    },
+
+    set_arrangement_loop: {
+        description: "Set the arrangement loop brace: enable/disable it and set start and length in beats",
+        input_schema: {
+            type: "object",
+            properties: {
+                enabled: {
+                    type: "boolean",
+                    description: "Whether the arrangement loop is on"
+                },
+                start: {
+                    type: "number",
+                    description: "Loop start in beats",
+                    minimum: 0
+                },
+                length: {
+                    type: "number",
+                    description: "Loop length in beats",
+                    exclusiveMinimum: 0
+                }
+            },
+            required: []
+        },
+        async handler(args) {
+            const { enabled, start, length } = args;
+
+            if (enabled !== undefined) {
+                fireAndForget("/live/song/set/loop", enabled ? 1 : 0);
+            }
+            if (start !== undefined) {
                 fireAndForget("/live/song/set/loop_start", start);
             }
-            if (length !== undefined) {
-                fireAndForget("/live/song/set/loop_length", length);
+            if (length !== undefined) {
+                fireAndForget("/live/song/set/loop_length", length);
+            }
+
+            return "Arrangement loop settings updated";
+        }
+    },
+
+    get_arrangement_clips: {
+        readOnly: true,
+        description: "List the clips in a track's arrangement timeline with their start and end positions in beats",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["track_index"]
+        },
+        async handler({ track_index }) {
+            const [[name], clips] = await Promise.all([
+                sendAndWait("/live/track/get/name", track_index),
+                readArrangementClips(track_index)
+            ]);
+            return { track_index, name, clips };
+        }
+    },
+
+    duplicate_clip_to_arrangement: {
+        description:
+            "Copy a session clip into the arrangement timeline of its track, starting at a beat position " +
+            "(beat 0 is the start of the song; in 4/4, bar 5 starts at beat 16)",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based) of the session clip to copy",
+                    minimum: 0
+                },
+                start_time: {
+                    type: "number",
+                    description: "Arrangement position in beats where the copy starts",
+                    minimum: 0
+                }
+            },
+            required: ["track_index", "clip_index", "start_time"]
+        },
+        async handler({ track_index, clip_index, start_time }) {
+            const [hasClip] = await sendAndWait("/live/clip_slot/get/has_clip", track_index, clip_index);
+            if (!hasClip) throw new Error(`Clip slot ${clip_index} on track ${track_index} is empty`);
+            const [[name], [length]] = await Promise.all([
+                sendAndWait("/live/clip/get/name", track_index, clip_index),
+                sendAndWait("/live/clip/get/length", track_index, clip_index)
+            ]);
+
+            fireAndForget("/live/track/duplicate_clip_to_arrangement", track_index, clip_index, start_time);
+            await confirmArrangementCopies([{ track_index, clip: name, starts: [start_time] }]);
+            return {
+                track_index,
+                clip_index,
+                name,
+                start_time,
+                end_time: roundFloat(start_time + length),
+                length: roundFloat(length)
+            };
+        }
+    },
+
+    list_cue_points: {
+        readOnly: true,
+        description: "List the arrangement's cue points (locators) with their names and positions in beats",
+        input_schema: { type: "object", properties: {}, required: [] },
+        async handler() {
+            return { cue_points: await readCuePoints() };
+        }
+    },
+
+    create_cue_point: {
+        description: "Add a cue point (locator) to the arrangement at a beat position, optionally named",
+        input_schema: {
+            type: "object",
+            properties: {
+                time: {
+                    type: "number",
+                    description: "Position in beats",
+                    minimum: 0
+                },
+                name: {
+                    type: "string",
+                    description: "Name shown on the locator (e.g. \"Chorus\")"
+                }
+            },
+            required: ["time"]
+        },
+        async handler({ time, name }) {
+            const cuePoints = await readCuePoints();
+            const existing = cuePoints.find(c => c.time === roundFloat(time));
+            if (existing) {
+                throw new Error(`There already is a cue point at beat ${time} (${existing.index}: '${existing.name}')`);
+            }
+
+            const index = cuePoints.filter(c => c.time < time).length;
+            await toggleCuePointsAt([time], () => {
+                if (name !== undefined) fireAndForget("/live/song/cue_point/set/name", index, name);
+            });
+            return { index, name: name ?? "", time };
+        }
+    },
+
+    delete_cue_point: {
+        description: "Remove a cue point (locator) from the arrangement, by index or name",
+        input_schema: {
+            type: "object",
+            properties: {
+                index: {
+                    type: "integer",
+                    description: "Cue point index (0-based, in time order; see list_cue_points)",
+                    minimum: 0
+                },
+                name: {
+                    type: "string",
+                    description: "Cue point name, instead of index",
+                    minLength: 1
+                }
+            },
+            required: []
+        },
+        async handler(args) {
+            const cue = await findCuePoint(args);
+            await toggleCuePointsAt([cue.time]);
+            return { deleted: cue };
+        }
+    },
+
+    jump_to_cue_point: {
+        description: "Move the playhead to a cue point (locator), by index or name",
+        input_schema: {
+            type: "object",
+            properties: {
+                index: {
+                    type: "integer",
+                    description: "Cue point index (0-based, in time order; see list_cue_points)",
+                    minimum: 0
+                },
+                name: {
+                    type: "string",
+                    description: "Cue point name, instead of index",
+                    minLength: 1
+                }
+            },
+            required: []
+        },
+        async handler(args) {
+            const cue = await findCuePoint(args);
+            fireAndForget("/live/song/set/current_song_time", cue.time);
+            return { cue_point: cue, current_song_time: cue.time };
+        }
+    },
+
+    set_playhead: {
+        description: "Move the arrangement playhead (current_song_time) to a beat position",
+        input_schema: {
+            type: "object",
+            properties: {
+                time: {
+                    type: "number",
+                    description: "Position in beats",
+                    minimum: 0
+                }
+            },
+            required: ["time"]
+        },
+        async handler({ time }) {
+            fireAndForget("/live/song/set/current_song_time", time);
+            return { current_song_time: time };
+        }
+    },
+
+    build_song_structure: {
+        description:
+            "Lay out a song from scenes, e.g. Intro 8 bars, Verse 16 bars, Chorus 16 bars. mode \"arrangement\" " +
+            "copies each scene's clips into the arrangement timeline (looping clips repeated to fill the section) " +
+            "and marks every section with a cue point; mode \"schedule\" launches the first scene now and each next " +
+            "one on time while Live plays (cancelled by stopping playback). Returns the timeline in bars and beats.",
+        input_schema: {
+            type: "object",
+            properties: {
+                sections: {
+                    type: "array",
+                    description: "Sections in playing order",
+                    minItems: 1,
+                    items: {
+                        type: "object",
+                        properties: {
+                            scene_index: {
+                                type: "integer",
+                                description: "Scene index (0-based)",
+                                minimum: 0
+                            },
+                            scene: {
+                                type: "string",
+                                description: "Scene name, instead of the index",
+                                minLength: 1
+                            },
+                            bars: {
+                                type: "number",
+                                description: "Length of the section in bars",
+                                exclusiveMinimum: 0
+                            }
+                        },
+                        required: ["bars"]
+                    }
+                },
+                mode: {
+                    type: "string",
+                    description: "arrangement: place the clips in the arrangement; schedule: launch the scenes live",
+                    enum: ["arrangement", "schedule"],
+                    default: "arrangement"
+                },
+                start_time: {
+                    type: "number",
+                    description: "arrangement mode: beat where the first section starts",
+                    minimum: 0,
+                    default: 0
+                },
+                cue_points: {
+                    type: "boolean",
+                    description: "arrangement mode: add a cue point named after the scene at each section start",
+                    default: true
+                },
+                stop_at_end: {
+                    type: "boolean",
+                    description: "schedule mode: stop all clips when the last section ends",
+                    default: true
+                }
+            },
+            required: ["sections"]
+        },
+        async handler(args) {
+            const { sections, mode = "arrangement", start_time = 0 } = args;
+            const beatsPerBar = await readBeatsPerBar();
+            if (mode === "schedule") {
+                return { mode, ...await scheduleSongStructure(sections, beatsPerBar, args) };
+            }
+
+            const timeline = await planSongSections(sections, start_time, beatsPerBar);
+            return {
+                mode,
+                ...await placeSongStructure(timeline, args),
+                total_bars: sections.reduce((sum, s) => sum + s.bars, 0),
+                end_time: timeline.at(-1).end_time
+            };
+        }
+    },
+
+    get_clip_length: {
+        readOnly: true,
+        overridesJson: true,
+        async handler(args) {
+            // Indices named as in the JSON schema this handler takes over
+            const { track_id, clip_id } = args;
+            const [length] = await sendAndWait("/live/clip/get/length", track_id, clip_id);
+            const [numNumerator] = await sendAndWait("/live/song/get/signature_numerator");
+
+            return {
+                length_beats: length,
+                length_bars: length / numNumerator
+            };
+        }
+    },
+
+    move_clip: {
+        description: "Move a clip to another clip slot (duplicates it to the destination, then deletes the source)",
+        input_schema: {
+            type: "object",
+            properties: {
+                source_track_index: {
+                    type: "integer",
+                    description: "Source track index (0-based)",
+                    minimum: 0
+                },
+                source_clip_index: {
+                    type: "integer",
+                    description: "Source clip slot index (0-based)",
+                    minimum: 0
+                },
+                dest_track_index: {
+                    type: "integer",
+                    description: "Destination track index (0-based)",
+                    minimum: 0
+                },
+                dest_clip_index: {
+                    type: "integer",
+                    description: "Destination clip slot index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["source_track_index", "source_clip_index", "dest_track_index", "dest_clip_index"]
+        },
+        async handler(args) {
+            const { source_track_index, source_clip_index, dest_track_index, dest_clip_index } = args;
+
+            // AbletonOSC doesn't have a direct move, so we duplicate then delete source
+            // (duplicate_clip_to is a ClipSlot method; there is no /live/clip/duplicate_clip_to)
+            fireAndForget("/live/clip_slot/duplicate_clip_to", source_track_index, source_clip_index, dest_track_index, dest_clip_index);
+            // Small delay to ensure duplicate completes
+            await new Promise(resolve => setTimeout(resolve, 100));
+            fireAndForget("/live/clip_slot/delete_clip", source_track_index, source_clip_index);
+
+            return `Moved clip from track ${source_track_index} slot ${source_clip_index} to track ${dest_track_index} slot ${dest_clip_index}`;
+        }
+    },
+
+    // Alias of the JSON duplicate_clip_to, under the name and argument names it had
+    // before the tools were merged into one registry
+    duplicate_clip: {
+        description: "Copy a clip to another clip slot (same as duplicate_clip_to)",
+        input_schema: {
+            type: "object",
+            properties: {
+                source_track_index: {
+                    type: "integer",
+                    description: "Source track index (0-based)",
+                    minimum: 0
+                },
+                source_clip_index: {
+                    type: "integer",
+                    description: "Source clip slot index (0-based)",
+                    minimum: 0
+                },
+                dest_track_index: {
+                    type: "integer",
+                    description: "Destination track index (0-based)",
+                    minimum: 0
+                },
+                dest_clip_index: {
+                    type: "integer",
+                    description: "Destination clip slot index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["source_track_index", "source_clip_index", "dest_track_index", "dest_clip_index"]
+        },
+        address: "/live/clip_slot/duplicate_clip_to",
+        params: ["source_track_index", "source_clip_index", "dest_track_index", "dest_clip_index"],
+        fireAndForget: true
+    },
+
+    get_all_clips_in_scene: {
+        readOnly: true,
+        description: "List the clips of every track in a scene's row of clip slots",
+        input_schema: {
+            type: "object",
+            properties: {
+                scene_index: {
+                    type: "integer",
+                    description: "Scene index (0-based)",
+                    minimum: 0
+                }
+            },
+            required: ["scene_index"]
+        },
+        async handler(args) {
+            const { scene_index } = args;
+            const [numTracks] = await sendAndWait("/live/song/get/num_tracks");
+
+            const snapshot = await fetchTrackSnapshot(0, numTracks, { clip: ["name", "length"] });
+            const clips = snapshot
+                .filter(t => t.slots[scene_index]?.clip)
+                .map(t => ({
+                    track_index: t.index,
+                    clip_index: scene_index,
+                    name: t.slots[scene_index].clip.name,
+                    length: t.slots[scene_index].clip.length
+                }));
+
+            return { clips };
+        }
+    },
+
+    // Creation tools report where the new track or scene is, so it can be used
+    // right away (e.g. by a later execute_batch step)
+    create_midi_track: {
+        overridesJson: true,
+        description: "Create a new MIDI track; returns its track_index",
+        async handler(args) {
+            return { track_index: await createAt("/live/song/create_midi_track", "/live/song/get/num_tracks", args.index) };
+        }
+    },
+
+    create_audio_track: {
+        overridesJson: true,
+        description: "Create a new audio track; returns its track_index",
+        async handler(args) {
+            return { track_index: await createAt("/live/song/create_audio_track", "/live/song/get/num_tracks", args.index) };
+        }
+    },
+
+    create_scene: {
+        overridesJson: true,
+        description: "Create a new scene; returns its scene_index",
+        async handler(args) {
+            return { scene_index: await createAt("/live/song/create_scene", "/live/song/get/num_scenes", args.index) };
+        }
+    },
+
+    // Batches
+    execute_batch: {
+        // Each step plans its own inverse
+        inverse: false,
+        description:
+            "Run several tool calls in order as one unit: if a step fails, the steps before it are rolled back. " +
+            "A string argument of the form \"$steps.N.field\" is replaced by that field of step N's result " +
+            "(0-based), e.g. {\"track_index\": \"$steps.0.track_index\"} after a create_midi_track step. " +
+            "verify applies to every step that changes the set.",
+        input_schema: {
+            type: "object",
+            properties: {
+                steps: {
+                    type: "array",
+                    description: "Tool calls to run in order",
+                    minItems: 1,
+                    maxItems: MAX_BATCH_STEPS,
+                    items: {
+                        type: "object",
+                        properties: {
+                            tool: {
+                                type: "string",
+                                description: "Tool name"
+                            },
+                            arguments: {
+                                type: "object",
+                                description: "Tool arguments",
+                                additionalProperties: true,
+                                default: {}
+                            }
+                        },
+                        required: ["tool"]
+                    }
+                },
+                rollback: {
+                    type: "string",
+                    description:
+                        "How to undo completed steps when one fails: inverse (restore recorded previous values, " +
+                        "delete what was created), undo (Live's undo, once per recorded change; best effort, since " +
+                        "Live may group changes into undo steps differently) or none",
+                    enum: ["inverse", "undo", "none"],
+                    default: "inverse"
+                }
+            },
+            required: ["steps"]
+        },
+        async handler(args) {
+            return executeBatch(args.steps, args.rollback, args.verify);
+        }
+    },
+
+    // Action journal
+    list_recent_actions: {
+        readOnly: true,
+        description:
+            "List the changes made through this server, newest first, with the id revert_action takes " +
+            "and whether each one can still be reverted",
+        input_schema: {
+            type: "object",
+            properties: {
+                limit: {
+                    type: "integer",
+                    description: "Maximum number of actions to return",
+                    minimum: 1,
+                    maximum: MAX_JOURNAL_ACTIONS,
+                    default: 20
+                },
+                include_reverted: {
+                    type: "boolean",
+                    description: "Include actions that were already reverted",
+                    default: true
+                }
+            },
+            required: []
+        },
+        async handler(args) {
+            return listRecentActions(args);
+        }
+    },
+
+    revert_action: {
+        // Sends an action's recorded inverse; reverting it again isn't supported
+        inverse: false,
+        description:
+            "Undo one earlier action (see list_recent_actions) by restoring what it changed: previous " +
+            "values (volume, names, loop points, tempo, ...), notes, created tracks/scenes/clips are " +
+            "deleted and deleted MIDI clips recreated. Later actions are left as they are.",
+        input_schema: {
+            type: "object",
+            properties: {
+                id: {
+                    type: "integer",
+                    description: "Action id from list_recent_actions",
+                    minimum: 1
+                },
+                force: {
+                    type: "boolean",
+                    description: "Revert even though tracks or scenes were added or removed since the action",
+                    default: false
+                }
+            },
+            required: ["id"]
+        },
+        async handler(args) {
+            return revertAction(args);
+        }
+    },
+
+    // Session snapshots
+    export_session_snapshot: {
+        description:
+            "Export the set (tempo, time signature, quantization, tracks with mixer state, clips with " +
+            "loop settings and notes, scenes) as a versioned JSON snapshot, saved to a file or returned",
+        input_schema: {
+            type: "object",
+            properties: {
+                file: {
+                    type: "string",
+                    description:
+                        "JSON file to write, relative to the files directory (ABLETON_FILES_DIR, default " +
+                        "the server's working directory). Omit to return the snapshot instead.",
+                    minLength: 1
+                },
+                include_notes: {
+                    type: "boolean",
+                    description: "Include the notes of MIDI clips",
+                    default: true
+                }
+            },
+            required: []
+        },
+        async handler(args) {
+            return exportSessionSnapshot(args);
+        }
+    },
+
+    restore_session_snapshot: {
+        description:
+            "Make the set match a snapshot from export_session_snapshot. diff changes only what differs and " +
+            "keeps extra tracks and scenes; rebuild also deletes tracks and scenes the snapshot doesn't have " +
+            "and recreates every MIDI clip. Tracks, scenes and clip slots are matched by position.",
+        input_schema: {
+            type: "object",
+            properties: {
+                file: {
+                    type: "string",
+                    description: "Snapshot file, relative to the files directory",
+                    minLength: 1
+                },
+                snapshot: {
+                    type: "object",
+                    description: "Snapshot document, instead of a file",
+                    additionalProperties: true
+                },
+                mode: {
+                    type: "string",
+                    description: "diff (change what differs) or rebuild (match the snapshot exactly)",
+                    enum: ["diff", "rebuild"],
+                    default: "diff"
+                }
+            },
+            required: []
+        },
+        async handler(args) {
+            return restoreSessionSnapshot(args);
+        }
+    },
+
+    // Standard MIDI files
+    import_midi_file: {
+        description:
+            "Import a Standard MIDI File (format 0 or 1) into clips: each MIDI track with notes (each channel " +
+            "of a format 0 file) is a source, written into clip_index of consecutive tracks from track_index. " +
+            "Empty slots get a new clip; an existing clip has its notes replaced.",
+        input_schema: {
+            type: "object",
+            properties: {
+                file: {
+                    type: "string",
+                    description: "MIDI file, relative to the files directory (ABLETON_FILES_DIR)",
+                    minLength: 1
+                },
+                track_index: {
+                    type: "integer",
+                    description: "MIDI track that receives the first source (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot to write on each track (0-based)",
+                    minimum: 0
+                },
+                sources: {
+                    type: "array",
+                    description: "Sources to import, in order (0-based, counting tracks with notes); default all",
+                    items: { type: "integer", minimum: 0 },
+                    minItems: 1
+                },
+                length: {
+                    type: "number",
+                    description: "Clip length in beats (default: the notes rounded up to whole bars)",
+                    exclusiveMinimum: 0
+                },
+                set_tempo: {
+                    type: "boolean",
+                    description: "Also set the song tempo to the file's initial tempo",
+                    default: false
+                }
+            },
+            required: ["file", "track_index", "clip_index"]
+        },
+        async handler(args) {
+            return importMidiFile(args);
+        }
+    },
+
+    export_clip_to_midi: {
+        description: "Write a MIDI clip's notes to a Standard MIDI File (format 1) with the song's tempo and time signature",
+        input_schema: {
+            type: "object",
+            properties: {
+                track_index: {
+                    type: "integer",
+                    description: "Track index (0-based)",
+                    minimum: 0
+                },
+                clip_index: {
+                    type: "integer",
+                    description: "Clip slot index (0-based)",
+                    minimum: 0
+                },
+                file: {
+                    type: "string",
+                    description: "MIDI file to write, relative to the files directory (ABLETON_FILES_DIR)",
+                    minLength: 1
+                },
+                ppq: {
+                    type: "integer",
+                    description: "Ticks per quarter note",
+                    minimum: 24,
+                    maximum: 32767,
+                    default: MIDI_EXPORT_PPQ
+                },
+                channel: {
+                    type: "integer",
+                    description: "MIDI channel (1-16)",
+                    minimum: 1,
+                    maximum: 16,
+                    default: 1
+                }
+            },
+            required: ["track_index", "clip_index", "file"]
+        },
+        async handler(args) {
+            return exportClipToMidi(args);
+        }
+    }
+};
+
+// Name references
+// Every tool that takes a track, scene, clip or device index also accepts a name:
+// { track: "Bass" }, { scene: "Chorus" }, { clip: "Drums/Verse" } or { clip: "Verse",
+// track: "Drums" }, { device: "Auto Filter" }. Names are matched with findByName against
+// the same listings list_tracks/list_scenes return (so they share the session cache) and
+// replaced by the index before the tool runs.
+const REFERENCE_FIELDS = [
+    { name: "track", kind: "track", indexFields: ["track_index", "track_id"] },
+    { name: "source_track", kind: "track", indexFields: ["source_track_index"] },
+    { name: "dest_track", kind: "track", indexFields: ["dest_track_index"] },
+    { name: "target_track", kind: "track", indexFields: ["target_track_id"] },
+    { name: "scene", kind: "scene", indexFields: ["scene_index", "scene_id"] },
+    { name: "clip", kind: "clip", indexFields: ["clip_index", "clip_id"], track: "track" },
+    { name: "source_clip", kind: "clip", indexFields: ["source_clip_index"], track: "source_track" },
+    { name: "device", kind: "device", indexFields: ["device_index"], track: "track" }
+];
+
+const REFERENCE_DESCRIPTIONS = {
+    track: "Track name, instead of the index (case-insensitive, closest match)",
+    scene: "Scene name, instead of the index (case-insensitive, closest match)",
+    clip: "Clip name, instead of the index; 'Track/Clip' also selects the track",
+    device: "Device name on the track, instead of the index"
+};
+
+// Add a name property next to each index property of a schema. The index stops being
+// required (either one will do); the references are checked in resolveReferences.
+function withNameReferences(schema) {
+    const properties = schema.properties || {};
+    const references = [];
+    for (const field of REFERENCE_FIELDS) {
+        const indexField = field.indexFields.find(f => f in properties);
+        if (!indexField || field.name in properties) continue;
+        references.push({
+            ...field,
+            indexField,
+            required: (schema.required || []).includes(indexField)
+        });
+    }
+    if (!references.length) return { schema, references };
+
+    // Clips and devices are looked up on the track given by the matching track reference
+    for (const reference of references) {
+        if (reference.track) reference.trackField = references.find(r => r.name === reference.track)?.indexField;
+    }
+
+    return {
+        schema: {
+            ...schema,
+            properties: {
+                ...properties,
+                ...Object.fromEntries(references.map(r => [r.name, {
+                    type: "string",
+                    description: REFERENCE_DESCRIPTIONS[r.kind],
+                    minLength: 1
+                }]))
+            },
+            required: (schema.required || []).filter(f => !references.some(r => r.indexField === f))
+        },
+        references
+    };
+}
+
+async function trackCandidates() {
+    const { tracks } = await OSC_MAPPINGS.list_tracks.handler({});
+    return tracks.map(t => ({ index: t.id, name: t.name }));
+}
+
+async function clipCandidates(trackIndex) {
+    const { clips } = await OSC_MAPPINGS.get_track_clips.handler({ track_index: trackIndex });
+    return clips.map(c => ({ track_index: trackIndex, index: c.slot_index, name: c.name }));
+}
+
+async function resolveTrack(query) {
+    return findByName(query, await trackCandidates(), { kind: "track" }).index;
+}
+
+// Resolves to { track_index, index } for "Clip", or "Track/Clip"
+async function resolveClip(query, trackIndex) {
+    const separator = query.indexOf("/");
+    if (separator !== -1) {
+        const namedTrack = await resolveTrack(query.slice(0, separator));
+        if (trackIndex !== undefined && trackIndex !== namedTrack) {
+            throw new Error(`Clip '${query}' is not on the requested track ${trackIndex}`);
+        }
+        trackIndex = namedTrack;
+        query = query.slice(separator + 1);
+    }
+
+    if (trackIndex !== undefined) {
+        return findByName(query, await clipCandidates(trackIndex), { kind: "clip" });
+    }
+
+    // No track given: search the clips of every track
+    const tracks = await trackCandidates();
+    const clips = (await Promise.all(tracks.map(t => clipCandidates(t.index)))).flat();
+    return findByName(query, clips, { kind: "clip" });
+}
+
+async function resolveReference(reference, query, args) {
+    switch (reference.kind) {
+        case "track":
+            return { [reference.indexField]: await resolveTrack(query) };
+        case "scene": {
+            const { scenes } = await OSC_MAPPINGS.list_scenes.handler();
+            return { [reference.indexField]: findByName(query, scenes, { kind: "scene" }).index };
+        }
+        case "clip": {
+            const clip = await resolveClip(query, reference.trackField && args[reference.trackField]);
+            return reference.trackField
+                ? { [reference.trackField]: clip.track_index, [reference.indexField]: clip.index }
+                : { [reference.indexField]: clip.index };
+        }
+        case "device": {
+            const trackIndex = args[reference.trackField];
+            const names = await sendAndWait("/live/track/get/devices/name", trackIndex);
+            const devices = names.map((name, index) => ({ index, name }));
+            return { [reference.indexField]: findByName(query, devices, { kind: "device" }).index };
+        }
+    }
+}
+
+// Replace name references by indices (tracks first: clips and devices need them).
+// A reference that matches nothing or several things fails the call with the candidates.
+async function resolveReferences(tool, args) {
+    const errors = [];
+    for (const reference of tool.references) {
+        const hasIndex = args[reference.indexField] !== undefined;
+        const hasName = args[reference.name] !== undefined;
+        if (hasIndex && hasName) {
+            errors.push({ field: reference.name, message: `can't be combined with ${reference.indexField}` });
+        }
+        const trackMissing = args[reference.trackField] === undefined && args[reference.track] === undefined;
+        if (hasName && reference.kind === "device" && trackMissing) {
+            errors.push({ field: reference.name, message: `needs ${reference.trackField} or ${reference.track}` });
+        }
+        // A clip reference like "Drums/Verse" also names the track
+        const namedByClip = tool.references.some(r =>
+            r.kind === "clip" && r.trackField === reference.indexField && args[r.name] !== undefined
+        );
+        if (!hasIndex && !hasName && !namedByClip && reference.required) {
+            errors.push({ field: reference.indexField, message: `or ${reference.name} is required` });
+        }
+    }
+    if (errors.length) {
+        throw invalidArgumentsError(tool, errors);
+    }
+
+    const resolved = { ...args };
+    for (const reference of tool.references) {
+        if (resolved[reference.name] === undefined) continue;
+        Object.assign(resolved, await resolveReference(reference, resolved[reference.name], resolved));
+        delete resolved[reference.name];
+    }
+    return resolved;
+}
+
+// Tool registry
+// Merges the JSON tools with the code-defined OSC_MAPPINGS tools into one map of
+// name -> { name, description, input_schema, references, readOnly, source, mapping | osc_mapping }.
+// A code tool with the same name as a JSON tool is a conflict unless it declares
+// overridesJson; conflicts are reported at startup and the code definition wins.
+const EMPTY_SCHEMA = { type: "object", properties: {}, required: [] };
+
+// Read tools are answered from the session cache when possible; refresh bypasses it
+function withRefreshOption(schema) {
+    return {
+        ...schema,
+        properties: {
+            ...schema.properties,
+            refresh: {
+                type: "boolean",
+                description: "Re-read everything from Live instead of using cached values",
+                default: false
+            }
+        }
+    };
+}
+
+// Write tools can read their changes back from Live before reporting success
+function withVerifyOption(schema) {
+    return {
+        ...schema,
+        properties: {
+            ...schema.properties,
+            verify: {
+                type: "boolean",
+                description: "Read each change back from Live and fail if it did not take effect",
+                default: VERIFY_WRITES
+            }
+        }
+    };
+}
+
+// JSON tools don't declare readOnly. AbletonOSC addresses are /live/<object>/<verb>[/...]:
+// setters and actions (set/tempo, start_playing, create_clip, ...) change the set and
+// are silent, everything else (getters, /live/test) replies. An osc_mapping can say
+// "write": true or false for addresses this doesn't classify right.
+const WRITE_VERB = /^(set|add|remove|delete|create|duplicate|fire|stop|start|continue|undo|redo|capture|trigger|tap|jump)(_|$)/;
+
+function isWriteAddress(address) {
+    return WRITE_VERB.test(address.split("/")[3] ?? "");
+}
+
+function isReadOnlyMapping(oscMapping) {
+    if (oscMapping?.type === "composite") return !oscMapping.calls.some(isWriteAddress);
+    if (!oscMapping?.address) return false;
+    return !(oscMapping.write ?? isWriteAddress(oscMapping.address));
+}
+
+function buildToolRegistry() {
+    const tools = new Map();
+    const conflicts = [];
+    // JSON input schemas as written, for code tools that inherit them
+    const jsonSchemas = new Map();
+
+    for (const tool of toolsConfig.tools || []) {
+        if (tools.has(tool.name)) {
+            conflicts.push(`${tool.name} (defined twice in ${path.basename(TOOL_SPEC_PATH)})`);
+        }
+        const readOnly = isReadOnlyMapping(tool.osc_mapping);
+        jsonSchemas.set(tool.name, tool.input_schema || EMPTY_SCHEMA);
+        const { schema, references } = withNameReferences(tool.input_schema || EMPTY_SCHEMA);
+        tools.set(tool.name, {
+            name: tool.name,
+            description: tool.description || "",
+            input_schema: readOnly ? withRefreshOption(schema) : withVerifyOption(schema),
+            references,
+            osc_mapping: tool.osc_mapping,
+            readOnly,
+            source: "json"
+        });
+    }
+
+    for (const [name, mapping] of Object.entries(OSC_MAPPINGS)) {
+        const jsonTool = tools.get(name);
+        if (jsonTool && !mapping.overridesJson) {
+            conflicts.push(`${name} (defined in both OSC_MAPPINGS and ${path.basename(TOOL_SPEC_PATH)})`);
+        }
+        if (!jsonTool && mapping.overridesJson) {
+            conflicts.push(`${name} (marked overridesJson but not defined in ${path.basename(TOOL_SPEC_PATH)})`);
+        }
+
+        const { schema, references } = withNameReferences(mapping.input_schema ?? jsonSchemas.get(name) ?? EMPTY_SCHEMA);
+        tools.set(name, {
+            name,
+            description: mapping.description ?? jsonTool?.description ?? "",
+            input_schema: mapping.readOnly ? withRefreshOption(schema) : withVerifyOption(schema),
+            references,
+            mapping,
+            readOnly: !!mapping.readOnly,
+            source: "code"
+        });
+    }
+
+    return { tools, conflicts };
+}
+
+const toolRegistry = buildToolRegistry();
+
+for (const conflict of toolRegistry.conflicts) {
+    console.error(`⚠️  Tool conflict: ${conflict}`);
+}
+
+// Utility functions
+function fireAndForget(address, ...args) {
+    // Safety check: verify OSC is ready
+    if (!oscReady) {
+        throw socketNotOpenError();
+    }
+
+    // Recorded for verify and the journal; a journaled write waits for its inverse to be
+    // planned (see Inverse operations)
+    const recording = recordedWrites.getStore();
+    recording?.writes.push({ address, args });
+    if (recording?.plan) {
+        holdWrite(recording, address, args);
+        return;
+    }
+    sendWrite(address, args);
+}
+
+function sendWrite(address, args) {
+    if (!oscReady) {
+        throw socketNotOpenError();
+    }
+    updateCacheForWrite(address, args);
+    osc.send(new OSC.Message(address, ...args));
+}
+
+// Session state cache
+// Getter replies are kept for CACHE_TTL_MS so repeated reads (list_tracks, then
+// "what's on track 3?") don't re-query Live. Setters sent through fireAndForget update
+// the cached value optimistically; structural actions (create/delete/duplicate,
+// notes, undo, ...) drop the whole cache. Listener pushes (see Live change
+// subscriptions) keep entries fresh while they are active.
+// ABLETON_CACHE_TTL_MS=0 turns caching off.
+const CACHE_TTL_MS = Number(process.env.ABLETON_CACHE_TTL_MS ?? 5000);
+// Values that change while Live plays are never cached
+const VOLATILE_PROPERTIES = new Set([
+    "current_song_time", "is_playing", "playing_slot_index", "fired_slot_index",
+    "playing_status", "playing_position", "output_meter_level", "output_meter_left", "output_meter_right"
+]);
+// Actions that don't change anything a cached getter returns
+const CACHE_NEUTRAL_ACTIONS = new Set([
+    "start_playing", "stop_playing", "continue_playing", "stop_all_clips",
+    "fire", "stop", "start_listen", "stop_listen"
+]);
+const BULK_ADDRESS = "/live/song/get/track_data";
+const sessionCache = new Map();
+
+function cacheKey(address, args) {
+    return `${address} ${JSON.stringify(args)}`;
+}
+
+function isCacheable(address, args) {
+    if (CACHE_TTL_MS <= 0 || !address.includes("/get/")) return false;
+    if (address === BULK_ADDRESS) {
+        return !args.some(arg => VOLATILE_PROPERTIES.has(String(arg).split(".")[1]));
+    }
+    return !VOLATILE_PROPERTIES.has(address.split("/").pop());
+}
+
+function cacheGet(address, args) {
+    const entry = sessionCache.get(cacheKey(address, args));
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+        sessionCache.delete(cacheKey(address, args));
+        return undefined;
+    }
+    return entry.values;
+}
+
+function cacheSet(address, args, values) {
+    if (!isCacheable(address, args)) return;
+    sessionCache.set(cacheKey(address, args), { address, args, values, expires: Date.now() + CACHE_TTL_MS });
+}
+
+function invalidateCache(predicate = () => true) {
+    for (const [key, entry] of sessionCache) {
+        if (predicate(entry)) sessionCache.delete(key);
+    }
+}
+
+// Store a message from Live that no request was waiting for (listener pushes);
+// its echoed indices form the cache key
+function cacheIncoming(address, args) {
+    if (address === BULK_ADDRESS) return;
+    const echo = echoedArgCount(address);
+    cacheSet(address, args.slice(0, echo), args.slice(echo));
+}
+
+function updateCacheForWrite(address, args) {
+    const [, , domain, verb, ...property] = address.split("/");
+    if (CACHE_NEUTRAL_ACTIONS.has(verb)) return;
+    if (verb !== "set") {
+        invalidateCache();
+        return;
+    }
+
+    // /live/<domain>/set/<property> <indices...> <value...> answers /live/<domain>/get/<property>
+    const getter = `/live/${domain}/get/${property.join("/")}`;
+    const echo = echoedArgCount(getter);
+    const indices = args.slice(0, echo);
+    // Other views of the same object can change with it (a clip's length follows its
+    // loop markers, a device parameter's value_string follows its value), as can bulk replies.
+    // Views of the whole object match on its indices only: the device's parameter list
+    // (/live/device/get/parameters/value t d) holds the parameter written as (t d p).
+    invalidateCache(entry =>
+        entry.address === BULK_ADDRESS ||
+        ((domain === "clip" || domain === "device") &&
+            entry.address.startsWith(`/live/${domain}/get/`) &&
+            indices.every((value, i) => i >= entry.args.length || entry.args[i] === value))
+    );
+    cacheSet(getter, indices, args.slice(echo));
+}
+
+// Confirmed writes
+// AbletonOSC never acknowledges setters, so a write to a closed Live or a missing
+// track looks like success. With verify, the writes a tool makes are recorded and
+// read back through the matching getter (retrying while Live applies them);
+// the result lists the confirmed values or the call fails with the mismatch.
+const VERIFY_ATTEMPTS = 3;
+const VERIFY_RETRY_DELAY_MS = 100;
+const VERIFY_TIMEOUT_MS = Math.min(TIMEOUT_MS, 2000);
+// Floats travel as float32 and Live rounds some values (e.g. tempo)
+const VERIFY_FLOAT_TOLERANCE = 1e-3;
+const recordedWrites = new AsyncLocalStorage();
+
+// Actions whose outcome can be read back: address -> (args) -> check
+const ACTION_CHECKS = {
+    "/live/song/start_playing": () => ({ getter: "/live/song/get/is_playing", indices: [], expected: [true] }),
+    "/live/song/stop_playing": () => ({ getter: "/live/song/get/is_playing", indices: [], expected: [false] }),
+    "/live/clip_slot/create_clip": ([track, slot]) => ({ getter: "/live/clip_slot/get/has_clip", indices: [track, slot], expected: [true] }),
+    "/live/clip_slot/delete_clip": ([track, slot]) => ({ getter: "/live/clip_slot/get/has_clip", indices: [track, slot], expected: [false] }),
+    "/live/clip_slot/duplicate_clip_to": ([, , track, slot]) => ({ getter: "/live/clip_slot/get/has_clip", indices: [track, slot], expected: [true] }),
+    // Cue points are only readable as a whole list
+    "/live/song/cue_point/set/name": () => null,
+};
+
+// The getter call and expected reply that confirm a write, or null if it can't be read back
+function writeCheck(address, args) {
+    if (ACTION_CHECKS[address]) return ACTION_CHECKS[address](args);
+
+    const [, , domain, verb, ...property] = address.split("/");
+    if (verb !== "set") return null;
+    const getter = `/live/${domain}/get/${property.join("/")}`;
+    const echo = echoedArgCount(getter);
+    return { getter, indices: args.slice(0, echo), expected: args.slice(echo) };
+}
+
+function valuesMatch(actual, expected) {
+    if (actual.length !== expected.length) return false;
+    return expected.every((value, i) => {
+        if (typeof value === "string" || typeof actual[i] === "string") return actual[i] === value;
+        return Math.abs(Number(actual[i]) - Number(value)) <= VERIFY_FLOAT_TOLERANCE * Math.max(1, Math.abs(Number(value)));
+    });
+}
+
+async function confirmWrite({ getter, indices, expected }) {
+    let actual;
+    for (let attempt = 1; attempt <= VERIFY_ATTEMPTS; attempt++) {
+        try {
+            actual = await requestOSC(getter, indices, VERIFY_TIMEOUT_MS);
+        } catch (err) {
+            throw new Error(`Could not confirm the change: no reply to ${[getter, ...indices].join(" ")}.\n\n${err.message}`);
+        }
+        cacheSet(getter, indices, actual);
+        if (valuesMatch(actual, expected)) {
+            const values = actual.map(v => (typeof v === "number" ? roundFloat(v) : v));
+            return { address: getter, args: indices, value: values.length === 1 ? values[0] : values };
+        }
+        if (attempt < VERIFY_ATTEMPTS) await new Promise(r => setTimeout(r, VERIFY_RETRY_DELAY_MS));
+    }
+    throw new Error(
+        `Change not confirmed: ${[getter, ...indices].join(" ")} reports ${JSON.stringify(actual)}, ` +
+        `expected ${JSON.stringify(expected)}`
+    );
+}
+
+// Read back everything a tool wrote. Later writes to the same value win.
+async function confirmWrites(result, writes) {
+    const checks = new Map();
+    const unverified = [];
+    for (const { address, args: writeArgs } of writes) {
+        const check = writeCheck(address, writeArgs);
+        if (check) checks.set(cacheKey(check.getter, check.indices), check);
+        else if (!unverified.includes(address)) unverified.push(address);
+    }
+
+    const confirmed = await Promise.all([...checks.values()].map(confirmWrite));
+    return unverified.length ? { result, confirmed, unverified } : { result, confirmed };
+}
+
+// Inverse operations
+// While a write tool runs, each OSC write it sends is held back until the state it
+// will overwrite has been read and turned into inverse writes (setters get their old
+// value back, created tracks/scenes/clips are deleted, edited clips get their old notes
+// back, deleted MIDI clips are recreated with their notes). Writes sent together are
+// planned together, and the tool's own reads wait for its held writes, so it sees its
+// changes as usual. Reverting a call sends its inverse writes. Deleted tracks, scenes
+// and audio clips can't be restored, and transport and clip launching aren't reverted.
+// A write whose before-state can't be read (e.g. a missing track) counts as irreversible;
+// getters Live answers with an error aren't asked again until it reconnects.
+const INVERSE_READ_TIMEOUT_MS = Math.min(TIMEOUT_MS, 2000);
+const unreadableGetters = new Set();
+
+// Read bypassing the cache: before-values must be what Live has right now
+async function readFresh(address, ...args) {
+    if (unreadableGetters.has(address)) {
+        throw new Error(`${address} is not supported by this AbletonOSC`);
+    }
+    const readStarted = Date.now();
+    try {
+        const values = await requestOSC(address, args, INVERSE_READ_TIMEOUT_MS);
+        cacheSet(address, args, values);
+        return values;
+    } catch (err) {
+        // Song properties have no index that could be wrong: an error means Live lacks them
+        const liveError = lastLiveError?.at >= readStarted ? lastLiveError.message : null;
+        if (liveError && (!args.length || /Unknown OSC address/.test(liveError))) {
+            unreadableGetters.add(address);
+        }
+        throw err;
+    }
+}
+
+// Restored values are sent as read, minus the float32 noise
+function roundValues(values) {
+    return values.map(v => typeof v === "number" ? roundFloat(v) : v);
+}
+
+async function restoreNotes(trackIndex, clipIndex) {
+    const notes = parseNotes(await readFresh("/live/clip/get/notes", trackIndex, clipIndex));
+    return [
+        { address: "/live/clip/remove/notes", args: [trackIndex, clipIndex] },
+        ...noteMessages(trackIndex, clipIndex, notes)
+    ];
+}
+
+// Recreate a MIDI clip with its name, color, markers, loop and notes (audio clips have
+// no notes to read, so deleting one stays irreversible)
+async function recreateClip(trackIndex, clipIndex) {
+    const [hasClip] = await readFresh("/live/clip_slot/get/has_clip", trackIndex, clipIndex);
+    if (!hasClip) return [];
+
+    const properties = ["name", "color", "looping", "start_marker", "end_marker", "loop_start", "loop_end"];
+    const [values, notes] = await Promise.all([
+        Promise.all(properties.map(p => readFresh(`/live/clip/get/${p}`, trackIndex, clipIndex))),
+        readFresh("/live/clip/get/notes", trackIndex, clipIndex)
+    ]);
+    const clip = Object.fromEntries(properties.map((p, i) => [p, roundValues(values[i])[0]]));
+    const set = property => ({ address: `/live/clip/set/${property}`, args: [trackIndex, clipIndex, clip[property]] });
+    // A new clip's markers and loop span its whole length, so the ends can move in first
+    const length = Math.max(clip.end_marker, clip.loop_end);
+    return [
+        { address: "/live/clip_slot/create_clip", args: [trackIndex, clipIndex, length] },
+        ...["name", "color", "looping", "end_marker", "loop_end", "start_marker", "loop_start"].map(set),
+        ...noteMessages(trackIndex, clipIndex, parseNotes(notes))
+    ];
+}
+
+async function deleteCreated(countGetter, deleteAddress, index) {
+    const [count] = await readFresh(countGetter);
+    return [{ address: deleteAddress, args: [index === -1 || index > count ? count : index] }];
+}
+
+// address -> async (args) -> inverse writes, or null if the write can't be inverted
+const INVERSE_WRITES = {
+    "/live/song/create_midi_track": ([index]) => deleteCreated("/live/song/get/num_tracks", "/live/song/delete_track", index),
+    "/live/song/create_audio_track": ([index]) => deleteCreated("/live/song/get/num_tracks", "/live/song/delete_track", index),
+    "/live/song/create_scene": ([index]) => deleteCreated("/live/song/get/num_scenes", "/live/song/delete_scene", index),
+    "/live/song/duplicate_track": ([index]) => [{ address: "/live/song/delete_track", args: [index + 1] }],
+    "/live/song/duplicate_scene": ([index]) => [{ address: "/live/song/delete_scene", args: [index + 1] }],
+    "/live/clip_slot/create_clip": ([track, slot]) => [{ address: "/live/clip_slot/delete_clip", args: [track, slot] }],
+    "/live/clip_slot/delete_clip": ([track, slot]) => recreateClip(track, slot),
+    "/live/clip_slot/duplicate_clip_to": async ([, , track, slot]) => {
+        const [hasClip] = await readFresh("/live/clip_slot/get/has_clip", track, slot);
+        // Overwriting an existing clip loses it
+        return hasClip ? null : [{ address: "/live/clip_slot/delete_clip", args: [track, slot] }];
+    },
+    "/live/clip/add/notes": ([track, clip]) => restoreNotes(track, clip),
+    "/live/clip/remove/notes": ([track, clip]) => restoreNotes(track, clip),
+};
+
+// Identifies what a write changes, so several writes to the same thing are inverted once
+function writeTarget(address, args) {
+    if (address.startsWith("/live/clip/") && address.endsWith("/notes")) return `notes ${args[0]} ${args[1]}`;
+    const check = writeCheck(address, args);
+    return check && !ACTION_CHECKS[address] ? cacheKey(check.getter, check.indices) : null;
+}
+
+async function inverseWrite(address, args) {
+    if (INVERSE_WRITES[address]) return INVERSE_WRITES[address](args);
+
+    const [, , , verb] = address.split("/");
+    if (CACHE_NEUTRAL_ACTIONS.has(verb)) return [];
+    if (verb !== "set") return null;
+    const { getter, indices } = writeCheck(address, args);
+    const before = roundValues(await readFresh(getter, ...indices));
+    return [{ address, args: [...indices, ...before] }];
+}
+
+// Whether a write goes into a track, scene or clip created earlier by the same call;
+// deleting that again takes the write with it. Tracks and scenes count when created at
+// an explicit index.
+function insideCreated(address, args, created) {
+    const [, , domain] = address.split("/");
+    const [track, slot] = address === "/live/clip_slot/duplicate_clip_to" ? args.slice(2) : args;
+    if (["track", "clip_slot", "clip", "device"].includes(domain) && created.tracks.has(track)) return true;
+    if (domain === "scene") return created.scenes.has(track);
+    if (["clip_slot", "clip"].includes(domain) && created.scenes.has(slot)) return true;
+    return domain === "clip" && created.clips.has(`${track} ${slot}`);
+}
+
+function recordCreated(address, args, created) {
+    if (/^\/live\/song\/create_(midi|audio)_track$/.test(address) && args[0] >= 0) created.tracks.add(args[0]);
+    if (address === "/live/song/create_scene" && args[0] >= 0) created.scenes.add(args[0]);
+    if (address === "/live/clip_slot/create_clip") created.clips.add(`${args[0]} ${args[1]}`);
+}
+
+function createInversePlan() {
+    return { seen: new Set(), created: { tracks: new Set(), scenes: new Set(), clips: new Set() }, steps: [], irreversible: [] };
+}
+
+// Plan the inverse of one write; resolves once its before-state has been read
+function planWrite(plan, address, args) {
+    if (insideCreated(address, args, plan.created)) return Promise.resolve();
+    const target = writeTarget(address, args);
+    if (target && plan.seen.has(target)) return Promise.resolve();
+    if (target) plan.seen.add(target);
+    recordCreated(address, args, plan.created);
+
+    const step = inverseWrite(address, args).catch(() => null).then(inverse => {
+        if (!inverse) plan.irreversible.push(address);
+        return inverse || [];
+    });
+    plan.steps.push(step);
+    return step;
+}
+
+// Resolves to { inverse: [writes], irreversible: [addresses] } for the writes planned so far
+async function finishInverse(plan) {
+    // Later writes are undone first
+    const inverse = (await Promise.all(plan.steps)).reverse().flat();
+    return { inverse, irreversible: [...new Set(plan.irreversible)] };
+}
+
+// Send a journaled write once it is planned, after the writes held before it
+function holdWrite(recording, address, args) {
+    const planned = planWrite(recording.plan, address, args);
+    recording.held = recording.held
+        .then(() => planned)
+        .then(() => {
+            if (!recording.error) sendWrite(address, args);
+        })
+        .catch(err => { recording.error ??= err; });
+}
+
+// Resolves when a recording's held writes have been sent (or throws why they weren't)
+async function sentWrites(recording) {
+    if (!recording?.plan) return;
+    await recording.held;
+    if (recording.error) throw recording.error;
+}
+
+function sendWrites(writes) {
+    for (const { address, args } of writes) {
+        fireAndForget(address, ...args);
+    }
+}
+
+// Request/response correlation
+// AbletonOSC replies on the request's own address and echoes the object indices
+// (track, clip, device, ...) before the value, e.g. /live/track/get/name 2 -> 2 "Bass".
+// Pending requests are queued per address and matched on those echoed indices, so
+// concurrent calls like get/name 0 and get/name 1 can't resolve with each other's reply.
+const pendingRequests = new Map();
+let lastLiveError = null;
+
+// Number of leading index arguments AbletonOSC echoes back for an address
+function echoedArgCount(address) {
+    if (address.startsWith("/live/device/get/parameter/")) return 3;
+    if (address === "/live/track/get/send") return 2;
+    const domain = address.split("/")[2];
+    return { track: 1, return_track: 1, scene: 1, clip_slot: 2, clip: 2, device: 2 }[domain] ?? 0;
+}
+
+function takePendingRequest(address, args) {
+    const queue = pendingRequests.get(address);
+    if (!queue?.length) return null;
+
+    // The oldest request whose indices were echoed back; requests without indices go
+    // FIFO. A reply for other indices (a late reply to a timed-out request, a listener
+    // push) answers nobody and only updates the state mirror and cache. A reply with no
+    // echo - shorter than the indices, or not led by integers, as from an AbletonOSC
+    // that doesn't echo - goes FIFO too and keeps all its values.
+    const echoLength = queue[0].echo.length;
+    const echoed = args.length >= echoLength && args.slice(0, echoLength).every(Number.isInteger);
+    const index = echoed ? queue.findIndex(p => p.echo.every((value, i) => args[i] === value)) : 0;
+    if (index === -1) return null;
+
+    const [pending] = queue.splice(index, 1);
+    if (!queue.length) pendingRequests.delete(address);
+    return { pending, values: echoed ? args.slice(echoLength) : args };
+}
+
+function handleOscMessage(message) {
+    connection.last_reply_at = new Date().toISOString();
+    // Listener pushes and getter replies share addresses; both feed the state mirror
+    updateLiveState(message.address, message.args);
+
+    if (message.address === "/live/error") {
+        lastLiveError = { message: message.args.join(" "), at: Date.now() };
+        console.error("⚠️  AbletonOSC error:", lastLiveError.message);
+        return;
+    }
+
+    const taken = takePendingRequest(message.address, message.args);
+    if (!taken) {
+        cacheIncoming(message.address, message.args);
+        return;
+    }
+
+    clearTimeout(taken.pending.timeout);
+    taken.pending.resolve(taken.values);
+}
+
+async function sendAndWait(address, ...args) {
+    // A tool reads what it wrote: its held writes go out first
+    await sentWrites(recordedWrites.getStore());
+    const cached = cacheGet(address, args);
+    if (cached) return cached;
+
+    const values = await requestOSC(address, args);
+    cacheSet(address, args, values);
+    return values;
+}
+
+// Bounded concurrency: requests beyond OSC_CONCURRENCY wait for a free slot, so
+// handlers can fire whole batches with Promise.all without flooding AbletonOSC
+let requestsInFlight = 0;
+const requestsWaiting = [];
+
+function acquireRequestSlot() {
+    if (requestsInFlight < OSC_CONCURRENCY) {
+        requestsInFlight++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => requestsWaiting.push(resolve));
+}
+
+function releaseRequestSlot() {
+    const next = requestsWaiting.shift();
+    if (next) next();
+    else requestsInFlight--;
+}
+
+// Send a getter and resolve with the reply values (echoed indices stripped)
+async function requestOSC(address, args = [], timeoutMs = TIMEOUT_MS) {
+    await acquireRequestSlot();
+    try {
+        return await sendRequest(address, args, timeoutMs);
+    } finally {
+        releaseRequestSlot();
+    }
+}
+
+function sendRequest(address, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        // Check if OSC is ready before attempting communication
+        if (!oscReady) {
+            reject(socketNotOpenError());
+            return;
+        }
+
+        const sentAt = Date.now();
+        const pending = {
+            echo: args.slice(0, echoedArgCount(address)),
+            resolve,
+            timeout: null,
+        };
+
+        pending.timeout = setTimeout(() => {
+            const queue = pendingRequests.get(address) || [];
+            const index = queue.indexOf(pending);
+            if (index !== -1) queue.splice(index, 1);
+            if (!queue.length) pendingRequests.delete(address);
+
+            const liveError = lastLiveError && lastLiveError.at >= sentAt
+                ? `AbletonOSC reported: ${lastLiveError.message}\n\n`
+                : "";
+
+            reject(
+                new Error(
+                    `Timeout waiting for Ableton response on ${address} after ${timeoutMs}ms.\n\n` +
+                    liveError +
+                    `Troubleshooting:\n` +
+                    `  1. Is Ableton Live running?\n` +
+                    `  2. Is AbletonOSC plugin enabled? (Preferences > Link / Tempo / MIDI)\n` +
+                    `  3. Is AbletonOSC listening on port ${OSC_PORT}?\n` +
+                    `  4. Is port ${OSC_RESPONSE_PORT} accessible for responses?\n` +
+                    `  5. Check AbletonOSC logs for errors\n\n` +
+                    `Config: host=${OSC_HOST}, send_port=${OSC_PORT}, receive_port=${OSC_RESPONSE_PORT}`
+                )
+            );
+        }, timeoutMs);
+
+        if (!pendingRequests.has(address)) pendingRequests.set(address, []);
+        pendingRequests.get(address).push(pending);
+        osc.send(new OSC.Message(address, ...args));
+    });
+}
+
+// Connection monitoring
+// A heartbeat pings AbletonOSC (/live/test) every HEARTBEAT_INTERVAL_MS and tracks the
+// connection state: "connecting" until Live first answers, "connected", "unresponsive"
+// after missed pings (Live closed or AbletonOSC reloading) and "socket_error" while
+// the UDP socket is reopened with exponential backoff. When Live answers again after
+// an outage it may have restarted, so cached values, probed features and listeners
+// are reset. ABLETON_HEARTBEAT_MS=0 turns the heartbeat off (health_check still pings).
+const HEARTBEAT_INTERVAL_MS = Number(process.env.ABLETON_HEARTBEAT_MS ?? 5000);
+const HEARTBEAT_TIMEOUT_MS = Math.min(TIMEOUT_MS, 2000);
+const MISSED_HEARTBEATS_UNRESPONSIVE = 2;
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+const connection = {
+    state: "connecting",
+    since: new Date().toISOString(),
+    last_reply_at: null,
+    latency_ms: null,
+    live_version: null,
+    error: null,
+    missed_heartbeats: 0,
+    reconnect_attempts: 0
+};
+let heartbeatTimer = null;
+let heartbeatInFlight = null;
+let reconnectTimer = null;
+
+function setConnectionState(state, error = null) {
+    connection.error = error;
+    if (connection.state === state) return;
+
+    const icon = state === "connected" ? "✅" : "⚠️ ";
+    console.error(`${icon} Live connection: ${connection.state} -> ${state}${error ? ` (${error})` : ""}`);
+    connection.state = state;
+    connection.since = new Date().toISOString();
+}
+
+function socketNotOpenError() {
+    const reason = oscError ? `: ${oscError.message}` : "";
+    return new Error(
+        `Cannot send OSC message: the OSC socket is not open (${connection.state}${reason}). ` +
+        `It is reopened automatically; try again shortly.`
+    );
+}
+
+// Ping Live once; resolves with the round-trip latency in ms, or null if Live didn't answer
+function heartbeat() {
+    if (!oscReady) return Promise.resolve(null);
+    heartbeatInFlight ??= (async () => {
+        const sentAt = Date.now();
+        try {
+            await requestOSC("/live/test", [], HEARTBEAT_TIMEOUT_MS);
+        } catch (err) {
+            connection.missed_heartbeats++;
+            if (connection.missed_heartbeats >= MISSED_HEARTBEATS_UNRESPONSIVE) {
+                setConnectionState("unresponsive", "Live did not answer /live/test");
+            }
+            return null;
+        }
+        connection.latency_ms = Date.now() - sentAt;
+        connection.missed_heartbeats = 0;
+        if (connection.state !== "connected") await onLiveAnswering();
+        return connection.latency_ms;
+    })().finally(() => { heartbeatInFlight = null; });
+    return heartbeatInFlight;
+}
+
+function startHeartbeat() {
+    if (HEARTBEAT_INTERVAL_MS <= 0 || heartbeatTimer) return;
+    heartbeat();
+    heartbeatTimer = setInterval(heartbeat, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+}
+
+async function onLiveAnswering() {
+    const recovered = connection.state !== "connecting";
+    setConnectionState("connected");
+    probeOscFeatures();
+
+    if (recovered) {
+        invalidateCache();
+        bulkQueriesSupported = null;
+        liveKeySupported = null;
+        unreadableGetters.clear();
+        if (liveState.listening) {
+            liveState.listening = false;
+            startListeners().catch(err => console.error("⚠️  Failed to restart listeners:", err.message));
+        }
+    }
+    try {
+        const version = await requestOSC("/live/application/get/version", [], HEARTBEAT_TIMEOUT_MS);
+        connection.live_version = version.join(".");
+    } catch {
+        // Older AbletonOSC versions can't report it
+    }
+}
+
+function onSocketOpen() {
+    connection.reconnect_attempts = 0;
+    if (connection.state === "socket_error") {
+        setConnectionState("connecting");
+        heartbeat();
+    }
+}
+
+function onSocketError(err) {
+    oscReady = false;
+    setConnectionState("socket_error", err.message);
+    if (reconnectTimer) return;
+
+    const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** connection.reconnect_attempts);
+    connection.reconnect_attempts++;
+    console.error(`   Reopening the OSC socket in ${delay}ms (attempt ${connection.reconnect_attempts})`);
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        const previous = osc;
+        osc = createOscClient();
+        try {
+            previous.close();
+        } catch {
+            // Already closed
+        }
+        try {
+            osc.open();
+        } catch (openErr) {
+            onSocketError(openErr);
+        }
+    }, delay);
+    reconnectTimer.unref();
+}
+
+// Batched snapshots
+// AbletonOSC's /live/song/get/track_data returns several properties for a range of
+// tracks in one reply (track.* once per track, clip.* and clip_slot.* once per slot).
+// Older AbletonOSC versions lack it, so support is probed once and we fall back to
+// pipelined per-object getters.
+const TRACK_DATA_BATCH_SIZE = 8;
+const BULK_PROBE_TIMEOUT_MS = Math.min(TIMEOUT_MS, 1500);
+let bulkQueriesSupported = null;
+
+function range(start, end) {
+    return Array.from({ length: Math.max(0, end - start) }, (_, i) => start + i);
+}
+
+async function supportsBulkQueries() {
+    if (bulkQueriesSupported !== null) return bulkQueriesSupported;
+
+    const probeStarted = Date.now();
+    try {
+        await requestOSC("/live/song/get/track_data", [0, 1, "track.name"], BULK_PROBE_TIMEOUT_MS);
+        bulkQueriesSupported = true;
+    } catch (err) {
+        // Only remember "unsupported" if Live answered with an error; a plain
+        // timeout may just mean Live is busy or not running
+        if (lastLiveError && lastLiveError.at >= probeStarted) {
+            bulkQueriesSupported = false;
+            console.error("⚠️  AbletonOSC has no /live/song/get/track_data, using per-track queries");
+        }
+        return false;
+    }
+    return true;
+}
+
+// Fetch a snapshot of tracks [start, end):
+//   { track: [...] }        track properties, e.g. ["name", "mute"]
+//   { clipSlot: [...] }     clip slot properties, e.g. ["has_clip"]
+//   { clip: [...] }         clip properties (null for empty slots), e.g. ["name", "length"]
+// Resolves to [{ index, ...trackProps, slots: [{ slot_index, ...slotProps, clip: {...} | null }] }]
+async function fetchTrackSnapshot(start, end, { track = [], clipSlot = [], clip = [] }) {
+    if (end <= start) return [];
+
+    const needsSlots = clipSlot.length > 0 || clip.length > 0;
+    const [numScenes] = needsSlots ? await sendAndWait("/live/song/get/num_scenes") : [0];
+
+    if (await supportsBulkQueries()) {
+        const batches = [];
+        for (let batchStart = start; batchStart < end; batchStart += TRACK_DATA_BATCH_SIZE) {
+            batches.push([batchStart, Math.min(end, batchStart + TRACK_DATA_BATCH_SIZE)]);
+        }
+        // Slot presence is needed to tell an empty slot from a clip with empty values
+        const slotProps = needsSlots && !clipSlot.includes("has_clip") ? ["has_clip", ...clipSlot] : clipSlot;
+        const properties = [
+            ...track.map(p => `track.${p}`),
+            ...slotProps.map(p => `clip_slot.${p}`),
+            ...clip.map(p => `clip.${p}`),
+        ];
+
+        const replies = await Promise.all(batches.map(([from, to]) =>
+            sendAndWait("/live/song/get/track_data", from, to, ...properties)
+        ));
+
+        return replies.flatMap((values, b) => {
+            const [from, to] = batches[b];
+            let offset = 0;
+            const take = (count) => values.slice(offset, (offset += count));
+
+            return range(from, to).map(index => {
+                const snapshot = { index };
+                for (const prop of track) [snapshot[prop]] = take(1);
+                if (!needsSlots) return snapshot;
+
+                const slotValues = Object.fromEntries(slotProps.map(p => [p, take(numScenes)]));
+                const clipValues = Object.fromEntries(clip.map(p => [p, take(numScenes)]));
+                snapshot.slots = range(0, numScenes).map(slotIndex => {
+                    const slot = { slot_index: slotIndex };
+                    for (const prop of clipSlot) slot[prop] = slotValues[prop][slotIndex];
+                    const hasClip = !!slotValues.has_clip[slotIndex];
+                    slot.clip = hasClip
+                        ? Object.fromEntries(clip.map(p => [p, clipValues[p][slotIndex]]))
+                        : null;
+                    return slot;
+                });
+                return snapshot;
+            });
+        });
+    }
+
+    // Fallback: one getter per value, pipelined through the request limiter
+    return Promise.all(range(start, end).map(async index => {
+        const snapshot = { index };
+        const trackValues = await Promise.all(track.map(p => sendAndWait(`/live/track/get/${p}`, index)));
+        track.forEach((p, i) => { [snapshot[p]] = trackValues[i]; });
+        if (!needsSlots) return snapshot;
+
+        snapshot.slots = await Promise.all(range(0, numScenes).map(async slotIndex => {
+            const slot = { slot_index: slotIndex };
+            const [[hasClip], ...slotValues] = await Promise.all(
+                ["has_clip", ...clipSlot].map(p => sendAndWait(`/live/clip_slot/get/${p}`, index, slotIndex))
+            );
+            clipSlot.forEach((p, i) => { [slot[p]] = slotValues[i]; });
+
+            slot.clip = null;
+            if (hasClip) {
+                const clipValues = await Promise.all(clip.map(p => sendAndWait(`/live/clip/get/${p}`, index, slotIndex)));
+                slot.clip = Object.fromEntries(clip.map((p, i) => [p, clipValues[i][0]]));
+            }
+            return slot;
+        }));
+        return snapshot;
+    }));
+}
+
+const toolText = (text) => ({
+    content: [{
+        type: "text",
+        text: typeof text === "string" ? text : JSON.stringify(text, null, 2)
+    }]
+});
+const toolError = (err) => ({
+    content: [{ type: "text", text: `Error: ${err?.message || String(err)}` }],
+    isError: true,
+});
+
+// Argument validation
+// Every tool call is checked against the tool's input_schema before any OSC is sent.
+// Supports the subset of JSON Schema the tool definitions use: type (incl. unions),
+// enum, minimum/maximum, exclusiveMinimum/exclusiveMaximum, minLength/maxLength,
+// items, minItems/maxItems, nested properties/required, additionalProperties: false
+// and default. Keys a schema doesn't declare are otherwise allowed and left out.
+function describeValue(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "string") return `string ${JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value)}`;
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case "integer": return Number.isInteger(value);
+        case "number": return typeof value === "number" && Number.isFinite(value);
+        case "string": return typeof value === "string";
+        case "boolean": return typeof value === "boolean";
+        case "array": return Array.isArray(value);
+        case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "null": return value === null;
+        default: return true;
+    }
+}
+
+// Returns the value with defaults applied; pushes { field, message } for each problem
+function validateValue(schema, value, field, errors) {
+    if (!schema) return value;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(type, value))) {
+            errors.push({ field, message: `must be ${types.join(" or ")} (got ${describeValue(value)})` });
+            return value;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")} (got ${describeValue(value)})` });
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field, message: `must be >= ${schema.minimum} (got ${value})` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field, message: `must be <= ${schema.maximum} (got ${value})` });
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push({ field, message: `must be > ${schema.exclusiveMinimum} (got ${value})` });
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push({ field, message: `must be < ${schema.exclusiveMaximum} (got ${value})` });
+        }
+    }
+
+    if (typeof value === "string") {
+        const maxLength = schema.maxLength ?? MAX_STRING_LENGTH;
+        if (value.length > maxLength) {
+            errors.push({ field, message: `must be at most ${maxLength} characters (got ${value.length})` });
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ field, message: `must have at least ${schema.minItems} items (got ${value.length})` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field, message: `must have at most ${schema.maxItems} items (got ${value.length})` });
+        }
+        if (schema.items) {
+            return value.map((item, i) => validateValue(schema.items, item, `${field}[${i}]`, errors));
+        }
+    }
+
+    if (matchesType("object", value) && schema.properties) {
+        return validateObject(schema, value, field, errors);
+    }
+
+    return value;
+}
+
+function validateObject(schema, value, prefix, errors) {
+    const properties = schema.properties || {};
+    const result = {};
+    const fieldName = (key) => (prefix ? `${prefix}.${key}` : key);
+
+    for (const key of Object.keys(value)) {
+        if (!(key in properties) && schema.additionalProperties === false) {
+            errors.push({ field: fieldName(key), message: "is not a known parameter" });
+        }
+    }
+
+    for (const [key, propSchema] of Object.entries(properties)) {
+        let propValue = value[key];
+        if (propValue === undefined && propSchema.default !== undefined) {
+            propValue = structuredClone(propSchema.default);
+        }
+        if (propValue === undefined) {
+            if (schema.required?.includes(key)) {
+                errors.push({ field: fieldName(key), message: "is required" });
+            }
+            continue;
+        }
+        result[key] = validateValue(propSchema, propValue, fieldName(key), errors);
+    }
+
+    return result;
+}
+
+// Validate tool arguments, returning them with defaults applied.
+// Throws an InvalidParams McpError naming every offending field.
+function validateToolArguments(tool, args) {
+    const errors = [];
+    if (!matchesType("object", args)) {
+        errors.push({ field: "arguments", message: `must be an object (got ${describeValue(args)})` });
+        throw invalidArgumentsError(tool, errors);
+    }
+
+    const validated = validateObject(tool.input_schema || EMPTY_SCHEMA, args, "", errors);
+    if (errors.length) {
+        throw invalidArgumentsError(tool, errors);
+    }
+    return validated;
+}
+
+function invalidArgumentsError(tool, errors) {
+    const details = errors.map(e => `${e.field} ${e.message}`).join("; ");
+    return new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid arguments for tool '${tool.name}': ${details}`,
+        { tool: tool.name, errors }
+    );
+}
+
+// Generic tool handler
+async function handleTool(toolName, rawArgs) {
+    const { result } = await runTool(toolName, rawArgs);
+    return result;
+}
+
+// Validate, resolve names, run the call while planning its inverse, and journal it.
+// Resolves to { tool, args, result, value, writes, inverse, irreversible, action }
+// (see Inverse operations and Action journal); value is the tool's own result, which
+// verify wraps in result. A call that fails after sending writes is journaled too,
+// and its error carries the same details as err.call.
+async function runTool(toolName, rawArgs) {
+    const tool = toolRegistry.tools.get(toolName);
+    if (!tool) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown tool: ${toolName}`, { tool: toolName });
+    }
+
+    const validated = validateToolArguments(tool, rawArgs);
+    if (validated.refresh) {
+        invalidateCache();
+    }
+    const args = await resolveReferences(tool, validated);
+    if (tool.readOnly) {
+        const result = await executeTool(tool, args);
+        return { tool, args, result, value: result, writes: [], inverse: [], irreversible: [], action: null };
+    }
+
+    const recording = {
+        writes: [],
+        plan: tool.mapping?.inverse === false ? null : createInversePlan(),
+        held: Promise.resolve(),
+        error: null
+    };
+    let result;
+    let failure = null;
+    try {
+        result = await recordedWrites.run(recording, async () => {
+            const result = await executeTool(tool, args);
+            await sentWrites(recording);
+            return result;
+        });
+    } catch (err) {
+        failure = err;
+    }
+    await recording.held;
+
+    const { writes, plan } = recording;
+    const { inverse, irreversible } = plan ? await finishInverse(plan) : { inverse: [], irreversible: [] };
+    const action = plan && writes.length ? journalAction(tool, args, { writes, inverse, irreversible }) : null;
+    const call = { tool, args, writes, inverse, irreversible, action };
+    if (failure) {
+        failure.call = call;
+        throw failure;
+    }
+
+    afterToolCall(tool.name);
+    // Nothing to confirm for a call that sent no writes, like execute_batch, whose
+    // steps run (and verify) as calls of their own
+    if (args.verify && writes.length) {
+        try {
+            return { ...call, result: await confirmWrites(result, writes), value: result };
+        } catch (err) {
+            err.call = call;
+            throw err;
+        }
+    }
+    return { ...call, result, value: result };
+}
+
+// Changes to the track list shift track indices, so per-track state must be rebuilt
+const TRACK_STRUCTURE_TOOLS = new Set(["create_midi_track", "create_audio_track", "delete_track", "restore_session_snapshot"]);
+
+function afterToolCall(toolName) {
+    if (TRACK_STRUCTURE_TOOLS.has(toolName) && liveState.listening) {
+        refreshTrackListeners().catch(err => console.error("⚠️  Failed to refresh track listeners:", err.message));
+    }
+}
+
+async function executeTool(tool, args) {
+    const toolName = tool.name;
+
+    // Code-defined tools (OSC_MAPPINGS)
+    if (tool.source === "code") {
+        const mapping = tool.mapping;
+        if (mapping.requiresFeature) {
+            await requireOscFeature(mapping.requiresFeature);
+        }
+        if (mapping.handler) {
+            return await mapping.handler(args);
+        }
+
+        const oscParams = mapping.params.map(paramName => args[paramName] ?? mapping.defaults?.[paramName]);
+        if (mapping.fireAndForget) {
+            fireAndForget(mapping.address, ...oscParams);
+            return `Sent ${[mapping.address, ...oscParams].join(" ")}`;
+        }
+        return await sendAndWait(mapping.address, ...oscParams);
+    }
+
+    // Otherwise the tool comes from the JSON configuration
+    const oscMapping = tool.osc_mapping;
+    if (!oscMapping) {
+        throw new Error(
+            `Tool '${toolName}' is not properly configured. ` +
+            `Missing osc_mapping in configuration.`
+        );
+    }
+
+    // Handle composite mappings (multiple OSC calls)
+    if (oscMapping.type === "composite") {
+        const results = [];
+        for (const address of oscMapping.calls) {
+            const [result] = await sendAndWait(address);
+            results.push(result);
+        }
+        return results;
+    }
+
+    // Handle simple OSC address mapping
+    if (oscMapping.address) {
+        // Extract parameters in order (required ones were checked by validateToolArguments,
+        // optional ones without a default are left off the end of the message)
+        const oscParams = (oscMapping.params || []).map(paramName => args[paramName]);
+        while (oscParams.length && oscParams[oscParams.length - 1] === undefined) {
+            oscParams.pop();
+        }
+
+        // Writes are silent and would always time out waiting for a reply
+        if (!tool.readOnly) {
+            fireAndForget(oscMapping.address, ...oscParams);
+            return `Sent ${[oscMapping.address, ...oscParams].join(" ")}`;
+        }
+
+        const result = await sendAndWait(oscMapping.address, ...oscParams);
+        return result;
+    }
+
+    throw new Error(`Invalid osc_mapping configuration for tool: ${toolName}`);
+}
+
+// Batches
+// execute_batch runs its steps through runTool one after another. When a step fails,
+// the completed steps and whatever the failing step already sent are rolled back newest
+// first, either with their recorded inverse writes or with Live's undo, and the call
+// fails with what was (not) undone. Undo is best effort: it undoes once per recorded
+// write, but Live groups changes into undo steps its own way (a tool's writes may share
+// one step, or a write may take several), so it can undo too little or too much.
+const STEP_REFERENCE = /^\$steps\.(\d+)((?:\.\w+)*)$/;
+
+// Replace "$steps.N.path" strings (anywhere in the arguments) by values from earlier results
+function resolveStepReferences(value, results) {
+    if (Array.isArray(value)) return value.map(v => resolveStepReferences(v, results));
+    if (value && typeof value === "object") {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveStepReferences(v, results)]));
+    }
+    const match = typeof value === "string" && STEP_REFERENCE.exec(value);
+    if (!match) return value;
+
+    const step = Number(match[1]);
+    if (step >= results.length) {
+        throw new Error(`${value} refers to step ${step}, which has not run yet`);
+    }
+    let resolved = results[step];
+    for (const key of match[2].split(".").slice(1)) {
+        if (resolved === null || typeof resolved !== "object" || !(key in resolved)) {
+            throw new Error(`${value}: the result of step ${step} has no '${key}'`);
+        }
+        resolved = resolved[key];
+    }
+    return resolved;
+}
+
+async function executeBatch(steps, rollback, verify) {
+    const completed = [];
+    for (const [index, step] of steps.entries()) {
+        try {
+            if (step.tool === "execute_batch") {
+                throw new Error("execute_batch can't be nested");
+            }
+            // References see a step's own result, not the confirmation verify wraps it in
+            const args = resolveStepReferences(step.arguments, completed.map(c => c.value));
+            const stepVerifies = verify && toolRegistry.tools.get(step.tool)?.readOnly === false;
+            completed.push({ step: index, ...await runTool(step.tool, stepVerifies ? { verify, ...args } : args) });
+        } catch (err) {
+            // What the failing step already sent is rolled back with the rest
+            const report = await rollBack(err.call ? [...completed, { step: index, ...err.call }] : completed, rollback);
+            throw new Error(`Step ${index} (${step.tool}) failed: ${err.message}\n\n${report}`);
+        }
+    }
+
+    return {
+        steps: completed.map(({ step, tool, result }) => ({ step, tool: tool.name, result }))
+    };
+}
+
+async function rollBack(completed, strategy) {
+    const changed = completed.filter(c => c.writes.length).reverse();
+    if (!changed.length) return "No earlier step changed the set.";
+    const stepList = changed.map(c => c.step).join(", ");
+    if (strategy === "none") return `Steps ${stepList} were kept (rollback: none).`;
+
+    try {
+        if (strategy === "undo") {
+            // Transport and launch actions aren't undo steps in Live; the rest is assumed
+            // to be one step per write (see Batches)
+            const changes = changed.flatMap(c => c.writes)
+                .filter(w => !CACHE_NEUTRAL_ACTIONS.has(w.address.split("/")[3])).length;
+            for (let i = 0; i < changes; i++) {
+                fireAndForget("/live/song/undo");
+            }
+            changed.forEach(c => markReverted(c.action));
+            return `Rolled back steps ${stepList} with ${changes} undo(s) in Live.`;
+        }
+
+        for (const call of changed) {
+            sendWrites(call.inverse);
+            markReverted(call.action);
+        }
+    } catch (err) {
+        return `Rolling back steps ${stepList} failed: ${err.message}`;
+    } finally {
+        if (liveState.listening) {
+            refreshTrackListeners().catch(err => console.error("⚠️  Failed to refresh track listeners:", err.message));
+        }
+    }
+
+    const partial = changed.filter(c => c.irreversible.length);
+    if (!partial.length) return `Rolled back steps ${stepList}.`;
+    return `Rolled back steps ${stepList}, except what can't be undone: ` +
+        partial.map(c => `step ${c.step} (${c.tool.name}: ${c.irreversible.join(", ")})`).join("; ") + ".";
+}
+
+// Action journal
+// Every tool call that changes the set is journaled with the inverse writes planned
+// as it ran (see Inverse operations), so list_recent_actions can show what was
+// done and revert_action can put back what one call changed, even after later calls.
+// The journal is kept for the life of the server process and saved to
+// JOURNAL_DIR/<session>.json after each change (ABLETON_JOURNAL_DIR= keeps it in memory).
+// Track and scene indices in an action refer to the layout it ran against.
+const JOURNAL_SESSION = `${new Date().toISOString().replace(/[:.]/g, "-")}-${process.pid}`;
+const JOURNAL_FILE = JOURNAL_DIR ? path.join(JOURNAL_DIR, `${JOURNAL_SESSION}.json`) : null;
+// Writes that add or remove tracks or scenes, shifting the indices of everything after them
+const LAYOUT_CHANGE = /^\/live\/song\/(create|delete|duplicate)_/;
+
+const journal = {
+    started_at: new Date().toISOString(),
+    next_id: 1,
+    actions: []
+};
+
+function journalAction(tool, args, { writes, inverse, irreversible }) {
+    const { verify, ...rest } = args;
+    const action = {
+        id: journal.next_id++,
+        tool: tool.name,
+        arguments: rest,
+        at: new Date().toISOString(),
+        changes_layout: writes.some(w => LAYOUT_CHANGE.test(w.address)),
+        inverse,
+        irreversible,
+        reverted_at: null
+    };
+    journal.actions.push(action);
+    journal.actions.splice(0, journal.actions.length - MAX_JOURNAL_ACTIONS);
+    saveJournal();
+    return action;
+}
+
+function markReverted(action) {
+    if (!action) return;
+    action.reverted_at = new Date().toISOString();
+    saveJournal();
+}
+
+// Saved synchronously so the file is complete even if the process is stopped right after
+function saveJournal() {
+    if (!JOURNAL_FILE) return;
+    try {
+        fs.mkdirSync(JOURNAL_DIR, { recursive: true });
+        fs.writeFileSync(`${JOURNAL_FILE}.tmp`, JSON.stringify({ session: JOURNAL_SESSION, ...journal }, null, 2));
+        fs.renameSync(`${JOURNAL_FILE}.tmp`, JOURNAL_FILE);
+    } catch (err) {
+        console.error("⚠️  Failed to save the action journal:", err.message);
+    }
+}
+
+function describeAction(action) {
+    return {
+        id: action.id,
+        tool: action.tool,
+        arguments: action.arguments,
+        at: action.at,
+        revertible: !action.reverted_at && action.inverse.length > 0,
+        not_revertible: action.irreversible,
+        reverted_at: action.reverted_at
+    };
+}
+
+function listRecentActions({ limit, include_reverted }) {
+    const actions = journal.actions
+        .filter(a => include_reverted || !a.reverted_at)
+        .slice(-limit)
+        .reverse();
+    return {
+        session: JOURNAL_SESSION,
+        journal_file: JOURNAL_FILE,
+        actions: actions.map(describeAction)
+    };
+}
+
+function revertAction({ id, force }) {
+    const action = journal.actions.find(a => a.id === id);
+    if (!action) {
+        throw new Error(`No action ${id} in this session's journal (see list_recent_actions)`);
+    }
+    if (action.reverted_at) {
+        throw new Error(`Action ${id} (${action.tool}) was already reverted at ${action.reverted_at}`);
+    }
+    if (!action.inverse.length) {
+        throw new Error(action.irreversible.length
+            ? `Action ${id} (${action.tool}) can't be reverted: ${action.irreversible.join(", ")}`
+            : `Action ${id} (${action.tool}) has nothing to revert (transport and launching aren't reverted)`);
+    }
+    const shifted = journal.actions.find(a => a.id > id && a.changes_layout && !a.reverted_at);
+    if (shifted && !force) {
+        throw new Error(
+            `Action ${shifted.id} (${shifted.tool}) added or removed tracks or scenes after action ${id}, ` +
+            `so its indices may point elsewhere now. Revert action ${shifted.id} first, or pass force: true.`
+        );
+    }
+
+    sendWrites(action.inverse);
+    markReverted(action);
+    if (action.changes_layout && liveState.listening) {
+        refreshTrackListeners().catch(err => console.error("⚠️  Failed to refresh track listeners:", err.message));
+    }
+    return {
+        reverted: id,
+        tool: action.tool,
+        restored_writes: action.inverse.length,
+        not_reverted: action.irreversible
+    };
+}
+
+// Local files
+// Tools that read or write files take paths relative to FILES_DIR and can't reach
+// outside it, since clients may be remote (see HTTP transport).
+function localFilePath(file) {
+    const resolved = path.resolve(FILES_DIR, file);
+    const relative = path.relative(FILES_DIR, resolved);
+    if (!relative || relative === ".." || relative.startsWith(".." + path.sep) || path.isAbsolute(relative)) {
+        throw new McpError(ErrorCode.InvalidParams, `file must be a path inside ${FILES_DIR}`, { file });
+    }
+    return resolved;
+}
+
+async function writeLocalFile(target, data) {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, data);
+}
+
+// Session snapshots
+// export_session_snapshot walks the set with the same snapshot and note readers the
+// getter tools use and saves it as a versioned JSON document; restore_session_snapshot
+// turns the difference between such a document and the current set into writes.
+// Tracks, scenes and clip slots are matched by position. Audio clips are exported but
+// can't be recreated (only their properties are restored).
+const SNAPSHOT_FORMAT = "ableton-osc-mcp/session-snapshot";
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_SONG_PROPERTIES = [
+    "tempo", "signature_numerator", "signature_denominator", "clip_trigger_quantization",
+    "groove_amount", "root_note", "scale_name", "loop", "loop_start", "loop_length"
+];
+const SNAPSHOT_TRACK_PROPERTIES = ["name", "color", "mute", "solo", "arm"];
+// Mixer values live on the track's mixer device, so track_data can't return them
+const SNAPSHOT_MIXER_PROPERTIES = ["volume", "panning"];
+const SNAPSHOT_SCENE_PROPERTIES = ["name", "color"];
+// In the order they are restored: a new clip's markers and loop span its whole length
+const SNAPSHOT_CLIP_PROPERTIES = ["name", "color", "looping", "end_marker", "loop_end", "start_marker", "loop_start"];
+const SNAPSHOT_BOOLEANS = new Set(["loop", "mute", "solo", "arm", "looping"]);
+
+const SNAPSHOT_CLIP_SCHEMA = {
+    type: "object",
+    properties: {
+        slot_index: { type: "integer", minimum: 0 },
+        type: { type: "string", enum: ["midi", "audio"] },
+        name: { type: "string" },
+        color: { type: "integer", minimum: 0 },
+        looping: { type: "boolean" },
+        start_marker: { type: "number" },
+        end_marker: { type: "number" },
+        loop_start: { type: "number" },
+        loop_end: { type: "number" },
+        notes: { type: "array", items: NOTE_SCHEMA }
+    },
+    required: ["slot_index", "type"]
+};
+
+const SNAPSHOT_SCHEMA = {
+    type: "object",
+    properties: {
+        format: { type: "string", enum: [SNAPSHOT_FORMAT] },
+        version: { type: "integer", minimum: 1, maximum: SNAPSHOT_VERSION },
+        exported_at: { type: "string" },
+        live_version: { type: ["string", "null"] },
+        song: {
+            type: "object",
+            properties: {
+                tempo: { type: "number", minimum: 20, maximum: 999 },
+                signature_numerator: { type: "integer", minimum: 1, maximum: 99 },
+                signature_denominator: { type: "integer", enum: [1, 2, 4, 8, 16] },
+                clip_trigger_quantization: { type: "integer", minimum: 0, maximum: 13 },
+                groove_amount: { type: "number", minimum: 0, maximum: 1.3125 },
+                root_note: { type: "integer", minimum: 0, maximum: 11 },
+                scale_name: { type: "string" },
+                loop: { type: "boolean" },
+                loop_start: { type: "number", minimum: 0 },
+                loop_length: { type: "number", exclusiveMinimum: 0 }
+            },
+            default: {}
+        },
+        tracks: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    name: { type: "string" },
+                    type: { type: "string", enum: ["midi", "audio"] },
+                    color: { type: "integer", minimum: 0 },
+                    mute: { type: "boolean" },
+                    solo: { type: "boolean" },
+                    arm: { type: "boolean" },
+                    volume: { type: "number", minimum: 0, maximum: 1 },
+                    panning: { type: "number", minimum: -1, maximum: 1 },
+                    clips: { type: "array", items: SNAPSHOT_CLIP_SCHEMA, default: [] }
+                },
+                required: ["type"]
+            }
+        },
+        scenes: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    name: { type: "string" },
+                    color: { type: "integer", minimum: 0 }
+                }
+            }
+        }
+    },
+    required: ["format", "version", "tracks", "scenes"]
+};
+
+function snapshotValue(property, value) {
+    if (SNAPSHOT_BOOLEANS.has(property)) return !!value;
+    return typeof value === "number" ? roundFloat(value) : value;
+}
+
+function pickSnapshotValues(properties, values) {
+    return Object.fromEntries(properties.map((p, i) => [p, snapshotValue(p, values[i])]));
+}
+
+async function readSessionSnapshot({ notes = true } = {}) {
+    const [[numTracks], [numScenes]] = await Promise.all([
+        sendAndWait("/live/song/get/num_tracks"),
+        sendAndWait("/live/song/get/num_scenes")
+    ]);
+    const [song, tracks, mixers, scenes] = await Promise.all([
+        Promise.all(SNAPSHOT_SONG_PROPERTIES.map(p => sendAndWait(`/live/song/get/${p}`))),
+        fetchTrackSnapshot(0, numTracks, {
+            track: [...SNAPSHOT_TRACK_PROPERTIES, "has_midi_input"],
+            clip: ["is_midi_clip", ...SNAPSHOT_CLIP_PROPERTIES]
+        }),
+        Promise.all(range(0, numTracks).map(t =>
+            Promise.all(SNAPSHOT_MIXER_PROPERTIES.map(p => sendAndWait(`/live/track/get/${p}`, t)))
+        )),
+        Promise.all(range(0, numScenes).map(s =>
+            Promise.all(SNAPSHOT_SCENE_PROPERTIES.map(p => sendAndWait(`/live/scene/get/${p}`, s)))
+        ))
+    ]);
+
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        exported_at: new Date().toISOString(),
+        live_version: connection.live_version,
+        song: pickSnapshotValues(SNAPSHOT_SONG_PROPERTIES, song.map(([value]) => value)),
+        tracks: await Promise.all(tracks.map(async (track, t) => ({
+            type: track.has_midi_input ? "midi" : "audio",
+            ...pickSnapshotValues(SNAPSHOT_TRACK_PROPERTIES, SNAPSHOT_TRACK_PROPERTIES.map(p => track[p])),
+            ...pickSnapshotValues(SNAPSHOT_MIXER_PROPERTIES, mixers[t].map(([value]) => value)),
+            clips: await Promise.all(track.slots.filter(slot => slot.clip).map(async ({ slot_index, clip }) => ({
+                slot_index,
+                type: clip.is_midi_clip ? "midi" : "audio",
+                ...pickSnapshotValues(SNAPSHOT_CLIP_PROPERTIES, SNAPSHOT_CLIP_PROPERTIES.map(p => clip[p])),
+                ...(notes && clip.is_midi_clip && { notes: await readClipNotes(t, slot_index) })
+            })))
+        }))),
+        scenes: scenes.map(values => pickSnapshotValues(SNAPSHOT_SCENE_PROPERTIES, values.map(([value]) => value)))
+    };
+}
+
+async function exportSessionSnapshot({ file, include_notes }) {
+    const target = file && localFilePath(file);
+    const snapshot = await readSessionSnapshot({ notes: include_notes });
+    if (!target) return snapshot;
+
+    await writeLocalFile(target, JSON.stringify(snapshot, null, 2) + "\n");
+    return {
+        file: target,
+        version: SNAPSHOT_VERSION,
+        tracks: snapshot.tracks.length,
+        scenes: snapshot.scenes.length,
+        clips: snapshot.tracks.reduce((sum, t) => sum + t.clips.length, 0)
+    };
+}
+
+async function loadSessionSnapshot({ file, snapshot }) {
+    // Not expressible in the input schema, so a tool error rather than InvalidParams
+    if (!file === !snapshot) {
+        throw new Error("Pass either file or snapshot");
+    }
+    let document = snapshot;
+    if (file) {
+        const source = localFilePath(file);
+        try {
+            document = JSON.parse(await fs.promises.readFile(source, "utf8"));
+        } catch (err) {
+            throw new Error(`Could not read ${source}: ${err.message}`);
+        }
+    }
+
+    const errors = [];
+    const validated = validateValue(SNAPSHOT_SCHEMA, document, "", errors);
+    if (errors.length) {
+        throw new Error(`Not a valid session snapshot: ${errors.map(e => `${e.field || "snapshot"} ${e.message}`).join("; ")}`);
+    }
+    return validated;
+}
+
+function notesKey(notes = []) {
+    return notes
+        .map(n => JSON.stringify([n.pitch, roundFloat(n.start_time), roundFloat(n.duration), n.velocity ?? 100, !!n.mute]))
+        .sort()
+        .join();
+}
+
+function changedProperties(properties, from, to) {
+    return properties.filter(p => to[p] !== undefined && !(from && valuesMatch([from[p]], [to[p]])));
+}
+
+function propertyWrite(prefix, indices, property, value) {
+    return {
+        address: `${prefix}/set/${property}`,
+        args: [...indices, SNAPSHOT_BOOLEANS.has(property) ? (value ? 1 : 0) : value]
+    };
+}
+
+// Writes that turn clip properties `from` (null for a new clip) into `to`. A loop or
+// marker range moves its end first, unless that would put it before the old start.
+function clipPropertyWrites(trackIndex, slotIndex, from, to) {
+    const order = changedProperties(SNAPSHOT_CLIP_PROPERTIES, from, to);
+    for (const [start, end] of [["start_marker", "end_marker"], ["loop_start", "loop_end"]]) {
+        if (from && order.includes(start) && order.includes(end) && from[start] >= to[end]) {
+            order.splice(order.indexOf(end), 1);
+            order.splice(order.indexOf(start) + 1, 0, end);
+        }
+    }
+    return order.map(p => propertyWrite("/live/clip", [trackIndex, slotIndex], p, to[p]));
+}
+
+// Plan the writes that make the current set match the snapshot. Returns
+// { writes, changes, skipped }; rebuild also deletes tracks and scenes past the
+// snapshot's and recreates every MIDI clip instead of editing it.
+function planSnapshotRestore(current, snapshot, mode) {
+    const writes = [];
+    const skipped = [];
+    const changes = {
+        song: [],
+        tracks: { created: 0, deleted: 0, changed: 0 },
+        scenes: { created: 0, deleted: 0, changed: 0 },
+        clips: { created: 0, deleted: 0, changed: 0 }
+    };
+    const setChanged = (prefix, indices, properties, from, to) => {
+        const changed = changedProperties(properties, from, to);
+        writes.push(...changed.map(p => propertyWrite(prefix, indices, p, to[p])));
+        return changed;
+    };
+
+    changes.song = setChanged("/live/song", [], SNAPSHOT_SONG_PROPERTIES, current.song, snapshot.song);
+
+    if (mode === "rebuild") {
+        for (let t = current.tracks.length - 1; t >= snapshot.tracks.length; t--) {
+            writes.push({ address: "/live/song/delete_track", args: [t] });
+            changes.tracks.deleted++;
+        }
+        for (let s = current.scenes.length - 1; s >= snapshot.scenes.length; s--) {
+            writes.push({ address: "/live/song/delete_scene", args: [s] });
+            changes.scenes.deleted++;
+        }
+    }
+    for (let s = current.scenes.length; s < snapshot.scenes.length; s++) {
+        writes.push({ address: "/live/song/create_scene", args: [s] });
+        changes.scenes.created++;
+    }
+    for (let t = current.tracks.length; t < snapshot.tracks.length; t++) {
+        writes.push({ address: `/live/song/create_${snapshot.tracks[t].type}_track`, args: [t] });
+        changes.tracks.created++;
+    }
+
+    snapshot.scenes.forEach((scene, s) => {
+        const existing = current.scenes[s];
+        if (setChanged("/live/scene", [s], SNAPSHOT_SCENE_PROPERTIES, existing, scene).length && existing) {
+            changes.scenes.changed++;
+        }
+    });
+
+    snapshot.tracks.forEach((track, t) => {
+        const existing = current.tracks[t];
+        if (existing && existing.type !== track.type) {
+            skipped.push(`track ${t}: a ${existing.type} track in the set but a ${track.type} track in the snapshot`);
+            return;
+        }
+        const properties = [...SNAPSHOT_TRACK_PROPERTIES, ...SNAPSHOT_MIXER_PROPERTIES];
+        if (setChanged("/live/track", [t], properties, existing, track).length && existing) {
+            changes.tracks.changed++;
+        }
+
+        const clips = new Map(track.clips.map(c => [c.slot_index, c]));
+        const currentClips = new Map((existing?.clips || []).map(c => [c.slot_index, c]));
+        for (const slot of range(0, snapshot.scenes.length)) {
+            const to = clips.get(slot);
+            const from = currentClips.get(slot);
+            if (!to) {
+                if (from) {
+                    writes.push({ address: "/live/clip_slot/delete_clip", args: [t, slot] });
+                    changes.clips.deleted++;
+                }
+                continue;
+            }
+
+            if (to.type === "audio") {
+                if (from?.type !== "audio") {
+                    skipped.push(`track ${t} slot ${slot}: audio clip "${to.name ?? ""}" can't be recreated`);
+                    continue;
+                }
+                const edits = clipPropertyWrites(t, slot, from, to);
+                writes.push(...edits);
+                if (edits.length) changes.clips.changed++;
+                continue;
+            }
+
+            if (from?.type === "midi" && mode !== "rebuild") {
+                const edits = clipPropertyWrites(t, slot, from, to);
+                if (to.notes && notesKey(to.notes) !== notesKey(from.notes)) {
+                    edits.push(
+                        { address: "/live/clip/remove/notes", args: [t, slot] },
+                        ...noteMessages(t, slot, to.notes)
+                    );
+                }
+                writes.push(...edits);
+                if (edits.length) changes.clips.changed++;
+                continue;
             }
 
-            return "Arrangement loop settings updated";
+            if (from) {
+                writes.push({ address: "/live/clip_slot/delete_clip", args: [t, slot] });
+            }
+            const noteEnd = Math.max(0, ...(to.notes || []).map(n => n.start_time + n.duration));
+            const length = Math.max(to.end_marker ?? 0, to.loop_end ?? 0, noteEnd) || 4;
+            writes.push(
+                { address: "/live/clip_slot/create_clip", args: [t, slot, length] },
+                ...clipPropertyWrites(t, slot, null, to),
+                ...noteMessages(t, slot, to.notes || [])
+            );
+            changes.clips.created++;
         }
-    },
-
-    get_clip_length: {
-        async handler(args) {
-            const { track_index, clip_index } = args;
-            const [length] = await sendAndWait("/live/clip/get/length", track_index, clip_index);
-            const [numNumerator] = await sendAndWait("/live/song/get/time_signature_numerator");
+    });
 
-            return {
-                length_beats: length,
-                length_bars: length / numNumerator
-            };
-        }
-    },
+    return { writes, changes, skipped };
+}
 
-    move_clip: {
-        async handler(args) {
-            const { source_track_index, source_clip_index, dest_track_index, dest_clip_index } = args;
+async function restoreSessionSnapshot(args) {
+    const snapshot = await loadSessionSnapshot(args);
+    // Notes are only compared when the snapshot has them
+    const withNotes = snapshot.tracks.some(t => t.clips.some(c => c.notes));
+    const current = await readSessionSnapshot({ notes: withNotes && args.mode !== "rebuild" });
+    const { writes, changes, skipped } = planSnapshotRestore(current, snapshot, args.mode);
+    sendWrites(writes);
+    return { mode: args.mode, writes: writes.length, ...changes, skipped };
+}
 
-            // AbletonOSC doesn't have a direct move, so we duplicate then delete source
-            fireAndForget("/live/clip/duplicate_clip_to", source_track_index, source_clip_index, dest_track_index, dest_clip_index);
-            // Small delay to ensure duplicate completes
-            await new Promise(resolve => setTimeout(resolve, 100));
-            fireAndForget("/live/clip_slot/delete_clip", source_track_index, source_clip_index);
+// Standard MIDI files
+// import_midi_file parses format 0 and 1 files (PPQ or SMPTE timing, tempo map) and
+// writes each MIDI track (or, in a format 0 file, each channel) into a clip slot;
+// export_clip_to_midi writes a clip's notes as a format 1 file. Clip time is in beats,
+// so PPQ ticks map straight to beats and the tempo map only matters for SMPTE timing.
+const MIDI_DEFAULT_TEMPO = 500000; // microseconds per quarter note (120 BPM)
+// Data bytes that follow each channel message status (0x8n..0xEn)
+const MIDI_DATA_BYTES = { 0x8: 2, 0x9: 2, 0xA: 2, 0xB: 2, 0xC: 1, 0xD: 1, 0xE: 2 };
 
-            return `Moved clip from track ${source_track_index} slot ${source_clip_index} to track ${dest_track_index} slot ${dest_clip_index}`;
+function parseMidiFile(data) {
+    const fail = message => { throw new Error(`Not a valid Standard MIDI File: ${message}`); };
+    let offset = 0;
+    const need = count => { if (offset + count > data.length) fail("unexpected end of file"); };
+    const uint = bytes => {
+        need(bytes);
+        let value = 0;
+        for (let i = 0; i < bytes; i++) value = value * 256 + data[offset++];
+        return value;
+    };
+    const varLen = () => {
+        let value = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = uint(1);
+            value = value * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) return value;
         }
-    },
+        return fail("variable-length value longer than 4 bytes");
+    };
+    const chunk = () => {
+        need(8);
+        const type = data.toString("latin1", offset, offset + 4);
+        offset += 4;
+        const length = uint(4);
+        need(length);
+        return { type, end: offset + length };
+    };
 
-    get_all_clips_in_scene: {
-        async handler(args) {
-            const { scene_index } = args;
-            const [numTracks] = await sendAndWait("/live/song/get/num_tracks");
+    const header = chunk();
+    if (header.type !== "MThd" || header.end - offset < 6) fail("missing MThd header");
+    const format = uint(2);
+    const trackCount = uint(2);
+    const division = uint(2);
+    offset = header.end;
+    if (format > 1) fail(`format ${format} (sequences of patterns) isn't supported`);
+    const timing = division & 0x8000
+        ? { fps: 256 - (division >> 8), ticks_per_frame: division & 0xff }
+        : { ppq: division };
+    if (!(timing.ppq || timing.ticks_per_frame)) fail("zero time division");
 
-            const clips = [];
-            for (let trackIndex = 0; trackIndex < numTracks; trackIndex++) {
-                const [hasClip] = await sendAndWait("/live/clip_slot/get/has_clip", trackIndex, scene_index);
-                if (hasClip) {
-                    const [name] = await sendAndWait("/live/clip/get/name", trackIndex, scene_index);
-                    const [length] = await sendAndWait("/live/clip/get/length", trackIndex, scene_index);
+    const tempos = [];
+    const signatures = [];
+    const tracks = [];
+    while (tracks.length < trackCount && offset < data.length) {
+        const { type, end } = chunk();
+        if (type !== "MTrk") {
+            offset = end;
+            continue;
+        }
 
-                    clips.push({
-                        track_index: trackIndex,
-                        clip_index: scene_index,
-                        name,
-                        length
-                    });
-                }
+        const track = { name: null, notes: [], end_tick: 0 };
+        const open = new Map();
+        let tick = 0;
+        let status = 0;
+        while (offset < end) {
+            tick += varLen();
+            let byte = uint(1);
+            // Meta and sysex events cancel running status
+            if (byte === 0xff || byte === 0xf0 || byte === 0xf7) status = 0;
+            if (byte === 0xff) {
+                const metaType = uint(1);
+                const length = varLen();
+                need(length);
+                const meta = data.subarray(offset, offset + length);
+                offset += length;
+                if (metaType === 0x03 && track.name === null) track.name = meta.toString("latin1");
+                if (metaType === 0x51 && length === 3) tempos.push({ tick, tempo: meta.readUIntBE(0, 3) });
+                if (metaType === 0x58 && length >= 2) signatures.push({ tick, numerator: meta[0], denominator: 2 ** meta[1] });
+                if (metaType === 0x2f) break;
+                continue;
+            }
+            if (byte === 0xf0 || byte === 0xf7) {
+                offset += varLen();
+                continue;
             }
 
-            return { clips };
+            // Running status: a data byte reuses the previous status
+            if (byte & 0x80) {
+                status = byte;
+                byte = uint(1);
+            } else if (!status) {
+                fail(`data byte without a status at offset ${offset - 1}`);
+            }
+            const kind = status >> 4;
+            const channel = status & 0x0f;
+            const second = MIDI_DATA_BYTES[kind] === 2 ? uint(1) : null;
+            if (kind !== 0x8 && kind !== 0x9) continue;
+
+            const key = `${channel} ${byte}`;
+            if (kind === 0x9 && second > 0) {
+                if (!open.has(key)) open.set(key, []);
+                open.get(key).push({ channel, pitch: byte, velocity: second, start: tick });
+            } else {
+                // Overlapping notes of one pitch end in the order they started
+                const note = open.get(key)?.shift();
+                if (note) track.notes.push({ ...note, end: tick });
+            }
         }
+        offset = end;
+        track.end_tick = tick;
+        // Notes still held at the end of the track last until then
+        for (const notes of open.values()) {
+            track.notes.push(...notes.map(note => ({ ...note, end: tick })));
+        }
+        tracks.push(track);
     }
-};
 
-// Utility functions
-function fireAndForget(address, ...args) {
-    if (TEST_MODE) return;
+    return { format, timing, tracks, tempos: tempos.sort((a, b) => a.tick - b.tick), signatures };
+}
 
-    // Safety check: verify OSC is ready
-    if (!oscReady) {
-        console.error(`⚠️  Warning: Attempting to send ${address} but OSC not ready`);
+// Tick -> beats. SMPTE ticks are seconds, which the tempo map turns into beats.
+function midiBeatClock({ timing, tempos }) {
+    if (timing.ppq) return tick => tick / timing.ppq;
+
+    const ticksPerSecond = timing.fps * timing.ticks_per_frame;
+    const segments = [];
+    let beats = 0;
+    let from = 0;
+    let tempo = MIDI_DEFAULT_TEMPO;
+    for (const change of tempos) {
+        beats += (change.tick - from) / ticksPerSecond * 1e6 / tempo;
+        segments.push({ tick: change.tick, beats, tempo: change.tempo });
+        from = change.tick;
+        tempo = change.tempo;
     }
+    return tick => {
+        const segment = segments.findLast(s => s.tick <= tick) || { tick: 0, beats: 0, tempo: MIDI_DEFAULT_TEMPO };
+        return segment.beats + (tick - segment.tick) / ticksPerSecond * 1e6 / segment.tempo;
+    };
+}
 
-    osc.send(new OSC.Message(address, ...args));
+// What can be imported: every track with notes, or every channel of a format 0 file
+function midiSources(midi) {
+    if (midi.format === 1) {
+        return midi.tracks
+            .map((track, index) => ({ name: track.name, file_track: index, notes: track.notes }))
+            .filter(source => source.notes.length);
+    }
+    const [track] = midi.tracks;
+    const channels = [...new Set(track.notes.map(n => n.channel))].sort((a, b) => a - b);
+    return channels.map(channel => ({
+        name: channels.length > 1 ? `${track.name || "Channel"} ${channel + 1}` : track.name,
+        file_track: 0,
+        channel: channel + 1,
+        notes: track.notes.filter(n => n.channel === channel)
+    }));
 }
 
-function sendAndWait(address, ...args) {
-    return new Promise((resolve, reject) => {
-        // Check if OSC is ready before attempting communication
-        if (!TEST_MODE && !oscReady) {
-            reject(new Error(
-                `Cannot send OSC message: OSC connection not ready. ` +
-                `This should not happen - the server should wait for OSC during startup.`
-            ));
-            return;
-        }
+async function importMidiFile(args) {
+    const source = localFilePath(args.file);
+    let data;
+    try {
+        data = await fs.promises.readFile(source);
+    } catch (err) {
+        throw new Error(`Could not read ${source}: ${err.message}`);
+    }
+    const midi = parseMidiFile(data);
+    const sources = midiSources(midi);
+    if (!sources.length) throw new Error(`${source} has no notes`);
+    const selected = (args.sources ?? sources.map((_, i) => i)).map(i => {
+        if (!sources[i]) throw new Error(`No source ${i}: ${source} has ${sources.length} (${describeMidiSources(sources)})`);
+        return sources[i];
+    });
 
-        if (!TEST_MODE && oscError) {
-            reject(new Error(
-                `Cannot send OSC message: OSC connection failed during initialization. ` +
-                `Error: ${oscError.message}`
-            ));
-            return;
-        }
+    const [numTracks] = await sendAndWait("/live/song/get/num_tracks");
+    const lastTrack = args.track_index + selected.length - 1;
+    if (lastTrack >= numTracks) {
+        throw new Error(
+            `Importing ${selected.length} source(s) from track ${args.track_index} needs tracks up to ${lastTrack}, ` +
+            `but the set has ${numTracks}; create MIDI tracks first or pick fewer sources`
+        );
+    }
+    const destinations = range(args.track_index, lastTrack + 1);
+    const [midiInputs, hasClips] = await Promise.all([
+        Promise.all(destinations.map(t => sendAndWait("/live/track/get/has_midi_input", t))),
+        Promise.all(destinations.map(t => sendAndWait("/live/clip_slot/get/has_clip", t, args.clip_index)))
+    ]);
+    const audioTrack = destinations.find((t, i) => !midiInputs[i][0]);
+    if (audioTrack !== undefined) throw new Error(`Track ${audioTrack} is an audio track; MIDI can only go to MIDI tracks`);
 
-        let subscriptionId;
+    const beats = midiBeatClock(midi);
+    const [signature] = midi.signatures;
+    const beatsPerBar = signature ? signature.numerator * 4 / signature.denominator : 4;
+    const imported = selected.map((s, i) => {
+        const trackIndex = destinations[i];
+        const notes = s.notes
+            .map(n => ({
+                pitch: n.pitch,
+                start_time: roundFloat(beats(n.start)),
+                duration: roundFloat(beats(n.end) - beats(n.start)),
+                velocity: n.velocity
+            }))
+            .filter(n => n.duration > 0);
+        const noteEnd = Math.max(0, ...notes.map(n => n.start_time + n.duration));
+        const length = args.length ?? Math.max(1, Math.ceil(roundFloat(noteEnd / beatsPerBar))) * beatsPerBar;
 
-        const onTimeout = () => {
-            if (subscriptionId !== undefined) {
-                osc.off(address, subscriptionId);
+        if (!hasClips[i][0]) {
+            fireAndForget("/live/clip_slot/create_clip", trackIndex, args.clip_index, length);
+        } else {
+            // Replace the notes and loop the clip over the imported part
+            fireAndForget("/live/clip/remove/notes", trackIndex, args.clip_index);
+            for (const property of ["start_marker", "loop_start"]) {
+                fireAndForget(`/live/clip/set/${property}`, trackIndex, args.clip_index, 0);
             }
-            reject(
-                new Error(
-                    `Timeout waiting for Ableton response on ${address} after ${TIMEOUT_MS}ms.\n\n` +
-                    `Troubleshooting:\n` +
-                    `  1. Is Ableton Live running?\n` +
-                    `  2. Is AbletonOSC plugin enabled? (Preferences > Link / Tempo / MIDI)\n` +
-                    `  3. Is AbletonOSC listening on port ${OSC_PORT}?\n` +
-                    `  4. Is port ${OSC_RESPONSE_PORT} accessible for responses?\n` +
-                    `  5. Check AbletonOSC logs for errors\n\n` +
-                    `Config: host=${OSC_HOST}, send_port=${OSC_PORT}, receive_port=${OSC_RESPONSE_PORT}`
-                )
-            );
+            for (const property of ["end_marker", "loop_end"]) {
+                fireAndForget(`/live/clip/set/${property}`, trackIndex, args.clip_index, length);
+            }
+        }
+        if (s.name) fireAndForget("/live/clip/set/name", trackIndex, args.clip_index, s.name);
+        writeClipNotes(trackIndex, args.clip_index, notes);
+
+        return {
+            source: sources.indexOf(s),
+            name: s.name,
+            track_index: trackIndex,
+            clip_index: args.clip_index,
+            notes: notes.length,
+            length,
+            ...(notes.length < s.notes.length && { dropped_zero_length_notes: s.notes.length - notes.length })
         };
+    });
 
-        const timeout = setTimeout(onTimeout, TIMEOUT_MS);
+    const tempo = roundFloat(60e6 / (midi.tempos[0]?.tempo ?? MIDI_DEFAULT_TEMPO));
+    if (args.set_tempo) fireAndForget("/live/song/set/tempo", tempo);
+    return {
+        file: source,
+        format: midi.format,
+        timing: midi.timing,
+        tempo,
+        tempo_changes: Math.max(0, midi.tempos.length - 1),
+        sources: sources.length,
+        imported
+    };
+}
 
-        const handler = (message) => {
-            clearTimeout(timeout);
-            if (subscriptionId !== undefined) {
-                osc.off(address, subscriptionId);
-            }
-            resolve(message.args);
-        };
+function describeMidiSources(sources) {
+    return sources.map((s, i) => `${i}: ${s.name || `track ${s.file_track}`}`).join(", ");
+}
 
-        subscriptionId = osc.on(address, handler);
-        osc.send(new OSC.Message(address, ...args));
-    });
+function midiVarLen(value) {
+    const bytes = [value & 0x7f];
+    while ((value = Math.floor(value / 128)) > 0) bytes.unshift((value & 0x7f) | 0x80);
+    return bytes;
 }
 
-const toolText = (text) => ({
-    content: [{
-        type: "text",
-        text: typeof text === "string" ? text : JSON.stringify(text, null, 2)
-    }]
-});
-const toolError = (err) => ({
-    content: [{ type: "text", text: `Error: ${err?.message || String(err)}` }],
-    isError: true,
-});
+function midiTrackChunk(events) {
+    let last = 0;
+    const bytes = [];
+    for (const { tick, data } of events) {
+        bytes.push(...midiVarLen(tick - last), ...data);
+        last = tick;
+    }
+    const header = Buffer.alloc(8);
+    header.write("MTrk", 0, "latin1");
+    header.writeUInt32BE(bytes.length, 4);
+    return Buffer.concat([header, Buffer.from(bytes)]);
+}
 
-// Generic tool handler
-async function handleTool(toolName, args) {
-    // Special case: health check
-    if (toolName === "health_check") {
-        return "ok";
+function midiMeta(tick, type, data) {
+    return { tick, data: [0xff, type, ...midiVarLen(data.length), ...data] };
+}
+
+// Format 1: a tempo track, then the notes track
+function writeMidiFile({ ppq, tempo, numerator, denominator, name, channel, notes, endBeats }) {
+    const ticks = beats => Math.round(beats * ppq);
+    const microseconds = Math.round(60e6 / tempo);
+    const endTick = Math.max(ticks(endBeats), ...notes.map(n => ticks(n.start_time + n.duration)));
+    const conductor = [
+        midiMeta(0, 0x58, [numerator, Math.log2(denominator), 24, 8]),
+        midiMeta(0, 0x51, [(microseconds >> 16) & 0xff, (microseconds >> 8) & 0xff, microseconds & 0xff]),
+        midiMeta(endTick, 0x2f, [])
+    ];
+
+    // Note-offs sort before note-ons at the same tick so repeated notes don't cut each other
+    const noteEvents = notes.flatMap(n => [
+        { tick: ticks(n.start_time), off: 1, data: [0x90 | channel, n.pitch, Math.min(127, Math.max(1, n.velocity))] },
+        { tick: ticks(n.start_time + n.duration), off: 0, data: [0x80 | channel, n.pitch, 0] }
+    ]).sort((a, b) => a.tick - b.tick || a.off - b.off);
+    const track = [
+        midiMeta(0, 0x03, [...Buffer.from(name, "latin1")]),
+        ...noteEvents,
+        midiMeta(endTick, 0x2f, [])
+    ];
+
+    const header = Buffer.alloc(14);
+    header.write("MThd", 0, "latin1");
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(1, 8);
+    header.writeUInt16BE(2, 10);
+    header.writeUInt16BE(ppq, 12);
+    return Buffer.concat([header, midiTrackChunk(conductor), midiTrackChunk(track)]);
+}
+
+async function exportClipToMidi(args) {
+    const { track_index, clip_index } = args;
+    const target = localFilePath(args.file);
+    const [notes, [name], [loopEnd], [tempo], [numerator], [denominator]] = await Promise.all([
+        readClipNotes(track_index, clip_index),
+        sendAndWait("/live/clip/get/name", track_index, clip_index),
+        sendAndWait("/live/clip/get/loop_end", track_index, clip_index),
+        sendAndWait("/live/song/get/tempo"),
+        sendAndWait("/live/song/get/signature_numerator"),
+        sendAndWait("/live/song/get/signature_denominator")
+    ]);
+    // MIDI has no muted notes
+    const audible = notes.filter(n => !n.mute);
+    await writeLocalFile(target, writeMidiFile({
+        ppq: args.ppq,
+        tempo,
+        numerator,
+        denominator,
+        name,
+        channel: args.channel - 1,
+        notes: audible,
+        endBeats: loopEnd
+    }));
+    return {
+        file: target,
+        notes: audible.length,
+        ...(audible.length < notes.length && { skipped_muted_notes: notes.length - audible.length }),
+        ppq: args.ppq,
+        tempo: roundFloat(tempo)
+    };
+}
+
+// MCP resources
+// Read-only JSON views of the session, assembled from the getter tools so clients
+// can pull context into the model without spending tool calls.
+// MCP's "resource not found" error code (not in the SDK's ErrorCode enum)
+const RESOURCE_NOT_FOUND = -32002;
+
+const RESOURCES = [
+    {
+        uri: "ableton://song",
+        name: "Song",
+        description: "Tempo, time signature, transport and loop state",
+        pattern: /^ableton:\/\/song$/,
+        tool: "get_song_info",
+        toArgs: () => ({})
+    },
+    {
+        uri: "ableton://tracks",
+        name: "Tracks",
+        description: "All tracks with name, color, mute, solo and arm state",
+        pattern: /^ableton:\/\/tracks$/,
+        tool: "list_tracks",
+        toArgs: () => ({})
+    },
+    {
+        uri: "ableton://scenes",
+        name: "Scenes",
+        description: "All scenes with their index and name",
+        pattern: /^ableton:\/\/scenes$/,
+        tool: "list_scenes",
+        toArgs: () => ({})
+    },
+    {
+        uri: "ableton://state",
+        name: "Live state mirror",
+        description:
+            "Transport and mixer state kept up to date by AbletonOSC listeners (tempo, playing, song time, " +
+            "track mute/solo/volume, playing clip). Listeners start with the first resource subscription " +
+            "and stop after the last.",
+        pattern: /^ableton:\/\/state$/,
+        read: () => liveState
+    },
+    {
+        uriTemplate: "ableton://tracks/{track_index}/clips",
+        name: "Track clips",
+        description: "Clips in every clip slot of a track",
+        pattern: /^ableton:\/\/tracks\/(\d+)\/clips$/,
+        tool: "get_track_clips",
+        toArgs: ([track]) => ({ track_index: Number(track) })
+    },
+    {
+        uriTemplate: "ableton://clips/{track_index}/{clip_index}/notes",
+        name: "Clip notes",
+        description: "MIDI notes of a clip",
+        pattern: /^ableton:\/\/clips\/(\d+)\/(\d+)\/notes$/,
+        tool: "get_clip_notes",
+        toArgs: ([track, clip]) => ({ track_index: Number(track), clip_index: Number(clip) })
+    }
+];
+
+async function readResource(uri) {
+    for (const resource of RESOURCES) {
+        const match = resource.pattern.exec(uri);
+        if (match) {
+            const result = resource.read
+                ? resource.read()
+                : await handleTool(resource.tool, resource.toArgs(match.slice(1)));
+            return {
+                contents: [{
+                    uri,
+                    mimeType: "application/json",
+                    text: JSON.stringify(result, null, 2)
+                }]
+            };
+        }
     }
+    throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+}
+
+// Live change subscriptions
+// AbletonOSC start_listen listeners push /live/.../get/... messages whenever a value
+// changes in Live (including edits made by hand). They keep liveState, a local mirror
+// of transport and mixer state, up to date and trigger notifications/resources/updated
+// for the resources clients subscribed to.
+const SONG_LISTEN_PROPERTIES = ["tempo", "is_playing", "current_song_time"];
+const TRACK_LISTEN_PROPERTIES = ["mute", "solo", "volume", "playing_slot_index"];
+// Coalesce bursts of changes (e.g. a fader move) into one notification per resource
+const RESOURCE_NOTIFY_DELAY_MS = 250;
+
+const liveState = {
+    listening: false,
+    updated_at: null,
+    song: {},
+    tracks: []
+};
+// Server (one per connected client) -> subscribed resource URIs
+const resourceSubscriptions = new Map();
+const pendingResourceNotifications = new Map();
+let listenedTrackCount = 0;
 
-    // First, check if there's a custom handler in OSC_MAPPINGS (for complex tools like get_song_info)
-    const customMapping = OSC_MAPPINGS[toolName];
-    if (customMapping?.handler) {
-        return await customMapping.handler(args);
+// Resources whose content depends on each mirrored property
+function resourcesForChange(property, trackIndex) {
+    switch (property) {
+        case "tempo":
+        case "is_playing":
+        case "current_song_time":
+            return ["ableton://song", "ableton://state"];
+        case "mute":
+        case "solo":
+            return ["ableton://tracks", "ableton://state"];
+        case "playing_slot_index":
+            return [`ableton://tracks/${trackIndex}/clips`, "ableton://state"];
+        default:
+            return ["ableton://state"];
     }
+}
 
-    // Otherwise, look up the tool in the JSON configuration
-    const toolDef = toolsConfig.tools?.find(t => t.name === toolName);
-    if (!toolDef || !toolDef.osc_mapping) {
-        throw new Error(
-            `Tool '${toolName}' is not properly configured. ` +
-            `Missing osc_mapping in configuration.`
-        );
+function updateLiveState(address, args) {
+    const [, , domain, verb, property] = address.split("/");
+    if (verb !== "get") return;
+
+    let changed = false;
+    let trackIndex;
+    if (domain === "song" && SONG_LISTEN_PROPERTIES.includes(property)) {
+        const [value] = args;
+        const previous = liveState.song[property];
+        if (songSchedule && property === "current_song_time") advanceSongSchedule(value);
+        if (songSchedule && property === "is_playing" && previous && !value) {
+            console.error("🎬 Playback stopped; scheduled scene launches cancelled");
+            songSchedule = null;
+            stopUnusedListeners();
+        }
+        // Song time moves continuously while playing; only whole beats count as a change
+        changed = property === "current_song_time"
+            ? Math.floor(previous ?? -1) !== Math.floor(value)
+            : previous !== value;
+        liveState.song[property] = value;
+    } else if (domain === "track" && TRACK_LISTEN_PROPERTIES.includes(property)) {
+        const [index, value] = args;
+        if (!Number.isInteger(index) || args.length !== 2) return;
+        trackIndex = index;
+        liveState.tracks[index] ??= { index };
+        changed = liveState.tracks[index][property] !== value;
+        liveState.tracks[index][property] = value;
+    }
+
+    if (!changed) return;
+    liveState.updated_at = new Date().toISOString();
+    for (const uri of resourcesForChange(property, trackIndex)) {
+        notifyResourceUpdated(uri);
     }
+}
 
-    const oscMapping = toolDef.osc_mapping;
+function isSubscribed(uri) {
+    return [...resourceSubscriptions.values()].some(uris => uris.has(uri));
+}
 
-    // Handle composite mappings (multiple OSC calls)
-    if (oscMapping.type === "composite") {
-        const results = [];
-        for (const address of oscMapping.calls) {
-            const [result] = await sendAndWait(address);
-            results.push(result);
+function notifyResourceUpdated(uri) {
+    if (!isSubscribed(uri) || pendingResourceNotifications.has(uri)) return;
+
+    pendingResourceNotifications.set(uri, setTimeout(() => {
+        pendingResourceNotifications.delete(uri);
+        for (const [server, uris] of resourceSubscriptions) {
+            if (!uris.has(uri)) continue;
+            server.sendResourceUpdated({ uri }).catch(err => {
+                console.error(`⚠️  Failed to send update for ${uri}:`, err.message);
+            });
         }
-        return results;
+    }, RESOURCE_NOTIFY_DELAY_MS));
+}
+
+async function startListeners() {
+    if (liveState.listening) return;
+    liveState.listening = true;
+
+    for (const property of SONG_LISTEN_PROPERTIES) {
+        fireAndForget(`/live/song/start_listen/${property}`);
     }
+    await refreshTrackListeners();
+    console.error("✅ Listening for changes in Live");
+}
 
-    // Handle simple OSC address mapping
-    if (oscMapping.address) {
-        // Extract parameters in order
-        const oscParams = (oscMapping.params || []).map(paramName => {
-            const value = args[paramName];
-            if (value === undefined && toolDef.input_schema?.required?.includes(paramName)) {
-                throw new Error(`Missing required parameter: ${paramName}`);
+// Stop the listeners once no client is subscribed and no song schedule follows the
+// song time. The stops can't be sent while the socket is closed, but the listeners
+// aren't restarted when Live reconnects either.
+function stopUnusedListeners() {
+    const subscribed = [...resourceSubscriptions.values()].some(uris => uris.size);
+    if (!liveState.listening || subscribed || songSchedule) return;
+    liveState.listening = false;
+
+    if (oscReady) {
+        for (const property of SONG_LISTEN_PROPERTIES) {
+            fireAndForget(`/live/song/stop_listen/${property}`);
+        }
+        for (let i = 0; i < listenedTrackCount; i++) {
+            for (const property of TRACK_LISTEN_PROPERTIES) {
+                fireAndForget(`/live/track/stop_listen/${property}`, i);
             }
-            return value;
-        });
+        }
+    }
+    listenedTrackCount = 0;
+    console.error("✅ Stopped listening for changes in Live");
+}
 
-        // Send the OSC command
-        const result = await sendAndWait(oscMapping.address, ...oscParams);
-        return result;
+// Re-register per-track listeners for the current track list
+async function refreshTrackListeners() {
+    const [numTracks] = await sendAndWait("/live/song/get/num_tracks");
+    // Listening stopped while the track count was read
+    if (!liveState.listening) return;
+
+    for (let i = 0; i < listenedTrackCount; i++) {
+        for (const property of TRACK_LISTEN_PROPERTIES) {
+            fireAndForget(`/live/track/stop_listen/${property}`, i);
+        }
     }
+    liveState.tracks = [];
+    for (let i = 0; i < numTracks; i++) {
+        for (const property of TRACK_LISTEN_PROPERTIES) {
+            fireAndForget(`/live/track/start_listen/${property}`, i);
+        }
+    }
+    listenedTrackCount = numTracks;
+}
 
-    throw new Error(`Invalid osc_mapping configuration for tool: ${toolName}`);
+// MCP server
+// One Server per connected client (stdio, or each HTTP session); they all share the
+// OSC socket, request correlation, session cache and listeners above.
+const mcpServers = new Set();
+
+function notifyToolListChanged() {
+    for (const server of mcpServers) {
+        server.sendToolListChanged().catch(() => {
+            // Not connected yet; it lists the tools when it is
+        });
+    }
 }
 
-// Create MCP server
-const server = new Server(
-    {
-        name: toolsConfig.server_name || "ableton-osc-mcp",
-        version: "1.0.0",
-    },
-    {
-        capabilities: {
-            tools: {},
+function createMcpServer() {
+    const server = new Server(
+        {
+            name: toolsConfig.server_name || "ableton-osc-mcp",
+            version: "1.0.0",
         },
-    }
-);
+        {
+            capabilities: {
+                tools: { listChanged: true },
+                resources: { subscribe: true },
+            },
+        }
+    );
 
-// List available tools - loaded from JSON
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-    // Add health_check tool
-    const healthCheck = {
-        name: "health_check",
-        description: "Simple health check that returns ok if the server is responsive",
-        inputSchema: { type: "object", properties: {}, required: [] }
-    };
+    // List available tools - JSON and code-defined tools from the registry, once the
+    // probes Live is answering have decided which optional features it has. A client
+    // listing right after startup waits for the first heartbeat, which starts them.
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+        if (connection.state === "connecting") await heartbeat();
+        await Promise.allSettled(featureProbes.values());
+        const tools = [...toolRegistry.tools.values()].filter(isToolAvailable).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.input_schema,
+            annotations: { readOnlyHint: tool.readOnly }
+        }));
+
+        return { tools };
+    });
+
+    // Handle tool calls
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        try {
+            const { name, arguments: args } = request.params;
+            const result = await handleTool(name, args || {});
+            return toolText(result);
+        } catch (error) {
+            // Bad arguments and unknown tools are protocol errors; failures while
+            // talking to Live are reported as tool results
+            if (error instanceof McpError) {
+                throw error;
+            }
+            return toolError(error);
+        }
+    });
 
-    // Convert tools from JSON format to MCP format
-    const tools = (toolsConfig.tools || []).map(tool => ({
-        name: tool.name,
-        description: tool.description || "",
-        inputSchema: tool.input_schema || { type: "object", properties: {}, required: [] }
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+        resources: RESOURCES.filter(r => r.uri).map(({ uri, name, description }) => ({
+            uri,
+            name,
+            description,
+            mimeType: "application/json"
+        }))
     }));
 
-    return { tools: [healthCheck, ...tools] };
-});
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+        resourceTemplates: RESOURCES.filter(r => r.uriTemplate).map(({ uriTemplate, name, description }) => ({
+            uriTemplate,
+            name,
+            description,
+            mimeType: "application/json"
+        }))
+    }));
 
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    try {
-        const { name, arguments: args } = request.params;
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => readResource(request.params.uri));
 
-        // In test mode, provide deterministic responses
-        if (TEST_MODE) {
-            if (name === "health_check") {
-                return toolText("ok");
-            }
-            if (name === "get_tempo") {
-                return toolText("Current tempo: 120 BPM");
-            }
-            // For other tools in test mode, return a success message
-            return toolText(`Test mode: ${name} executed successfully`);
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+        const { uri } = request.params;
+        if (!RESOURCES.some(r => r.pattern.test(uri))) {
+            throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
         }
 
-        const result = await handleTool(name, args || {});
-        return toolText(result);
-    } catch (error) {
-        return toolError(error);
+        if (!resourceSubscriptions.has(server)) resourceSubscriptions.set(server, new Set());
+        resourceSubscriptions.get(server).add(uri);
+        await startListeners();
+        return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+        resourceSubscriptions.get(server)?.delete(request.params.uri);
+        stopUnusedListeners();
+        return {};
+    });
+
+    mcpServers.add(server);
+    server.onclose = () => {
+        mcpServers.delete(server);
+        resourceSubscriptions.delete(server);
+        stopUnusedListeners();
+    };
+
+    return server;
+}
+
+// HTTP transport
+// Opt-in MCP Streamable HTTP (POST for requests, SSE for server messages) on /mcp,
+// so clients on other machines can share this server's single OSC connection.
+// Each session gets its own Server. Requests need "Authorization: Bearer <token>"
+// when MCP_HTTP_TOKEN is set, which is mandatory off loopback.
+// Web pages can reach a loopback server too (DNS rebinding), so requests from browsers
+// (with an Origin) must come from a local page or one in MCP_HTTP_ALLOWED_ORIGINS, and
+// a loopback server only answers requests addressed to a loopback Host.
+const HTTP_PATH = "/mcp";
+const MAX_HTTP_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = new Set(["127.0.0.1", "::1", "localhost"]);
+const httpSessions = new Map();
+
+function isLoopbackHostname(hostname) {
+    return LOOPBACK_HOSTS.has(hostname.replace(/^\[(.*)\]$/, "$1"));
+}
+
+// Why a request is refused as not coming from this machine, or null
+function foreignRequestReason(req) {
+    const { origin, host = "" } = req.headers;
+    if (origin !== undefined && !HTTP_ALLOWED_ORIGINS.has(origin)) {
+        let hostname = "";
+        try {
+            hostname = new URL(origin).hostname;
+        } catch {
+            // "null" and other opaque origins
+        }
+        if (!isLoopbackHostname(hostname)) return `Origin ${origin} is not allowed`;
     }
-});
+    if (LOOPBACK_HOSTS.has(HTTP_HOST)) {
+        let hostname = "";
+        try {
+            hostname = new URL(`http://${host}`).hostname;
+        } catch {
+            // Malformed Host header
+        }
+        if (!isLoopbackHostname(hostname)) return `Host ${host} is not allowed`;
+    }
+    return null;
+}
+
+function isAuthorized(req) {
+    if (!HTTP_TOKEN) return true;
+    const [scheme, token = ""] = (req.headers.authorization || "").split(" ");
+    const expected = Buffer.from(HTTP_TOKEN);
+    const actual = Buffer.from(token);
+    return scheme === "Bearer" && actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function sendJsonRpcError(res, status, code, message, headers = {}) {
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_HTTP_BODY_BYTES) throw new Error(`Request body exceeds ${MAX_HTTP_BODY_BYTES} bytes`);
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+}
+
+async function handleHttpRequest(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== HTTP_PATH) {
+        sendJsonRpcError(res, 404, -32000, `Not found; the MCP endpoint is ${HTTP_PATH}`);
+        return;
+    }
+    const foreign = foreignRequestReason(req);
+    if (foreign) {
+        sendJsonRpcError(res, 403, -32000, `Forbidden: ${foreign}`);
+        return;
+    }
+    if (!isAuthorized(req)) {
+        sendJsonRpcError(res, 401, -32001, "Unauthorized", { "WWW-Authenticate": "Bearer" });
+        return;
+    }
+
+    let body;
+    if (req.method === "POST") {
+        try {
+            body = await readJsonBody(req);
+        } catch (err) {
+            sendJsonRpcError(res, 400, ErrorCode.ParseError, `Invalid request body: ${err.message}`);
+            return;
+        }
+    }
+
+    const sessionId = req.headers["mcp-session-id"];
+    const session = sessionId && httpSessions.get(sessionId);
+    if (session) {
+        await session.transport.handleRequest(req, res, body);
+        return;
+    }
+    if (sessionId) {
+        sendJsonRpcError(res, 404, -32000, `Unknown or expired session: ${sessionId}`);
+        return;
+    }
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, -32000, "Missing mcp-session-id header; start a session with an initialize request");
+        return;
+    }
+
+    const server = createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => crypto.randomUUID(),
+        onsessioninitialized: (id) => {
+            httpSessions.set(id, { transport, server });
+            console.error(`HTTP session ${id} started (${httpSessions.size} active)`);
+        }
+    });
+    transport.onclose = () => {
+        if (transport.sessionId && httpSessions.delete(transport.sessionId)) {
+            console.error(`HTTP session ${transport.sessionId} closed (${httpSessions.size} active)`);
+        }
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+}
+
+function startHttpServer() {
+    if (!HTTP_TOKEN && !LOOPBACK_HOSTS.has(HTTP_HOST)) {
+        throw new Error(`Refusing to serve MCP over HTTP on ${HTTP_HOST} without MCP_HTTP_TOKEN`);
+    }
+
+    const httpServer = http.createServer((req, res) => {
+        handleHttpRequest(req, res).catch(err => {
+            console.error("⚠️  HTTP request failed:", err.message);
+            if (!res.headersSent) sendJsonRpcError(res, 500, ErrorCode.InternalError, err.message);
+            else res.end();
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        httpServer.once("error", err => reject(new Error(`Cannot listen on ${HTTP_HOST}:${HTTP_PORT}: ${err.message}`)));
+        httpServer.listen(HTTP_PORT, HTTP_HOST, () => resolve(httpServer));
+    });
+}
 
 // Graceful shutdown handler
 function setupShutdownHandlers() {
@@ -652,6 +6399,7 @@ function setupShutdownHandlers() {
             if (osc && oscReady) {
                 osc.close();
             }
+            simulator?.stop();
         } catch (err) {
             // Ignore cleanup errors
         }
@@ -672,12 +6420,24 @@ async function main() {
 
         // Setup cleanup handlers
         setupShutdownHandlers();
+        startHeartbeat();
 
-        // Now start the MCP server
-        const transport = new StdioServerTransport();
-        await server.connect(transport);
-        console.error("✅ Ableton Live MCP server running on stdio");
-        console.error(`   Loaded ${toolsConfig.tools?.length || 0} tools from ${TOOL_SPEC_PATH}`);
+        // Now start the MCP server on the configured transports
+        if (TRANSPORTS.includes("stdio")) {
+            await createMcpServer().connect(new StdioServerTransport());
+            console.error("✅ Ableton Live MCP server running on stdio");
+        }
+        if (TRANSPORTS.includes("http")) {
+            const httpServer = await startHttpServer();
+            const { address, port } = httpServer.address();
+            console.error(`✅ Ableton Live MCP server running on http://${address}:${port}${HTTP_PATH}` +
+                (HTTP_TOKEN ? " (bearer token required)" : ""));
+        }
+        const codeTools = [...toolRegistry.tools.values()].filter(t => t.source === "code").length;
+        console.error(`   Loaded ${toolRegistry.tools.size} tools (${toolsConfig.tools?.length || 0} from ${TOOL_SPEC_PATH}, ${codeTools} code-defined)`);
+        if (simulator) {
+            console.error("   Test mode: using the in-process AbletonOSC simulator");
+        }
     } catch (error) {
         console.error("❌ FATAL: Server initialization failed:", error.message);
 
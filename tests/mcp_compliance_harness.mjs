@@ -227,18 +227,48 @@ function generateMinimalArgs(schema) {
     const args = {};
     const required = schema.required || [];
     for (const key of required) {
-        const prop = schema.properties[key];
-        if (prop.type === 'string') args[key] = 'test';
-        else if (prop.type === 'integer' || prop.type === 'number') args[key] = 0;
-        else if (prop.type === 'boolean') args[key] = false;
-        else if (prop.type === 'array') args[key] = [];
-        else if (prop.type === 'object') args[key] = {};
+        args[key] = minimalValue(schema.properties[key]);
+    }
+    for (const key of indexReferences(schema)) {
+        args[key] = minimalNumber(schema.properties[key]);
     }
     return args;
 }
 
+// Index parameters that can be replaced by a name (track_index or track) aren't
+// listed as required, but one of the two must be given; the minimal call uses the index
+function indexReferences(schema) {
+    return Object.keys(schema.properties || {}).filter(key => {
+        const name = key.replace(/_(index|id)$/, '');
+        return name !== key && schema.properties[name]?.type === 'string';
+    });
+}
+
+function minimalValue(prop) {
+    const type = Array.isArray(prop.type) ? prop.type[0] : prop.type;
+    if (prop.default !== undefined) return prop.default;
+    if (prop.enum) return prop.enum[0];
+    if (type === 'string') return 'test';
+    if (type === 'integer' || type === 'number') return minimalNumber(prop);
+    if (type === 'boolean') return false;
+    if (type === 'array') return Array.from({ length: prop.minItems || 0 }, () => minimalValue(prop.items || {}));
+    if (type === 'object') return generateMinimalArgs(prop);
+    return undefined;
+}
+
+// Smallest in-range value for a numeric schema (0 when unconstrained)
+function minimalNumber(prop) {
+    if (prop.minimum !== undefined) return Math.max(prop.minimum, Math.min(0, prop.maximum ?? 0));
+    if (prop.exclusiveMinimum !== undefined) return prop.exclusiveMinimum + 1;
+    return 0;
+}
+
+// Parameters with a schema default are filled in by the server, so only
+// required parameters without one make an empty call invalid
 function hasRequiredParams(schema) {
-    return schema && schema.required && schema.required.length > 0;
+    if (schema && indexReferences(schema).length) return true;
+    return schema && schema.required &&
+        schema.required.some(key => schema.properties?.[key]?.default === undefined);
 }
 
 function generateInvalidArgs(schema) {
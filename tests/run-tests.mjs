@@ -3,10 +3,19 @@
 // and returns sensible responses. Uses the official MCP SDK client over stdio.
 
 import { fileURLToPath } from 'url';
-import { dirname, resolve } from 'path';
+import { dirname, join, resolve } from 'path';
 import assert from 'assert';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ErrorCode, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import dgram from 'dgram';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import { tmpdir } from 'os';
+import { spawn } from 'child_process';
+import { AbletonSimulator, createDefaultSong } from '../ableton-simulator.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -35,6 +44,51 @@ async function withClient(fn) {
   }
 }
 
+// Like withClient, but against a simulator running in this process so tests can
+// configure it and inspect the OSC traffic the server sends (simulator.received)
+async function withSimulatorClient(simulatorOptions, fn, serverEnv = {}) {
+  const simulator = new AbletonSimulator(simulatorOptions);
+  const { port } = await simulator.start({ host: '127.0.0.1', port: 0 });
+  const responsePort = await freeUdpPort();
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_ENTRY],
+    cwd: PROJECT_ROOT,
+    env: {
+      ...process.env,
+      MCP_TEST_MODE: '0',
+      NODE_ENV: 'development',
+      ABLETON_OSC_PORT: String(port),
+      ABLETON_OSC_RESPONSE_PORT: String(responsePort),
+      ABLETON_JOURNAL_DIR: '',
+      ...serverEnv,
+    },
+    stderr: 'pipe',
+  });
+
+  const client = new Client({ name: 'ableton-live-assistant-tests', version: '1.0.0' });
+  try {
+    await client.connect(transport);
+    return await fn(client, simulator, port);
+  } finally {
+    try {
+      await client.close();
+    } catch {}
+    await simulator.stop();
+  }
+}
+
+function freeUdpPort() {
+  return new Promise((resolvePort) => {
+    const socket = dgram.createSocket('udp4');
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolvePort(port));
+    });
+  });
+}
+
 async function testListTools() {
   await withClient(async (client) => {
     const res = await client.listTools({});
@@ -45,6 +99,73 @@ async function testListTools() {
   });
 }
 
+async function testCodeDefinedToolsAreListed() {
+  await withClient(async (client, transport) => {
+    let stderr = '';
+    transport.stderr?.on('data', (chunk) => { stderr += chunk; });
+
+    const { tools } = await client.listTools({});
+    const names = tools.map((t) => t.name);
+    assert.strictEqual(new Set(names).size, names.length, 'tool names should be unique');
+    for (const name of ['list_tracks', 'get_track_clips', 'list_scenes', 'set_track_property', 'set_clip_loop',
+      'move_clip', 'get_all_clips_in_scene', 'get_arrangement_view', 'set_arrangement_loop', 'set_global_quantization']) {
+      const tool = tools.find((t) => t.name === name);
+      assert(tool, `${name} should be listed`);
+      assert(tool.description, `${name} should have a description`);
+      assert.strictEqual(tool.inputSchema.type, 'object', `${name} should have an input schema`);
+    }
+
+    // Code handlers that override a JSON tool keep the JSON contract
+    const clipLength = tools.find((t) => t.name === 'get_clip_length');
+    assert(clipLength.inputSchema.properties.track_id, 'get_clip_length should inherit the JSON schema');
+    const result = await client.callTool({ name: 'get_clip_length', arguments: { track_id: 2, clip_id: 0 } });
+    assert.deepStrictEqual(JSON.parse(resultText(result)), { length_beats: 8, length_bars: 2 });
+
+    assert(!stderr.includes('Tool conflict'), `unexpected tool conflicts:\n${stderr}`);
+    console.log('✓ list_tools advertises code-defined tools from the registry');
+  });
+}
+
+// Tools whose addresses or values changed when they were merged into the registry
+async function testMergedToolsMatchAbletonOsc() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      assert(!result.isError, `${name} failed: ${resultText(result)}`);
+      return JSON.parse(resultText(result));
+    };
+    // Verified writes are read back, so Live has applied them when they return
+    const write = (name, args) => call(name, { ...args, verify: true });
+
+    for (const [quantization, value] of [['1/2', 5], ['1/4', 7], ['1/8', 9], ['1/16', 11]]) {
+      await write('set_global_quantization', { quantization });
+      assert.strictEqual(simulator.song.clip_trigger_quantization, value, `${quantization} is value ${value}`);
+    }
+
+    await write('set_track_property', { track_index: 1, property: 'pan', value: -0.5 });
+    assert.strictEqual(simulator.song.tracks[1].panning, -0.5);
+
+    await write('duplicate_scene', { scene_index: 1 });
+    assert.deepStrictEqual((await call('list_scenes')).scenes.map(s => s.name), ['Intro', 'Verse', 'Verse', 'Chorus', 'Outro']);
+
+    simulator.song.signature_numerator = 3;
+    assert.deepStrictEqual(await call('get_clip_length', { track_id: 1, clip_id: 1 }), { length_beats: 4, length_bars: 4 / 3 });
+
+    await write('move_clip', { source_track_index: 2, source_clip_index: 0, dest_track_index: 2, dest_clip_index: 3 });
+    assert.deepStrictEqual([0, 3].map(slot => simulator.song.tracks[2].clip_slots[slot]?.name), [undefined, 'Pad Intro']);
+
+    // duplicate_clip is kept as an alias of duplicate_clip_to
+    await write('duplicate_clip', { source_track_index: 1, source_clip_index: 1, dest_track_index: 1, dest_clip_index: 4 });
+    assert.strictEqual(simulator.song.tracks[1].clip_slots[4]?.name, 'Bass Verse');
+
+    // fire_clip is the JSON tool, which fires the clip rather than its slot
+    await write('fire_clip', { track_id: 2, clip_id: 3 });
+    assert.deepStrictEqual(await call('get_clip_is_playing', { track_id: 2, clip_id: 3 }), [true]);
+    assert(simulator.received.some(m => m.address === '/live/clip/fire'));
+    console.log('✓ merged tools send the addresses and values AbletonOSC expects');
+  });
+}
+
 async function testHealthCheck() {
   await withClient(async (client) => {
     const result = await client.callTool({ name: 'health_check', arguments: {} });
@@ -64,8 +185,11 @@ async function testGetTempoDoesNotDisconnect() {
       // Either success or error is fine; ensure shape is present
       assert(result && typeof result === 'object', 'get_tempo should return a result object');
     } catch (err) {
-      // A thrown error likely indicates a transport disconnect; fail the test
-      assert.fail(`get_tempo threw unexpectedly (possible disconnect): ${err?.message || err}`);
+      // get_tempo isn't a registered tool, so an InvalidParams protocol error is expected;
+      // anything else likely indicates a transport disconnect
+      if (err?.code !== ErrorCode.InvalidParams) {
+        assert.fail(`get_tempo threw unexpectedly (possible disconnect): ${err?.message || err}`);
+      }
     }
 
     // Ensure client can still make requests after the call
@@ -75,11 +199,1411 @@ async function testGetTempoDoesNotDisconnect() {
   });
 }
 
+function resultText(result) {
+  return result.content?.find?.(c => c.type === 'text')?.text ?? '';
+}
+
+// The following run end-to-end against the in-process AbletonOSC simulator (MCP_TEST_MODE)
+async function testSongInfoFromSimulator() {
+  await withClient(async (client) => {
+    const result = await client.callTool({ name: 'get_song_info', arguments: {} });
+    assert.strictEqual(result.isError, undefined, `get_song_info failed: ${resultText(result)}`);
+    const info = JSON.parse(resultText(result));
+    assert.strictEqual(info.tempo, 120, 'simulated song should start at 120 BPM');
+    assert.strictEqual(info.time_signature_numerator, 4);
+    assert.strictEqual(info.is_playing, false);
+    console.log('✓ get_song_info reads song state from the simulator');
+  });
+}
+
+async function testJsonToolsAwaitReplies() {
+  await withClient(async (client) => {
+    const { tools } = await client.listTools();
+    assert.strictEqual(tools.find(t => t.name === 'test_connection').annotations?.readOnlyHint, true);
+    const result = await client.callTool({ name: 'test_connection', arguments: {} });
+    assert.strictEqual(result.isError, undefined, `test_connection failed: ${resultText(result)}`);
+    assert.deepStrictEqual(JSON.parse(resultText(result)), ['ok'], 'addresses that reply are not fire-and-forget');
+    console.log('✓ JSON tools wait for the reply of addresses that are not writes');
+  });
+}
+
+async function testSettersUpdateSimulatorState() {
+  await withClient(async (client) => {
+    await client.callTool({ name: 'set_tempo', arguments: { tempo: 96 } });
+    await client.callTool({ name: 'transport_play', arguments: {} });
+    const info = JSON.parse(resultText(await client.callTool({ name: 'get_song_info', arguments: {} })));
+    assert.strictEqual(info.tempo, 96, 'set_tempo should change the simulated tempo');
+    assert.strictEqual(info.is_playing, true, 'transport_play should start the simulated transport');
+
+    await client.callTool({ name: 'create_clip', arguments: { track_id: 0, clip_id: 3, length: 4 } });
+    const hasClip = JSON.parse(resultText(await client.callTool({ name: 'has_clip', arguments: { track_id: 0, clip_id: 3 } })));
+    assert.deepStrictEqual(hasClip, [true], 'create_clip should fill the simulated slot');
+    console.log('✓ setters and actions round-trip through the simulator');
+  });
+}
+
+async function testConcurrentGettersKeepTheirReplies() {
+  await withClient(async (client) => {
+    const results = await Promise.all([3, 1, 0, 2, 1].map(track_id =>
+      client.callTool({ name: 'get_track_name', arguments: { track_id } })
+    ));
+    const names = results.map(r => JSON.parse(resultText(r))[0]);
+    assert.deepStrictEqual(names, ['Vocals', 'Bass', 'Drums', 'Keys', 'Bass'], 'parallel calls should not swap replies');
+
+    const [tracks, bass] = await Promise.all([
+      client.callTool({ name: 'list_tracks', arguments: {} }),
+      client.callTool({ name: 'get_track_name', arguments: { track_id: 1 } }),
+    ]);
+    const listed = JSON.parse(resultText(tracks)).tracks.map(t => t.name);
+    assert.deepStrictEqual(listed, ['Drums', 'Bass', 'Keys', 'Vocals']);
+    assert.deepStrictEqual(JSON.parse(resultText(bass)), ['Bass']);
+  });
+
+  // A reply for other indices (late, after its request timed out) doesn't answer a pending request
+  await withSimulatorClient({}, async (client, simulator) => {
+    const handle = simulator.handle.bind(simulator);
+    simulator.handle = (address, args, target) => {
+      const replies = handle(address, args, target);
+      if (address !== '/live/track/get/name' || args[0] !== 0) return replies;
+      return [{ address, args: [1, 'Bass'] }, ...replies];
+    };
+    const drums = await client.callTool({ name: 'get_track_name', arguments: { track_id: 0 } });
+    assert.deepStrictEqual(JSON.parse(resultText(drums)), ['Drums']);
+  });
+
+  // Replies without the echoed indices, from an AbletonOSC that doesn't echo, answer in order
+  await withSimulatorClient({}, async (client, simulator) => {
+    const handle = simulator.handle.bind(simulator);
+    const echoes = { '/live/track/get/name': 1, '/live/clip/get/name': 2 };
+    simulator.handle = (address, args, target) => handle(address, args, target).map(reply =>
+      (reply.address in echoes ? { address: reply.address, args: reply.args.slice(echoes[reply.address]) } : reply));
+    const keys = await client.callTool({ name: 'get_track_name', arguments: { track_id: 2 } });
+    assert.deepStrictEqual(JSON.parse(resultText(keys)), ['Keys']);
+    const verse = await client.callTool({ name: 'get_clip_name', arguments: { track_id: 1, clip_id: 1 } });
+    assert.deepStrictEqual(JSON.parse(resultText(verse)), ['Bass Verse']);
+    console.log('✓ concurrent getters are correlated with their own replies');
+  });
+}
+
+async function testInvalidArgumentsAreRejected() {
+  await withClient(async (client) => {
+    const expectInvalid = async (name, args, field) => {
+      await assert.rejects(
+        client.callTool({ name, arguments: args }),
+        (err) => {
+          assert.strictEqual(err.code, ErrorCode.InvalidParams, `${name}: expected InvalidParams, got ${err.message}`);
+          assert(err.message.includes(field), `${name}: error should name ${field}: ${err.message}`);
+          return true;
+        }
+      );
+    };
+
+    await expectInvalid('get_track_clips', { track_index: 'drums' }, 'track_index must be integer');
+    await expectInvalid('set_tempo', {}, 'tempo is required');
+    await expectInvalid('set_tempo', { tempo: 5 }, 'tempo must be >= 20');
+    await expectInvalid('set_global_quantization', { quantization: '1/3' }, 'quantization must be one of');
+    await expectInvalid('set_track_name', { track_id: 0, name: 'a'.repeat(10000) }, 'name must be at most');
+    await expectInvalid('non_existent_tool_xyz', {}, 'Unknown tool');
+
+    // Keys the schema doesn't declare are allowed, as in JSON Schema, and ignored
+    const extra = await client.callTool({ name: 'get_track_name', arguments: { track_id: 0, track_name: 'Bass' } });
+    assert.deepStrictEqual(JSON.parse(resultText(extra)), ['Drums']);
+
+    // Defaults from the schema are applied: create_clip's length defaults to 4 beats
+    await client.callTool({ name: 'create_clip', arguments: { track_id: 0, clip_id: 3 } });
+    const length = await client.callTool({ name: 'get_clip_length', arguments: { track_id: 0, clip_id: 3 } });
+    assert.strictEqual(JSON.parse(resultText(length)).length_beats, 4);
+    console.log('✓ tool arguments are validated against input_schema');
+  });
+}
+
+function bigSong(numTracks, numScenes) {
+  const song = createDefaultSong();
+  const template = song.tracks[0];
+  song.scenes = Array.from({ length: numScenes }, (_, i) => ({ name: `Scene ${i + 1}`, color: 0 }));
+  song.tracks = Array.from({ length: numTracks }, (_, i) => ({
+    ...structuredClone(template),
+    name: `Track ${i + 1}`,
+    clip_slots: song.scenes.map((_, s) => (s % 2 === 0 ? { ...structuredClone(template.clip_slots[0]), name: `Clip ${i}-${s}` } : null)),
+  }));
+  return song;
+}
+
+async function testSnapshotsUseBulkQueries() {
+  await withSimulatorClient({ song: bigSong(40, 16) }, async (client, simulator) => {
+    const started = Date.now();
+    const tracks = JSON.parse(resultText(await client.callTool({ name: 'list_tracks', arguments: {} }))).tracks;
+    assert.strictEqual(tracks.length, 40);
+    assert.deepStrictEqual(tracks[39], { id: 39, name: 'Track 40', color: 16725558, mute: false, solo: false, arm: false });
+
+    const clips = JSON.parse(resultText(await client.callTool({ name: 'get_track_clips', arguments: { track_index: 5 } }))).clips;
+    assert.strictEqual(clips.length, 8);
+    assert.deepStrictEqual(clips[1], { slot_index: 2, name: 'Clip 5-2', length: 4, looping: true });
+
+    // The clip envelope probe runs once when Live connects
+    const perTrackGetters = simulator.received.filter(m => m.address !== '/live/clip/get/envelope' &&
+      (m.address.startsWith('/live/track/get/') || m.address.startsWith('/live/clip')));
+    assert.strictEqual(perTrackGetters.length, 0, 'snapshots should not fall back to per-object getters');
+    assert(simulator.received.length < 20, `expected a handful of bulk requests, got ${simulator.received.length}`);
+    console.log(`✓ list_tracks/get_track_clips on a 40x16 set use ${simulator.received.length} OSC requests (${Date.now() - started}ms)`);
+  });
+}
+
+async function testSnapshotsFallBackWithoutBulkQueries() {
+  await withSimulatorClient({ bulkQueries: false }, async (client) => {
+    const tracks = JSON.parse(resultText(await client.callTool({ name: 'list_tracks', arguments: {} }))).tracks;
+    assert.deepStrictEqual(tracks.map(t => t.name), ['Drums', 'Bass', 'Keys', 'Vocals']);
+
+    const clips = JSON.parse(resultText(await client.callTool({ name: 'get_track_clips', arguments: { track_index: 1 } }))).clips;
+    assert.deepStrictEqual(clips, [
+      { slot_index: 1, name: 'Bass Verse', length: 4, looping: true },
+      { slot_index: 2, name: 'Bass Chorus', length: 8, looping: true },
+    ]);
+
+    const scene = JSON.parse(resultText(await client.callTool({ name: 'get_all_clips_in_scene', arguments: { scene_index: 0 } }))).clips;
+    assert.deepStrictEqual(scene.map(c => c.name), ['Beat Intro', 'Pad Intro']);
+    console.log('✓ snapshots fall back to pipelined getters without /live/song/get/track_data');
+  });
+}
+
+async function testClipNoteEditing() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args) => {
+      const result = await client.callTool({ name, arguments: args });
+      assert.strictEqual(result.isError, undefined, `${name} failed: ${resultText(result)}`);
+      return resultText(result);
+    };
+    const notes = async (args = {}) => JSON.parse(await call('get_clip_notes', { track_index: 1, clip_index: 1, ...args })).notes;
+
+    assert.strictEqual((await notes()).length, 6, 'Bass Verse starts with 6 notes');
+    const roots = await notes({ pitch_min: 36, pitch_max: 36 });
+    assert.deepStrictEqual(roots.map(n => n.start_time), [0, 0.75]);
+
+    await call('transform_clip_notes', { track_index: 1, clip_index: 1, transpose: 12, velocity_scale: 0.5, pitch_min: 36, pitch_max: 36 });
+    const moved = await notes({ pitch_min: 48, pitch_max: 48 });
+    assert.deepStrictEqual(moved.map(n => [n.start_time, n.velocity]), [[0, 50], [0.75, 50]]);
+    assert.strictEqual((await notes()).length, 6, 'transform should not add or drop notes');
+
+    await call('transform_clip_notes', { track_index: 1, clip_index: 1, time_shift: 0.1, quantize_grid: 0.5 });
+    assert.deepStrictEqual((await notes()).map(n => n.start_time), [0, 1, 1.5, 2, 3, 3.5]);
+
+    await call('replace_clip_notes', {
+      track_index: 1, clip_index: 1,
+      notes: [{ pitch: 40, start_time: 0, duration: 1 }, { pitch: 47, start_time: 2, duration: 1, velocity: 90 }],
+    });
+    assert.deepStrictEqual(await notes(), [
+      { pitch: 40, start_time: 0, duration: 1, velocity: 100, mute: false },
+      { pitch: 47, start_time: 2, duration: 1, velocity: 90, mute: false },
+    ]);
+
+    await call('remove_clip_notes', { track_index: 1, clip_index: 1, time_start: 1 });
+    assert.deepStrictEqual((await notes()).map(n => n.pitch), [40]);
+
+    await call('create_midi_note', { track_index: 1, clip_index: 1, pitch: 43, start_time: 1, duration: 0.5, mute: true });
+    assert.deepStrictEqual((await notes({ pitch_min: 43, pitch_max: 43 })).map(n => n.mute), [true]);
+    const added = simulator.received.filter(m => m.address === '/live/clip/add/notes').at(-1);
+    assert.strictEqual(added.args.at(-1), 1, 'mute goes out as an integer flag');
+    await call('remove_clip_notes', { track_index: 1, clip_index: 1, pitch_min: 43, pitch_max: 43 });
+
+    const outOfRange = await client.callTool({ name: 'transform_clip_notes', arguments: { track_index: 1, clip_index: 1, transpose: 100 } });
+    assert.strictEqual(outOfRange.isError, true, 'transposing past 127 should fail');
+    await assert.rejects(
+      client.callTool({ name: 'replace_clip_notes', arguments: { track_index: 1, clip_index: 1, notes: [{ pitch: 200, start_time: 0, duration: 1 }] } }),
+      /notes\[0\]\.pitch must be <= 127/
+    );
+    console.log('✓ clip notes can be read, transformed, replaced and removed');
+  });
+}
+
+async function testDeviceControl() {
+  await withClient(async (client) => {
+    const call = async (name, args) => {
+      const result = await client.callTool({ name, arguments: args });
+      assert.strictEqual(result.isError, undefined, `${name} failed: ${resultText(result)}`);
+      return JSON.parse(resultText(result));
+    };
+
+    const { devices } = await call('list_devices', { track_index: 1 });
+    assert.deepStrictEqual(devices.map(d => [d.name, d.type, d.enabled]), [['Analog', 'instrument', true], ['Auto Filter', 'audio_effect', true]]);
+
+    const { parameters } = await call('get_device_parameters', { track_index: 1, device_index: 1 });
+    const frequency = parameters.find(p => p.name === 'Frequency');
+    assert.deepStrictEqual(frequency, { index: 2, name: 'Frequency', value: 0.45, min: 0, max: 1, is_quantized: false, value_string: '0.45' });
+
+    const set = await call('set_device_parameter', { track_index: 1, device_index: 1, parameter_name: 'freq', value: 0.8 });
+    assert.strictEqual(set.parameter, 'Frequency');
+    assert.strictEqual(set.value_string, '0.80');
+    // The cached parameter list is refreshed by the write, not served stale
+    const reread = (await call('get_device_parameters', { track_index: 1, device_index: 1 })).parameters;
+    assert.deepStrictEqual(reread.find(p => p.name === 'Frequency').value, 0.8);
+    assert.deepStrictEqual(reread.find(p => p.name === 'Frequency').value_string, '0.80');
+    const typo = await call('set_device_parameter', { track_index: 1, device_index: 1, parameter_name: 'resonnance', value: 1 });
+    assert.strictEqual(typo.parameter, 'Resonance');
+
+    const ambiguous = await client.callTool({ name: 'set_device_parameter', arguments: { track_index: 3, device_index: 0, parameter_name: '1', value: 0 } });
+    assert.strictEqual(ambiguous.isError, true);
+    assert(resultText(ambiguous).includes("'1 Frequency A', '1 Gain A'"), resultText(ambiguous));
+    const outOfRange = await client.callTool({ name: 'set_device_parameter', arguments: { track_index: 1, device_index: 1, parameter_index: 2, value: 5 } });
+    assert(resultText(outOfRange).includes('outside the range'), resultText(outOfRange));
+
+    await client.callTool({ name: 'toggle_device', arguments: { track_index: 1, device_index: 1 } });
+    const after = await call('list_devices', { track_index: 1 });
+    assert.strictEqual(after.devices[1].enabled, false, 'toggle_device should bypass the filter');
+    console.log('✓ devices can be listed and their parameters set by name');
+  });
+}
+
+async function testSessionResources() {
+  await withClient(async (client) => {
+    const { resources } = await client.listResources();
+    assert.deepStrictEqual(resources.map(r => r.uri), ['ableton://song', 'ableton://tracks', 'ableton://scenes', 'ableton://state']);
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.deepStrictEqual(resourceTemplates.map(r => r.uriTemplate), [
+      'ableton://tracks/{track_index}/clips',
+      'ableton://clips/{track_index}/{clip_index}/notes',
+    ]);
+
+    const read = async (uri) => {
+      const { contents } = await client.readResource({ uri });
+      assert.strictEqual(contents[0].mimeType, 'application/json');
+      return JSON.parse(contents[0].text);
+    };
+    assert.strictEqual((await read('ableton://song')).tempo, 120);
+    assert.deepStrictEqual((await read('ableton://tracks')).tracks.map(t => t.name), ['Drums', 'Bass', 'Keys', 'Vocals']);
+    assert.deepStrictEqual((await read('ableton://scenes')).scenes.map(s => s.name), ['Intro', 'Verse', 'Chorus', 'Outro']);
+    assert.deepStrictEqual((await read('ableton://tracks/1/clips')).clips.map(c => c.name), ['Bass Verse', 'Bass Chorus']);
+    assert.strictEqual((await read('ableton://clips/0/1/notes')).notes.length, 14);
+
+    await assert.rejects(client.readResource({ uri: 'ableton://nope' }), /Resource not found/);
+    console.log('✓ session resources can be listed and read');
+  });
+}
+
+async function testLiveChangeNotifications() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const updates = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+      updates.push(notification.params.uri);
+    });
+    const waitForUpdate = async (uri) => {
+      const deadline = Date.now() + 3000;
+      while (!updates.includes(uri)) {
+        assert(Date.now() < deadline, `no notifications/resources/updated for ${uri} (got ${updates.join(', ')})`);
+        await new Promise(r => setTimeout(r, 20));
+      }
+      updates.length = 0;
+    };
+    const readState = async () => JSON.parse((await client.readResource({ uri: 'ableton://state' })).contents[0].text);
+
+    await client.subscribeResource({ uri: 'ableton://song' });
+    await client.subscribeResource({ uri: 'ableton://tracks' });
+    await waitForUpdate('ableton://song');
+
+    // A change made by hand in Live, not through the server
+    simulator.edit(song => { song.tempo = 140; });
+    await waitForUpdate('ableton://song');
+    assert.strictEqual((await readState()).song.tempo, 140);
+
+    simulator.edit(song => { song.tracks[2].mute = true; });
+    await waitForUpdate('ableton://tracks');
+    assert.strictEqual((await readState()).tracks[2].mute, true);
+
+    // Listeners follow the track list after structural changes
+    await client.callTool({ name: 'create_midi_track', arguments: { index: 0 } });
+    await new Promise(r => setTimeout(r, 300));
+    updates.length = 0;
+    simulator.edit(song => { song.tracks[3].solo = true; });
+    await waitForUpdate('ableton://tracks');
+    const state = await readState();
+    assert.strictEqual(state.tracks.length, 5);
+    assert.strictEqual(state.tracks[3].solo, true);
+    assert.strictEqual(state.tracks[3].mute, true, 'muted Keys track moved to index 3');
+
+    await client.unsubscribeResource({ uri: 'ableton://song' });
+    simulator.edit(song => { song.tempo = 90; });
+    await new Promise(r => setTimeout(r, 400));
+    assert(!updates.includes('ableton://song'), 'no notifications after unsubscribe');
+    assert(simulator.listeners.size > 0, 'ableton://tracks is still subscribed');
+
+    // The last unsubscribe stops AbletonOSC's listeners
+    await client.unsubscribeResource({ uri: 'ableton://tracks' });
+    await client.callTool({ name: 'health_check', arguments: {} });
+    assert.strictEqual(simulator.listeners.size, 0);
+    assert.strictEqual((await readState()).listening, false);
+    console.log('✓ live changes are mirrored and pushed to resource subscribers');
+  });
+}
+
+async function testSessionCache() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => JSON.parse(resultText(await client.callTool({ name, arguments: args })));
+    const requestsDuring = async (fn) => {
+      const before = simulator.received.length;
+      const result = await fn();
+      return { result, requests: simulator.received.slice(before).filter(m => m.address.includes('/get/')).length };
+    };
+
+    const { tools } = await client.listTools();
+    const listTracks = tools.find(t => t.name === 'list_tracks');
+    assert.strictEqual(listTracks.annotations.readOnlyHint, true);
+    assert.strictEqual(listTracks.inputSchema.properties.refresh.type, 'boolean');
+    assert.strictEqual(tools.find(t => t.name === 'get_track_name').annotations.readOnlyHint, true);
+    assert.strictEqual(tools.find(t => t.name === 'set_track_name').inputSchema.properties.refresh, undefined);
+
+    await call('list_tracks');
+    const repeat = await requestsDuring(() => call('list_tracks'));
+    assert.strictEqual(repeat.requests, 0, 'a repeated read is answered from the cache');
+    assert.strictEqual(repeat.result.tracks.length, 4);
+
+    // Setters update the cached value without a round trip
+    await call('get_track_name', { track_id: 1 });
+    await client.callTool({ name: 'set_track_name', arguments: { track_id: 1, name: 'Sub Bass' } });
+    const renamed = await requestsDuring(() => call('get_track_name', { track_id: 1 }));
+    assert.deepStrictEqual(renamed, { result: ['Sub Bass'], requests: 0 });
+    assert.strictEqual(simulator.song.tracks[1].name, 'Sub Bass');
+    // ...and drop bulk snapshots that contain the old value
+    assert.strictEqual((await call('list_tracks')).tracks[1].name, 'Sub Bass');
+
+    // Changes made in Live by hand show up with refresh (or after the TTL)
+    simulator.edit(song => { song.tracks[0].name = 'Beats'; });
+    assert.strictEqual((await call('list_tracks')).tracks[0].name, 'Drums');
+    assert.strictEqual((await call('list_tracks', { refresh: true })).tracks[0].name, 'Beats');
+
+    // Structural changes invalidate everything
+    await client.callTool({ name: 'create_midi_track', arguments: { index: 0 } });
+    const afterCreate = await requestsDuring(() => call('list_tracks'));
+    assert(afterCreate.requests > 0);
+    assert.deepStrictEqual(afterCreate.result.tracks.map(t => t.name), ['5-MIDI', 'Beats', 'Sub Bass', 'Keys', 'Vocals']);
+    console.log('✓ reads are cached, updated by setters and invalidated by structural changes');
+  });
+}
+
+async function testConfirmedWrites() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args) => {
+      const result = await client.callTool({ name, arguments: { ...args, verify: true } });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+
+    const tempo = await call('set_tempo', { tempo: 128 });
+    assert.strictEqual(tempo.isError, false, tempo.text);
+    assert.deepStrictEqual(JSON.parse(tempo.text).confirmed, [{ address: '/live/song/get/tempo', args: [], value: 128 }]);
+
+    const moved = JSON.parse((await call('move_clip', {
+      source_track_index: 1, source_clip_index: 1, dest_track_index: 1, dest_clip_index: 3,
+    })).text);
+    assert.deepStrictEqual(moved.confirmed.map(c => [c.args, c.value]), [[[1, 3], true], [[1, 1], false]]);
+
+    const note = JSON.parse((await call('create_midi_note', { track_index: 0, clip_index: 0, pitch: 40, start_time: 0, duration: 1 })).text);
+    assert.deepStrictEqual(note.unverified, ['/live/clip/add/notes']);
+
+    // Live ignoring a write is reported as a mismatch, not as success
+    const dispatch = simulator.dispatch.bind(simulator);
+    simulator.dispatch = (address, ...rest) => (address === '/live/song/set/tempo' ? undefined : dispatch(address, ...rest));
+    const ignored = await call('set_tempo', { tempo: 90 });
+    assert.strictEqual(ignored.isError, true);
+    assert(ignored.text.includes('Change not confirmed: /live/song/get/tempo reports [128], expected [90]'), ignored.text);
+
+    const missing = await call('set_track_name', { track_id: 99, name: 'Ghost' });
+    assert.strictEqual(missing.isError, true);
+    assert(missing.text.includes('Could not confirm the change: no reply to /live/track/get/name 99'), missing.text);
+    console.log('✓ verify reads writes back and reports mismatches');
+  });
+}
+
+function freeTcpPort() {
+  return new Promise((resolvePort) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolvePort(port));
+    });
+  });
+}
+
+async function testHttpTransport() {
+  const port = await freeTcpPort();
+  const child = spawn(process.execPath, [SERVER_ENTRY], {
+    cwd: PROJECT_ROOT,
+    env: { ...process.env, MCP_TEST_MODE: '1', MCP_TRANSPORT: 'http', MCP_HTTP_PORT: String(port), MCP_HTTP_TOKEN: 'secret' },
+    stdio: ['ignore', 'ignore', 'pipe'],
+  });
+  const clients = [];
+  try {
+    await new Promise((resolveReady, rejectReady) => {
+      let stderr = '';
+      const timer = setTimeout(() => rejectReady(new Error(`HTTP server did not start:\n${stderr}`)), 10000);
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+        if (stderr.includes('running on http')) {
+          clearTimeout(timer);
+          resolveReady();
+        }
+      });
+      child.on('exit', () => rejectReady(new Error(`HTTP server exited:\n${stderr}`)));
+    });
+
+    const url = new URL(`http://127.0.0.1:${port}/mcp`);
+    const unauthorized = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    assert.strictEqual(unauthorized.status, 401);
+    // Web pages (DNS rebinding) are turned away even with the token
+    const post = headers => fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret', ...headers },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.strictEqual((await post({ Origin: 'http://evil.example' })).status, 403);
+    // fetch doesn't let a Host header through
+    const rebound = await new Promise((resolveStatus, rejectStatus) => {
+      http.request(url, { method: 'POST', headers: { Host: `attacker.example:${port}`, Authorization: 'Bearer secret' } },
+        (res) => { res.resume(); resolveStatus(res.statusCode); }).on('error', rejectStatus).end('{}');
+    });
+    assert.strictEqual(rebound, 403);
+    assert.strictEqual((await post({ Origin: `http://localhost:${port}` })).status, 400, 'a local page gets through');
+
+    for (let i = 0; i < 2; i++) {
+      const client = new Client({ name: `ableton-live-assistant-tests-${i}`, version: '1.0.0' });
+      await client.connect(new StreamableHTTPClientTransport(url, { requestInit: { headers: { Authorization: 'Bearer secret' } } }));
+      clients.push(client);
+    }
+    const [a, b] = clients;
+    assert.notStrictEqual(a.transport.sessionId, b.transport.sessionId);
+
+    await a.callTool({ name: 'set_tempo', arguments: { tempo: 133 } });
+    const [infoA, infoB] = await Promise.all([a, b].map(c => c.callTool({ name: 'get_song_info', arguments: {} })));
+    assert.strictEqual(JSON.parse(resultText(infoA)).tempo, 133);
+    assert.strictEqual(JSON.parse(resultText(infoB)).tempo, 133, 'both sessions share one Live connection');
+
+    const stale = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', Authorization: 'Bearer secret', 'mcp-session-id': 'nope' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    assert.strictEqual(stale.status, 404);
+    console.log('✓ HTTP transport serves several authenticated sessions over one OSC socket');
+  } finally {
+    for (const client of clients) {
+      try {
+        await client.close();
+      } catch {}
+    }
+    child.kill();
+  }
+}
+
+async function testLivenessMonitoring() {
+  let restarted = null;
+  await withSimulatorClient({}, async (client, simulator, port) => {
+    const health = async () => JSON.parse(resultText(await client.callTool({ name: 'health_check', arguments: {} })));
+    const waitForStatus = async (status) => {
+      const deadline = Date.now() + 5000;
+      let current;
+      while ((current = await health()).status !== status) {
+        assert(Date.now() < deadline, `expected status ${status}, still ${current.status}`);
+        await new Promise(r => setTimeout(r, 100));
+      }
+      return current;
+    };
+    const tempo = async () => JSON.parse(resultText(await client.callTool({ name: 'get_song_info', arguments: {} }))).tempo;
+
+    const ok = await waitForStatus('ok');
+    assert.strictEqual(ok.live_version, '12.1');
+    assert.strictEqual(typeof ok.latency_ms, 'number');
+    assert(ok.last_reply_at, 'last reply time is reported');
+    assert.strictEqual(await tempo(), 120);
+
+    // Live goes away...
+    await simulator.stop();
+    const down = await waitForStatus('unresponsive');
+    assert.strictEqual(down.latency_ms, null);
+
+    // ...and comes back as a different set on the same port
+    const song = createDefaultSong();
+    song.tempo = 99;
+    restarted = new AbletonSimulator({ song });
+    await restarted.start({ host: '127.0.0.1', port });
+    await waitForStatus('ok');
+    assert.strictEqual(await tempo(), 99, 'values cached before the outage are dropped');
+    console.log('✓ heartbeat tracks Live going away and coming back');
+  }, { ABLETON_HEARTBEAT_MS: '100', ABLETON_OSC_TIMEOUT_MS: '300' });
+  await restarted?.stop();
+}
+
+async function testNameReferences() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args) => {
+      const result = await client.callTool({ name, arguments: args });
+      assert.strictEqual(result.isError, undefined, `${name} failed: ${resultText(result)}`);
+      return JSON.parse(resultText(result));
+    };
+    const failure = async (name, args) => {
+      const result = await client.callTool({ name, arguments: args });
+      assert.strictEqual(result.isError, true, `${name} should fail`);
+      return resultText(result);
+    };
+
+    // Writes are fire-and-forget; a ping round trip makes sure the simulator has applied them
+    const write = async (name, args) => {
+      await client.callTool({ name, arguments: args });
+      await client.callTool({ name: 'health_check', arguments: {} });
+    };
+
+    const { tools } = await client.listTools();
+    const getTrackClips = tools.find(t => t.name === 'get_track_clips');
+    assert.strictEqual(getTrackClips.inputSchema.properties.track.type, 'string');
+    assert.deepStrictEqual(getTrackClips.inputSchema.required, []);
+
+    assert.deepStrictEqual((await call('get_track_clips', { track: 'bass' })).clips.map(c => c.name), ['Bass Verse', 'Bass Chorus']);
+    assert.strictEqual((await call('get_clip_notes', { clip: 'Drums/verse' })).notes.length, 14);
+    await write('set_clip_name', { track: 'Bass', clip: 'chorus', name: 'Bass Hook' });
+    assert.strictEqual(simulator.song.tracks[1].clip_slots[2].name, 'Bass Hook');
+
+    await write('set_track_property', { track: 'Kyes', property: 'mute', value: true });
+    assert.strictEqual(simulator.song.tracks[2].mute, true, 'typos resolve to the closest track');
+    await write('fire_clip', { clip: 'Pad Intro' });
+    assert.strictEqual(simulator.song.tracks[2].clip_slots[0].is_playing, true, 'JSON tools take names too');
+    await write('fire_scene', { scene: 'CHORUS' });
+    assert.strictEqual(simulator.song.tracks[1].clip_slots[2].is_playing, true);
+
+    const filter = await call('set_device_parameter', { track: 'Bass', device: 'filter', parameter_name: 'freq', value: 0.3, verify: true });
+    assert.strictEqual(filter.result.parameter, 'Frequency');
+    assert.deepStrictEqual(filter.confirmed.map(c => c.value), [0.3]);
+
+    assert((await failure('get_track_clips', { track: 's' })).includes("'s' matches several tracks: 'Drums', 'Bass', 'Keys', 'Vocals'"));
+    assert((await failure('get_clip_notes', { clip: 'Chorus' })).includes("'Chorus' matches several clips: 'Beat Chorus', 'Chords Chorus'"));
+    assert((await failure('fire_scene', { scene: 'Bridge' })).includes("No scene matching 'Bridge'. Available: 'Intro', 'Verse', 'Chorus', 'Outro'"));
+
+    await assert.rejects(client.callTool({ name: 'get_track_clips', arguments: {} }), /track_index or track is required/);
+    await assert.rejects(client.callTool({ name: 'get_track_clips', arguments: { track_index: 0, track: 'Drums' } }), /track can't be combined with track_index/);
+    await assert.rejects(client.callTool({ name: 'list_devices', arguments: { track: 3 } }), /track must be string \(got number 3\)/);
+    console.log('✓ tracks, scenes, clips and devices can be addressed by name');
+  });
+}
+
+async function testExecuteBatch() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const batch = async (steps, rollback) => {
+      const result = await client.callTool({ name: 'execute_batch', arguments: { steps, ...(rollback && { rollback }) } });
+      // Rollback writes are fire-and-forget; a ping round trip makes sure they were applied
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+    const bassVerseNotes = () => simulator.song.tracks[1].clip_slots[1].notes.length;
+
+    const built = await batch([
+      { tool: 'create_midi_track', arguments: { index: -1 } },
+      { tool: 'set_track_name', arguments: { track_id: '$steps.0.track_index', name: 'Lead' } },
+      { tool: 'create_clip', arguments: { track_id: '$steps.0.track_index', clip_id: 1, length: 4 } },
+      { tool: 'create_midi_note', arguments: { track_index: '$steps.0.track_index', clip_index: 1, pitch: 72, start_time: 0, duration: 1 } },
+      { tool: 'set_clip_name', arguments: { track: 'Lead', clip_id: 1, name: 'Hook' } },
+    ]);
+    assert.strictEqual(built.isError, false, built.text);
+    assert.deepStrictEqual(JSON.parse(built.text).steps[0], { step: 0, tool: 'create_midi_track', result: { track_index: 4 } });
+    const lead = simulator.song.tracks[4];
+    assert.strictEqual(lead.name, 'Lead');
+    assert.strictEqual(lead.clip_slots[1].name, 'Hook');
+    assert.deepStrictEqual(lead.clip_slots[1].notes.map(n => n.pitch), [72]);
+
+    const failed = await batch([
+      { tool: 'create_midi_track', arguments: { index: 0 } },
+      { tool: 'set_tempo', arguments: { tempo: 150 } },
+      { tool: 'set_track_property', arguments: { track: 'Keys', property: 'mute', value: true } },
+      { tool: 'create_midi_note', arguments: { track: 'Bass', clip: 'Bass Verse', pitch: 30, start_time: 2, duration: 1 } },
+      { tool: 'delete_scene', arguments: { scene: 'Outro' } },
+      { tool: 'create_midi_note', arguments: { track: 'Bass', clip: 'Bass Verse', pitch: 300, start_time: 0, duration: 1 } },
+    ]);
+    assert.strictEqual(failed.isError, true);
+    assert(failed.text.includes('Step 5 (create_midi_note) failed:'), failed.text);
+    assert(failed.text.includes('Rolled back steps 4, 3, 2, 1, 0, except'), failed.text);
+    assert(failed.text.includes('step 4 (delete_scene: /live/song/delete_scene)'), failed.text);
+    assert.strictEqual(simulator.song.tracks.length, 5, 'the created track is deleted again');
+    assert.strictEqual(simulator.song.tempo, 120);
+    assert.strictEqual(simulator.song.tracks[2].mute, false);
+    assert.strictEqual(bassVerseNotes(), 6, 'the edited clip gets its old notes back');
+
+    const undone = await batch([
+      { tool: 'set_tempo', arguments: { tempo: 111 } },
+      { tool: 'get_track_name', arguments: { track_id: 0 } },
+      { tool: 'no_such_tool' },
+    ], 'undo');
+    assert(undone.text.includes('Rolled back steps 0 with 1 undo(s) in Live.'), undone.text);
+    assert.strictEqual(simulator.song.tempo, 120);
+
+    // What the failing step itself already sent is rolled back too
+    const dispatch = simulator.dispatch.bind(simulator);
+    simulator.dispatch = (address, ...rest) => (address === '/live/clip/set/loop_end' ? undefined : dispatch(address, ...rest));
+    const unconfirmed = await batch([
+      { tool: 'set_clip_loop', arguments: { track: 'Keys', clip: 'Pad Intro', loop_start: 2, loop_end: 6, verify: true } },
+    ]);
+    simulator.dispatch = dispatch;
+    assert(unconfirmed.text.includes('Change not confirmed'), unconfirmed.text);
+    assert(unconfirmed.text.includes('Rolled back steps 0.'), unconfirmed.text);
+    assert.strictEqual(simulator.song.tracks[2].clip_slots[0].loop_start, 0);
+
+    // verify on the batch applies to its steps, and references see the unwrapped results
+    const verifiedBatch = async steps => {
+      const result = await client.callTool({ name: 'execute_batch', arguments: { steps, verify: true } });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+    const verified = await verifiedBatch([
+      { tool: 'create_midi_track', arguments: { index: -1 } },
+      { tool: 'set_track_name', arguments: { track_id: '$steps.0.track_index', name: 'Checked' } },
+      { tool: 'get_track_name', arguments: { track_id: '$steps.0.track_index' } },
+    ]);
+    assert.strictEqual(verified.isError, false, verified.text);
+    const verifiedResult = JSON.parse(verified.text);
+    assert.deepStrictEqual(Object.keys(verifiedResult), ['steps'], 'the batch itself has nothing to confirm');
+    assert.deepStrictEqual(verifiedResult.steps[1].result.confirmed.map(c => [c.args, c.value]), [[[5], 'Checked']]);
+    assert.deepStrictEqual(verifiedResult.steps[2].result, ['Checked']);
+    simulator.dispatch = (address, ...rest) => (address === '/live/song/set/tempo' ? undefined : dispatch(address, ...rest));
+    const ignored = await verifiedBatch([{ tool: 'set_tempo', arguments: { tempo: 140 } }]);
+    simulator.dispatch = dispatch;
+    assert(ignored.isError && ignored.text.includes('Change not confirmed'), ignored.text);
+
+    const badReference = await batch([{ tool: 'set_tempo', arguments: { tempo: '$steps.3.tempo' } }]);
+    assert(badReference.text.includes('$steps.3.tempo refers to step 3, which has not run yet'), badReference.text);
+    assert(badReference.text.includes('No earlier step changed the set.'), badReference.text);
+    console.log('✓ execute_batch passes results between steps and rolls back failures');
+  });
+}
+
+async function testActionJournal() {
+  const journalDir = await mkdtemp(join(tmpdir(), 'ableton-journal-'));
+  try {
+    await withSimulatorClient({}, async (client, simulator) => {
+      const call = async (name, args = {}) => {
+        const result = await client.callTool({ name, arguments: args });
+        // Writes are fire-and-forget; a ping round trip makes sure they were applied
+        await client.callTool({ name: 'health_check', arguments: {} });
+        return { isError: !!result.isError, text: resultText(result) };
+      };
+      const keys = simulator.song.tracks[2];
+
+      await call('set_tempo', { tempo: 140 });
+      await call('set_track_volume', { track: 'Bass', volume: 0.4 });
+      await call('set_clip_name', { clip: 'Drums/Beat Intro', name: 'Groove' });
+      await call('set_clip_loop', { track: 'Keys', clip: 'Pad Intro', loop_start: 2, loop_end: 6 });
+      await call('delete_clip', { track: 'Keys', clip: 'Pad Intro' });
+      await call('get_track_name', { track_id: 0 });
+      assert.strictEqual(keys.clip_slots[0], null);
+
+      const listed = JSON.parse((await call('list_recent_actions', { limit: 10 })).text);
+      assert.deepStrictEqual(listed.actions.map(a => a.tool),
+        ['delete_clip', 'set_clip_loop', 'set_clip_name', 'set_track_volume', 'set_tempo'],
+        'reads are not journaled, newest first');
+      assert(listed.actions.every(a => a.revertible));
+      const id = tool => listed.actions.find(a => a.tool === tool).id;
+
+      assert.strictEqual((await call('revert_action', { id: id('delete_clip') })).isError, false);
+      const pad = keys.clip_slots[0];
+      assert.strictEqual(pad.name, 'Pad Intro');
+      assert.strictEqual(pad.end_marker, 8);
+      assert.deepStrictEqual([pad.loop_start, pad.loop_end], [2, 6]);
+      assert.strictEqual(pad.notes.length, 6, 'the deleted clip comes back with its notes');
+
+      await call('revert_action', { id: id('set_clip_loop') });
+      assert.deepStrictEqual([pad.loop_start, pad.loop_end], [0, 8]);
+      await call('revert_action', { id: id('set_tempo') });
+      assert.strictEqual(simulator.song.tempo, 120, 'an older action reverts without touching later ones');
+      assert.strictEqual(simulator.song.tracks[0].clip_slots[0].name, 'Groove');
+      await call('revert_action', { id: id('set_clip_name') });
+      assert.strictEqual(simulator.song.tracks[0].clip_slots[0].name, 'Beat Intro');
+
+      const again = await call('revert_action', { id: id('set_tempo') });
+      assert(again.isError && again.text.includes('was already reverted'), again.text);
+
+      await call('create_scene', { index: 0 });
+      const shifted = await call('revert_action', { id: id('set_track_volume') });
+      assert(shifted.isError && shifted.text.includes('added or removed tracks or scenes'), shifted.text);
+      await call('revert_action', { id: id('set_track_volume'), force: true });
+      assert(Math.abs(simulator.song.tracks[1].volume - 0.85) < 1e-6, 'OSC sends floats as float32');
+
+      const remaining = JSON.parse((await call('list_recent_actions', { include_reverted: false })).text);
+      assert.deepStrictEqual(remaining.actions.map(a => a.tool), ['create_scene']);
+      const saved = JSON.parse(await readFile(listed.journal_file, 'utf8'));
+      assert.strictEqual(saved.actions.length, 6);
+      assert.strictEqual(saved.actions.filter(a => a.reverted_at).length, 5, 'the journal on disk follows reverts');
+
+      // A getter Live doesn't have is given up on after the first failed before-read
+      const dispatch = simulator.dispatch.bind(simulator);
+      simulator.dispatch = (address, ...rest) => {
+        if (address.endsWith('/root_note')) throw new Error(`Unknown OSC address: ${address}`);
+        return dispatch(address, ...rest);
+      };
+      const before = simulator.received.length;
+      await call('set_song_key', { key: 'E minor' });
+      const started = Date.now();
+      await call('set_song_key', { key: 'G major' });
+      assert(Date.now() - started < 1000, 'the second call doesn\'t wait for the unsupported getter');
+      const reads = simulator.received.slice(before).filter(m => m.address === '/live/song/get/root_note');
+      assert.strictEqual(reads.length, 1);
+      const [latest] = JSON.parse((await call('list_recent_actions', { limit: 1 })).text).actions;
+      assert.deepStrictEqual([latest.tool, latest.not_revertible], ['set_song_key', ['/live/song/set/root_note']]);
+    }, { ABLETON_JOURNAL_DIR: journalDir });
+    console.log('✓ actions are journaled to disk and can be reverted one by one');
+  } finally {
+    await rm(journalDir, { recursive: true, force: true });
+  }
+}
+
+async function testSessionSnapshots() {
+  const snapshotDir = await mkdtemp(join(tmpdir(), 'ableton-snapshots-'));
+  try {
+    await withSimulatorClient({}, async (client, simulator) => {
+      const call = async (name, args = {}) => {
+        const result = await client.callTool({ name, arguments: args });
+        // Writes are fire-and-forget; a ping round trip makes sure they were applied
+        await client.callTool({ name: 'health_check', arguments: {} });
+        return { isError: !!result.isError, text: resultText(result) };
+      };
+      const original = structuredClone(simulator.song);
+      // It writes a file, so it isn't advertised as read-only
+      const { tools } = await client.listTools();
+      assert.strictEqual(tools.find(t => t.name === 'export_session_snapshot').annotations.readOnlyHint, false);
+
+      const exported = JSON.parse((await call('export_session_snapshot', { file: 'sets/demo.json' })).text);
+      assert.deepStrictEqual({ tracks: exported.tracks, scenes: exported.scenes, clips: exported.clips },
+        { tracks: 4, scenes: 4, clips: 7 });
+      const snapshot = JSON.parse(await readFile(join(snapshotDir, 'sets', 'demo.json'), 'utf8'));
+      assert.strictEqual(snapshot.version, 1);
+      assert.strictEqual(snapshot.song.tempo, 120);
+      assert.strictEqual(snapshot.tracks[3].type, 'audio');
+      assert.deepStrictEqual(snapshot.tracks[1].clips[0], {
+        slot_index: 1, type: 'midi', name: 'Bass Verse', color: 16725558, looping: true,
+        end_marker: 4, loop_end: 4, start_marker: 0, loop_start: 0,
+        notes: original.tracks[1].clip_slots[1].notes,
+      });
+
+      await call('set_tempo', { tempo: 97 });
+      await call('set_track_name', { track_id: 1, name: 'Sub' });
+      await call('delete_clip', { track_id: 2, clip_id: 0 });
+      await call('set_clip_loop', { track_index: 0, clip_index: 1, loop_start: 1, loop_end: 3 });
+      await call('remove_clip_notes', { track_index: 1, clip_index: 1 });
+      await call('create_clip', { track_id: 2, clip_id: 3, length: 4 });
+      await call('create_midi_track', { index: -1 });
+
+      const diff = await call('restore_session_snapshot', { file: 'sets/demo.json' });
+      assert.strictEqual(diff.isError, false, diff.text);
+      const restored = JSON.parse(diff.text);
+      assert.deepStrictEqual(restored.song, ['tempo']);
+      assert.deepStrictEqual(restored.clips, { created: 1, deleted: 1, changed: 2 });
+      assert.strictEqual(simulator.song.tracks.length, 5, 'diff keeps tracks the snapshot lacks');
+      simulator.song.tracks.pop();
+      assert.deepStrictEqual(simulator.song, original);
+
+      const rebuilt = await call('restore_session_snapshot', {
+        snapshot: { ...snapshot, tracks: snapshot.tracks.slice(0, 2), scenes: snapshot.scenes.slice(0, 2) },
+        mode: 'rebuild',
+      });
+      assert.strictEqual(rebuilt.isError, false, rebuilt.text);
+      assert.deepStrictEqual(simulator.song.tracks.map(t => t.clip_slots.map(c => c?.name ?? null)),
+        [['Beat Intro', 'Beat Verse'], [null, 'Bass Verse']]);
+      assert.deepStrictEqual(simulator.song.tracks[1].clip_slots[1].notes, original.tracks[1].clip_slots[1].notes);
+
+      const invalid = await call('restore_session_snapshot', { snapshot: { ...snapshot, version: 2 } });
+      assert(invalid.isError && invalid.text.includes('version must be <= 1'), invalid.text);
+      await assert.rejects(
+        client.callTool({ name: 'export_session_snapshot', arguments: { file: '../outside.json' } }),
+        err => err.code === ErrorCode.InvalidParams && err.message.includes('inside')
+      );
+    }, { ABLETON_FILES_DIR: snapshotDir });
+    console.log('✓ session snapshots export to JSON and restore by diff or rebuild');
+  } finally {
+    await rm(snapshotDir, { recursive: true, force: true });
+  }
+}
+
+// A Standard MIDI File from raw track event bytes (delta times included)
+function midiFile(format, division, tracks) {
+  const chunk = (type, bytes) => {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32BE(bytes.length, 4);
+    return Buffer.concat([header, Buffer.from(bytes)]);
+  };
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE(format, 0);
+  header.writeUInt16BE(tracks.length, 2);
+  header.writeUInt16BE(division, 4);
+  return Buffer.concat([chunk('MThd', [...header]), ...tracks.map(bytes => chunk('MTrk', bytes))]);
+}
+
+async function testMidiFiles() {
+  const filesDir = await mkdtemp(join(tmpdir(), 'ableton-midi-'));
+  try {
+    await writeFile(join(filesDir, 'two-channels.mid'), midiFile(0, 96, [[
+      0x00, 0xff, 0x51, 0x03, 0x09, 0x27, 0xc0, // 100 BPM
+      0x00, 0xff, 0x58, 0x04, 0x03, 0x02, 0x18, 0x08, // 3/4
+      0x00, 0x90, 60, 100,
+      0x30, 64, 90, // running status, half a beat later
+      0x30, 60, 0, // note-on with velocity 0 ends the note
+      0x00, 0x99, 36, 127,
+      0x60, 0x89, 36, 0,
+      0x00, 0x80, 64, 0,
+      0x00, 0xff, 0x2f, 0x00,
+    ]]));
+    // SMPTE timing: 25 fps x 40 ticks = 1000 ticks per second, 0.5 s per beat at 120 BPM
+    await writeFile(join(filesDir, 'smpte.mid'), midiFile(1, 0xe728, [
+      [0x00, 0xff, 0x2f, 0x00],
+      [0x00, 0xff, 0x03, 0x04, ...Buffer.from('Lead'), 0x83, 0x74, 0x90, 72, 80, 0x81, 0x7a, 0x80, 72, 0, 0x00, 0xff, 0x2f, 0x00],
+    ]));
+    // Running status doesn't carry over a meta or sysex event
+    await writeFile(join(filesDir, 'after-meta.mid'), midiFile(0, 96, [[
+      0x00, 0x90, 60, 100, 0x00, 0xff, 0x01, 0x02, ...Buffer.from('hi'), 0x30, 60, 0, 0x00, 0xff, 0x2f, 0x00,
+    ]]));
+    await writeFile(join(filesDir, 'after-sysex.mid'), midiFile(0, 96, [[
+      0x00, 0x90, 60, 100, 0x00, 0xf0, 0x02, 0x7e, 0xf7, 0x30, 60, 0, 0x00, 0xff, 0x2f, 0x00,
+    ]]));
+
+    await withSimulatorClient({}, async (client, simulator) => {
+      const call = async (name, args = {}) => {
+        const result = await client.callTool({ name, arguments: args });
+        // Writes are fire-and-forget; a ping round trip makes sure they were applied
+        await client.callTool({ name: 'health_check', arguments: {} });
+        return { isError: !!result.isError, text: resultText(result) };
+      };
+      const slot = (t, c) => simulator.song.tracks[t].clip_slots[c];
+
+      const { tools } = await client.listTools();
+      assert.strictEqual(tools.find(t => t.name === 'export_clip_to_midi').annotations.readOnlyHint, false);
+      const exported = await call('export_clip_to_midi', { track: 'Bass', clip: 'Bass Verse', file: 'out/bass.mid', ppq: 96 });
+      assert.strictEqual(exported.isError, false, exported.text);
+      const data = await readFile(join(filesDir, 'out', 'bass.mid'));
+      assert.strictEqual(data.toString('latin1', 0, 4), 'MThd');
+      assert.deepStrictEqual([data.readUInt16BE(8), data.readUInt16BE(10), data.readUInt16BE(12)], [1, 2, 96]);
+      // Names that merely start with two dots stay inside the files directory
+      const dotted = await call('export_clip_to_midi', { track: 'Bass', clip: 'Bass Verse', file: '..bass.mid' });
+      assert.strictEqual(dotted.isError, false, dotted.text);
+      assert.strictEqual((await readFile(join(filesDir, '..bass.mid'))).toString('latin1', 0, 4), 'MThd');
+      await assert.rejects(
+        client.callTool({ name: 'export_clip_to_midi', arguments: { track: 'Bass', clip: 'Bass Verse', file: '../bass.mid' } }),
+        err => err.code === ErrorCode.InvalidParams && err.message.includes('inside')
+      );
+
+      const audio = await call('import_midi_file', { file: 'out/bass.mid', track: 'Vocals', clip_index: 0 });
+      assert(audio.isError && audio.text.includes('audio track'), audio.text);
+      const roundTrip = await call('import_midi_file', { file: 'out/bass.mid', track: 'Keys', clip_index: 1 });
+      assert.strictEqual(roundTrip.isError, false, roundTrip.text);
+      assert.strictEqual(slot(2, 1).name, 'Bass Verse');
+      assert.strictEqual(slot(2, 1).length, 4);
+      assert.deepStrictEqual(slot(2, 1).notes, slot(1, 1).notes);
+
+      const channels = JSON.parse((await call('import_midi_file', {
+        file: 'two-channels.mid', track_index: 0, clip_index: 3, set_tempo: true,
+      })).text);
+      assert.strictEqual(channels.tempo, 100);
+      assert.deepStrictEqual(channels.imported.map(i => [i.name, i.track_index, i.notes, i.length]),
+        [['Channel 1', 0, 2, 3], ['Channel 10', 1, 1, 3]], 'each channel fills one bar of 3/4');
+      assert.strictEqual(simulator.song.tempo, 100);
+      assert.deepStrictEqual(slot(0, 3).notes.map(n => [n.pitch, n.start_time, n.duration, n.velocity]),
+        [[60, 0, 1, 100], [64, 0.5, 1.5, 90]]);
+      assert.deepStrictEqual(slot(1, 3).notes.map(n => [n.pitch, n.start_time, n.duration, n.velocity]),
+        [[36, 1, 1, 127]]);
+
+      const smpte = await call('import_midi_file', { file: 'smpte.mid', track: 'Drums', clip: 'Beat Intro' });
+      assert.strictEqual(smpte.isError, false, smpte.text);
+      assert.strictEqual(slot(0, 0).name, 'Lead');
+      assert.deepStrictEqual(slot(0, 0).notes.map(n => [n.pitch, n.start_time, n.duration]), [[72, 1, 0.5]],
+        'an existing clip has its notes replaced');
+
+      for (const file of ['after-meta.mid', 'after-sysex.mid']) {
+        const stale = await call('import_midi_file', { file, track_index: 0, clip_index: 2 });
+        assert(stale.isError && stale.text.includes('data byte without a status'), stale.text);
+      }
+
+      const missing = await call('import_midi_file', { file: 'two-channels.mid', track_index: 3, clip_index: 0 });
+      assert(missing.isError && missing.text.includes('create MIDI tracks first'), missing.text);
+      const badSource = await call('import_midi_file', { file: 'smpte.mid', track_index: 0, clip_index: 0, sources: [1] });
+      assert(badSource.isError && badSource.text.includes('0: Lead'), badSource.text);
+    }, { ABLETON_FILES_DIR: filesDir });
+    console.log('✓ MIDI files import into clips and clips export to MIDI files');
+  } finally {
+    await rm(filesDir, { recursive: true, force: true });
+  }
+}
+
+async function testPatternGenerators() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      // Writes are fire-and-forget; a ping round trip makes sure they were applied
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+    const notes = (t, c) => simulator.song.tracks[t].clip_slots[c].notes
+      .map(n => [n.pitch, n.start_time, n.duration, n.velocity]);
+
+    const chords = await call('write_chord_progression', {
+      track: 'Keys', clip: 'Pad Intro', progression: 'I V vi IV', beats_per_chord: 2, rhythm: 'x-x.',
+    });
+    assert.strictEqual(chords.isError, false, chords.text);
+    assert.deepStrictEqual(JSON.parse(chords.text).chords.map(c => c.pitches),
+      [[60, 64, 67], [67, 71, 74], [69, 72, 76], [65, 69, 72]]);
+    assert.deepStrictEqual(notes(2, 0).slice(0, 6), [
+      [60, 0, 1, 100], [64, 0, 1, 100], [67, 0, 1, 100], [60, 1, 0.5, 100], [64, 1, 0.5, 100], [67, 1, 0.5, 100],
+    ]);
+    assert.strictEqual(notes(2, 0).length, 24, 'the old notes are replaced');
+
+    const minor = JSON.parse((await call('write_chord_progression', {
+      track: 'Keys', clip: 'Pad Intro', progression: 'i bVII bVI V7', key: 'A minor', beats_per_chord: 2, voicing: 'smooth',
+    })).text);
+    assert.deepStrictEqual(minor.chords.map(c => new Set(c.pitches.map(p => p % 12))),
+      [new Set([9, 0, 4]), new Set([7, 11, 2]), new Set([5, 9, 0]), new Set([4, 8, 11, 2])]);
+    assert(minor.chords.every(c => Math.max(...c.pitches) - Math.min(...c.pitches) < 12), 'smooth voicings stay close');
+
+    const pentatonic = JSON.parse((await call('write_chord_progression', {
+      track: 'Keys', clip: 'Pad Intro', progression: 'i iv v bVII', key: 'A minor pentatonic', beats_per_chord: 2,
+    })).text);
+    assert.deepStrictEqual(pentatonic.chords.map(c => c.pitches.map(p => p % 12)),
+      [[9, 0, 4], [2, 5, 9], [4, 7, 11], [7, 11, 2]]);
+    const wholeTone = await call('write_chord_progression', { track: 'Keys', clip: 'Pad Intro', progression: 'I II', key: 'C whole tone', beats_per_chord: 2 });
+    assert(wholeTone.isError && wholeTone.text.includes('"I" names degree 1, but C whole tone has 6 notes'), wholeTone.text);
+
+    const tooLong = await call('write_chord_progression', { track: 'Keys', clip: 'Pad Intro', progression: 'I V vi IV' });
+    assert(tooLong.isError && tooLong.text.includes('16 beats long but the clip is 8 beats'), tooLong.text);
+    const tooHigh = await call('write_chord_progression', { track: 'Keys', clip: 'Pad Intro', progression: 'B', octave: 9 });
+    assert(tooHigh.isError && tooHigh.text.includes('outside the MIDI range 0-127'), tooHigh.text);
+    const unknown = await call('write_chord_progression', { track: 'Keys', clip: 'Pad Intro', progression: 'C Hm' });
+    assert(unknown.isError && unknown.text.includes('"Hm"'), unknown.text);
+
+    const drums = await call('write_drum_pattern', {
+      track: 'Drums', clip: 'Beat Intro', patterns: { kick: 'x...', snare: '..X. ....', 42: 'x.x.' },
+    });
+    assert.strictEqual(drums.isError, false, drums.text);
+    const drumNotes = notes(0, 0);
+    assert.deepStrictEqual(drumNotes.filter(n => n[0] === 36).map(n => n[1]), [0, 1, 2, 3], 'short patterns repeat');
+    assert.deepStrictEqual(drumNotes.filter(n => n[0] === 38), [[38, 0.5, 0.25, 120], [38, 2.5, 0.25, 120]]);
+    assert.strictEqual(drumNotes.filter(n => n[0] === 42).length, 8);
+    const badDrum = await call('write_drum_pattern', { track: 'Drums', clip: 'Beat Intro', patterns: { cowbel: 'x' } });
+    assert(badDrum.isError && badDrum.text.includes('Unknown drum "cowbel"'), badDrum.text);
+
+    await call('write_bassline', {
+      track: 'Bass', clip: 'Bass Chorus', progression: 'C F G C', beats_per_chord: 2, style: 'root_fifth',
+    });
+    assert.deepStrictEqual(notes(1, 2).map(n => n[0]), [36, 43, 41, 48, 43, 50, 36, 43]);
+    await call('write_bassline', {
+      track: 'Bass', clip: 'Bass Chorus', progression: 'C G', style: 'walking',
+    });
+    assert.deepStrictEqual(notes(1, 2).map(n => n[0]), [36, 40, 43, 42, 43, 47, 50, 37]);
+
+    await call('write_arpeggio', {
+      track: 'Keys', clip: 'Chords Chorus', progression: 'Am', rate: 0.5, gate: 0.5, pattern: 'up_down',
+    });
+    assert.deepStrictEqual(notes(2, 2).map(n => n[0]), [69, 72, 76, 72, 69, 72, 76, 72]);
+    assert(notes(2, 2).every(n => n[2] === 0.25));
+    console.log('✓ chord, arpeggio, drum and bass generators write validated patterns');
+  });
+}
+
+async function testSongKey() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+    const pitches = (t, c) => simulator.song.tracks[t].clip_slots[c].notes.map(n => n.pitch);
+
+    const initial = JSON.parse((await call('get_song_key')).text);
+    assert.strictEqual(initial.key, 'C major');
+    assert.strictEqual(initial.source, 'live');
+
+    const set = JSON.parse((await call('set_song_key', { key: 'D dorian' })).text);
+    assert.deepStrictEqual(set.scale_notes, ['D', 'E', 'F', 'G', 'A', 'B', 'C']);
+    assert.strictEqual(simulator.song.root_note, 2);
+    assert.strictEqual(simulator.song.scale_name, 'Dorian');
+    assert.strictEqual(JSON.parse((await call('get_song_key')).text).key, 'D dorian');
+    const badKey = await call('set_song_key', { key: 'D lydian flat' });
+    assert(badKey.isError && badKey.text.includes('Unknown scale'), badKey.text);
+
+    await call('create_midi_note', { track: 'Keys', clip: 'Pad Intro', pitch: 61, start_time: 4, duration: 1, snap_to_scale: true });
+    await call('create_midi_note', { track: 'Keys', clip: 'Pad Intro', pitch: 66, start_time: 5, duration: 1 });
+    assert.deepStrictEqual(pitches(2, 0).slice(-2), [60, 66], 'C# snaps down to C, unsnapped notes stay');
+
+    await call('replace_clip_notes', {
+      track: 'Keys', clip: 'Chords Chorus', snap_to_scale: true,
+      notes: [{ pitch: 62, start_time: 0, duration: 1 }, { pitch: 63, start_time: 1, duration: 1 }, { pitch: 68, start_time: 2, duration: 1 }],
+    });
+    assert.deepStrictEqual(pitches(2, 2), [62, 62, 67]);
+    await call('transform_clip_notes', { track: 'Keys', clip: 'Chords Chorus', transpose: 3, snap_to_scale: true });
+    assert.deepStrictEqual(pitches(2, 2), [65, 65, 69]);
+
+    await call('create_clip', { track_id: 2, clip_id: 3, length: 4 });
+    const empty = await call('analyze_clip_key', { track_index: 2, clip_index: 3 });
+    assert(empty.isError && empty.text.includes('has no notes'), empty.text);
+    const line = [[57, 1], [60, 0.5], [64, 0.5], [69, 1], [67, 0.25], [65, 0.25], [64, 0.25], [62, 0.25]];
+    let time = 0;
+    await call('replace_clip_notes', {
+      track_index: 2, clip_index: 3,
+      notes: line.map(([pitch, duration]) => ({ pitch, start_time: (time += duration) - duration, duration })),
+    });
+    const analysis = JSON.parse((await call('analyze_clip_key', { track_index: 2, clip_index: 3 })).text);
+    assert.strictEqual(analysis.key, 'A minor');
+    assert.deepStrictEqual(analysis.candidates.map(c => c.key).slice(0, 1), ['A minor']);
+    assert.strictEqual(analysis.candidates.length, 3);
+    assert.strictEqual(analysis.notes_in_scale, 1);
+    console.log('✓ song key is synced with Live, snaps written notes and is estimated from clips');
+  });
+}
+
+async function testArrangement() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+
+    const placed = JSON.parse((await call('duplicate_clip_to_arrangement', { track: 'Drums', clip: 'Beat Chorus', start_time: 4 })).text);
+    assert.deepStrictEqual(placed, { track_index: 0, clip_index: 2, name: 'Beat Chorus', start_time: 4, end_time: 8, length: 4 });
+    await call('duplicate_clip_to_arrangement', { track: 'Drums', clip: 'Beat Verse', start_time: 0 });
+    await call('duplicate_clip_to_arrangement', { track: 'Keys', clip: 'Pad Intro', start_time: 0 });
+    const empty = await call('duplicate_clip_to_arrangement', { track_index: 3, clip_index: 0, start_time: 0 });
+    assert(empty.isError && empty.text.includes('is empty'), empty.text);
+    // An AbletonOSC without the address drops the copy; that is an error, not a success
+    const dispatch = simulator.dispatch.bind(simulator);
+    simulator.dispatch = (address, ...rest) => {
+      if (address === '/live/track/duplicate_clip_to_arrangement') throw new Error(`Unknown OSC address: ${address}`);
+      return dispatch(address, ...rest);
+    };
+    const dropped = await call('duplicate_clip_to_arrangement', { track: 'Bass', clip: 'Bass Verse', start_time: 0 });
+    simulator.dispatch = dispatch;
+    assert(dropped.isError && dropped.text.includes("Live didn't copy 'Bass Verse'"), dropped.text);
+
+    const drums = JSON.parse((await call('get_arrangement_clips', { track: 'Drums' })).text);
+    assert.deepStrictEqual(drums, {
+      track_index: 0, name: 'Drums', clips: [
+        { index: 0, name: 'Beat Verse', start_time: 0, end_time: 4, length: 4 },
+        { index: 1, name: 'Beat Chorus', start_time: 4, end_time: 8, length: 4 },
+      ],
+    });
+    const keys = JSON.parse((await call('get_arrangement_clips', { track_index: 2 })).text);
+    assert.deepStrictEqual(keys.clips.map(c => [c.name, c.end_time]), [['Pad Intro', 8]]);
+
+    await call('set_playhead', { time: 10 });
+    assert.strictEqual(simulator.song.current_song_time, 10);
+    const chorus = JSON.parse((await call('create_cue_point', { time: 16, name: 'Chorus' })).text);
+    assert.deepStrictEqual(chorus, { index: 0, name: 'Chorus', time: 16 });
+    const intro = JSON.parse((await call('create_cue_point', { time: 0, name: 'Intro' })).text);
+    assert.strictEqual(intro.index, 0);
+    assert.strictEqual(simulator.song.current_song_time, 10, 'a stopped playhead is put back');
+    const taken = await call('create_cue_point', { time: 16 });
+    assert(taken.isError && taken.text.includes("already is a cue point at beat 16 (1: 'Chorus')"), taken.text);
+    assert.deepStrictEqual(JSON.parse((await call('list_cue_points')).text).cue_points, [
+      { index: 0, name: 'Intro', time: 0 }, { index: 1, name: 'Chorus', time: 16 },
+    ]);
+
+    await call('jump_to_cue_point', { name: 'chorus' });
+    assert.strictEqual(simulator.song.current_song_time, 16);
+    const both = await call('jump_to_cue_point', { index: 0, name: 'Intro' });
+    assert(both.isError && both.text.includes('exactly one of index or name'), both.text);
+
+    await call('delete_cue_point', { index: 0 });
+    assert.deepStrictEqual(simulator.song.cue_points, [{ name: 'Chorus', time: 16 }]);
+    const missing = await call('delete_cue_point', { name: 'Bridge' });
+    assert(missing.isError && missing.text.includes("No cue point matching 'Bridge'"), missing.text);
+    console.log('✓ session clips are laid out in the arrangement and cue points are managed');
+  });
+}
+
+async function testSongStructure() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+
+    await call('create_cue_point', { time: 16, name: 'Drop' });
+    await call('set_playhead', { time: 2 });
+    const built = await call('build_song_structure', {
+      sections: [{ scene: 'intro', bars: 4 }, { scene_index: 2, bars: 2 }],
+    });
+    assert.strictEqual(built.isError, false, built.text);
+    const timeline = JSON.parse(built.text);
+    assert.deepStrictEqual(timeline.sections.map(s => [s.scene, s.start_bar, s.start_time, s.end_time]),
+      [['Intro', 1, 0, 16], ['Chorus', 5, 16, 24]]);
+    assert.strictEqual(timeline.total_bars, 6);
+    assert.strictEqual(timeline.cue_points_added, 1);
+    assert.strictEqual(timeline.cue_points_kept, 1, 'the existing cue point at beat 16 stays');
+
+    const placed = simulator.song.tracks.map(t => t.arrangement_clips.map(c => [c.name, c.start_time]));
+    assert.deepStrictEqual(placed, [
+      [['Beat Intro', 0], ['Beat Intro', 4], ['Beat Intro', 8], ['Beat Intro', 12], ['Beat Chorus', 16], ['Beat Chorus', 20]],
+      [['Bass Chorus', 16]],
+      [['Pad Intro', 0], ['Pad Intro', 8], ['Chords Chorus', 16], ['Chords Chorus', 20]],
+      [],
+    ]);
+    assert.deepStrictEqual(simulator.song.cue_points, [{ name: 'Intro', time: 0 }, { name: 'Drop', time: 16 }]);
+    assert.strictEqual(simulator.song.current_song_time, 2);
+
+    const unknown = await call('build_song_structure', { sections: [{ scene: 'Bridge', bars: 4 }] });
+    assert(unknown.isError && unknown.text.includes("No scene matching 'Bridge'"), unknown.text);
+  });
+
+  await withSimulatorClient({}, async (client, simulator) => {
+    const fired = () => simulator.received
+      .filter(m => m.address === '/live/scene/fire' || m.address === '/live/song/stop_all_clips')
+      .map(m => m.args[0] ?? 'stop');
+    const waitFor = async (expected) => {
+      const deadline = Date.now() + 3000;
+      while (JSON.stringify(fired()) !== JSON.stringify(expected)) {
+        assert(Date.now() < deadline, `expected launches ${JSON.stringify(expected)}, got ${JSON.stringify(fired())}`);
+        await new Promise(r => setTimeout(r, 20));
+      }
+    };
+
+    const uneven = await client.callTool({
+      name: 'build_song_structure', arguments: { mode: 'schedule', sections: [{ scene: 'Intro', bars: 1.5 }] },
+    });
+    assert(uneven.isError && resultText(uneven).includes('whole number of launch quantization steps'), resultText(uneven));
+
+    const scheduled = JSON.parse(resultText(await client.callTool({
+      name: 'build_song_structure',
+      arguments: { mode: 'schedule', sections: [{ scene: 'Intro', bars: 2 }, { scene: 'Verse', bars: 1 }, { scene: 'Chorus', bars: 1 }] },
+    })));
+    assert.deepStrictEqual(scheduled.launches.map(l => [l.scene ?? 'stop', l.fire_at, l.starts_at]),
+      [['Verse', 4, 8], ['Chorus', 8, 12], ['stop', 12, 16]]);
+    await waitFor([0]);
+
+    // Live's song position moving on, pushed by the current_song_time listener
+    simulator.edit(song => { song.current_song_time = 3.5; });
+    await new Promise(r => setTimeout(r, 200));
+    simulator.edit(song => { song.current_song_time = 4.25; });
+    await waitFor([0, 1]);
+    simulator.edit(song => { song.is_playing = false; });
+    await new Promise(r => setTimeout(r, 200));
+    simulator.edit(song => { song.current_song_time = 8.5; });
+    await new Promise(r => setTimeout(r, 200));
+    assert.deepStrictEqual(fired(), [0, 1], 'stopping playback cancels the remaining launches');
+    console.log('✓ song structures are placed in the arrangement or launched on schedule');
+  });
+}
+
+async function testClipAutomation() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+    const clip = { track: 'Bass', clip: 'Bass Verse' };
+    const envelopes = () => simulator.song.tracks[1].clip_slots[1].envelopes;
+    const { tools } = await client.listTools();
+    assert.deepStrictEqual(tools.map(t => t.name).filter(name => name.includes('automation')),
+      ['get_clip_automation', 'write_clip_automation', 'write_automation_shape', 'clear_clip_automation']);
+
+    const none = JSON.parse((await call('get_clip_automation', { ...clip, mixer_parameter: 'volume' })).text);
+    assert.strictEqual(none.has_envelope, false);
+    assert.deepStrictEqual(none.breakpoints, []);
+
+    const written = await call('write_clip_automation', {
+      ...clip, mixer_parameter: 'volume',
+      breakpoints: [{ time: 0, value: 0.2 }, { time: 2, value: 0.8, curve: 'hold' }, { time: 4, value: 0.4 }],
+    });
+    assert.strictEqual(written.isError, false, written.text);
+    const read = JSON.parse((await call('get_clip_automation', { ...clip, mixer_parameter: 'volume' })).text);
+    assert.strictEqual(read.has_envelope, true);
+    assert.deepStrictEqual(read.breakpoints, [
+      { time: 0, value: 0.2 }, { time: 2, value: 0.8 }, { time: 3.75, value: 0.8 }, { time: 4, value: 0.4 },
+    ]);
+
+    const sweep = JSON.parse((await call('write_automation_shape', {
+      ...clip, device: 'Auto Filter', parameter_name: 'freq', shape: 'sweep',
+    })).text);
+    assert.strictEqual(sweep.parameter, 'Frequency');
+    assert.strictEqual(sweep.breakpoints_written, 65);
+    const frequency = envelopes()['1/2'];
+    assert.deepStrictEqual([frequency[0], frequency.at(-1)], [{ time: 0, value: 0 }, { time: 4, value: 1 }]);
+    assert(frequency[32].value < 0.2, 'an exponential sweep opens slowly');
+
+    await call('write_automation_shape', {
+      ...clip, mixer_parameter: 'volume', shape: 'pump', from: 0.2, to: 0.8, release: 0.5, curve: 'linear',
+    });
+    // Times and values arrive as float32
+    const round = v => Math.round(v * 1e6) / 1e6;
+    const pump = envelopes()['mixer/volume'].map(p => [round(p.time), round(p.value)]);
+    assert.deepStrictEqual(pump.slice(0, 4), [[0, 0.2], [0.5, 0.8], [0.992188, 0.8], [1, 0.2]]);
+    assert.deepStrictEqual(pump.at(-1), [4, 0.8]);
+
+    const loud = await call('write_clip_automation', { ...clip, mixer_parameter: 'volume', breakpoints: [{ time: 0, value: 1.5 }] });
+    assert(loud.isError && loud.text.includes("outside the range of 'volume' (0 to 1)"), loud.text);
+    const late = await call('write_clip_automation', { ...clip, mixer_parameter: 'panning', breakpoints: [{ time: 6, value: 0 }] });
+    assert(late.isError && late.text.includes('the clip is 4 beats long'), late.text);
+    const both = await call('get_clip_automation', { ...clip, mixer_parameter: 'volume', device_index: 0 });
+    assert(both.isError && both.text.includes('exactly one of mixer_parameter or device_index'), both.text);
+
+    await call('clear_clip_automation', { ...clip, mixer_parameter: 'volume' });
+    assert.deepStrictEqual(Object.keys(envelopes()), ['1/2']);
+    await call('clear_clip_automation', { ...clip, all: true });
+    assert.strictEqual(envelopes(), undefined);
+
+    const dispatch = simulator.dispatch.bind(simulator);
+    simulator.dispatch = (address, ...rest) => (address === '/live/clip/envelope/insert_step' ? undefined : dispatch(address, ...rest));
+    const ignored = await call('write_clip_automation', { ...clip, mixer_parameter: 'volume', breakpoints: [{ time: 0, value: 0.5 }] });
+    assert(ignored.isError && ignored.text.includes("Live didn't apply the automation"), ignored.text);
+    assert(!ignored.text.includes('breakpoints_written'), ignored.text);
+    simulator.dispatch = dispatch;
+  });
+
+  // Stock AbletonOSC: the automation tools aren't listed and fail clearly when called
+  await withSimulatorClient({ envelopes: false }, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+    const clip = { track: 'Bass', clip: 'Bass Verse' };
+    const names = (await client.listTools()).tools.map(t => t.name);
+    assert(!names.some(name => name.includes('automation')), names.join(', '));
+    const unsupported = await call('write_clip_automation', { ...clip, mixer_parameter: 'volume', breakpoints: [{ time: 0, value: 0.5 }] });
+    assert(unsupported.isError && unsupported.text.includes("Clip automation isn't supported by this AbletonOSC"), unsupported.text);
+    assert(!simulator.received.some(m => m.address === '/live/clip/envelope/insert_step'), 'no writes after a failed probe');
+    const cleared = await call('clear_clip_automation', { ...clip, all: true });
+    assert(cleared.isError && cleared.text.includes("isn't supported"), cleared.text);
+    console.log('✓ clip automation envelopes are read, written in shapes and cleared');
+  });
+}
+
+async function testReturnTracksAndMaster() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+
+    const plain = JSON.parse((await call('list_tracks')).text);
+    assert.deepStrictEqual(Object.keys(plain), ['tracks']);
+    const full = JSON.parse((await call('list_tracks', { include_return_tracks: true, include_master: true })).text);
+    assert.strictEqual(full.tracks.length, 4);
+    assert.deepStrictEqual(full.return_tracks.map(t => [t.id, t.name]), [[0, 'A-Reverb'], [1, 'B-Delay']]);
+    assert.deepStrictEqual(full.master, {
+      name: 'Master', volume: 0.85, volume_db: 0, volume_display: '0.0 dB', panning: 0, pan: 'C', crossfader: 0,
+    });
+
+    const send = await call('set_track_send', { track: 'Vocals', return_track: 'reverb', value: 0.3, verify: true });
+    assert.strictEqual(send.isError, false, send.text);
+    assert.deepStrictEqual(JSON.parse(send.text).confirmed, [{ address: '/live/track/get/send', args: [3, 0], value: 0.3 }]);
+    assert.deepStrictEqual(JSON.parse((await call('get_track_sends', { track: 'Vocals' })).text).sends, [
+      { send_index: 0, return_track: 'A-Reverb', value: 0.3 },
+      { send_index: 1, return_track: 'B-Delay', value: 0 },
+    ]);
+    const missing = await call('set_track_send', { track_index: 0, send_index: 5, value: 0.5 });
+    assert(missing.isError && missing.text.includes('Send 5 does not exist'), missing.text);
+
+    assert.deepStrictEqual(JSON.parse((await call('get_track_routing', { track: 'Vocals' })).text), {
+      track_index: 3,
+      input_routing_type: 'Ext. In',
+      input_routing_channel: '1/2',
+      output_routing_type: 'Master',
+      output_routing_channel: 'Track In',
+    });
+
+    await call('set_master_property', { property: 'crossfader', value: -0.5 });
+    await call('set_master_property', { property: 'pan', value: 0.25 });
+    assert.strictEqual(simulator.song.master_track.crossfader, -0.5);
+    const master = JSON.parse((await call('get_master_track')).text);
+    assert.deepStrictEqual([master.panning, master.crossfader], [0.25, -0.5]);
+    const quiet = await call('set_master_property', { property: 'volume', value: -0.2 });
+    assert(quiet.isError && quiet.text.includes('between 0.0 and 1.0'), quiet.text);
+    console.log('✓ return tracks, sends, routing and the master track are available');
+  });
+}
+
+async function testMixerUnits() {
+  await withSimulatorClient({}, async (client, simulator) => {
+    const call = async (name, args = {}) => {
+      const result = await client.callTool({ name, arguments: args });
+      await client.callTool({ name: 'health_check', arguments: {} });
+      return { isError: !!result.isError, text: resultText(result) };
+    };
+    const bass = simulator.song.tracks[1];
+    const volumeOf = track => Math.round(track.volume * 1e6) / 1e6;
+
+    assert.deepStrictEqual(JSON.parse((await call('get_track_volume', { track: 'Bass' })).text),
+      { track_id: 1, volume: 0.85, volume_db: 0, volume_display: '0.0 dB' });
+    const down = JSON.parse((await call('set_track_volume', { track: 'Bass', delta_db: -3 })).text);
+    assert.deepStrictEqual([down.volume, down.volume_db, down.volume_display], [0.775, -3, '-3.0 dB']);
+    assert.strictEqual(volumeOf(bass), 0.775);
+    await call('set_track_volume', { track_id: 1, db: 6 });
+    assert.strictEqual(volumeOf(bass), 1);
+    const loud = await call('set_track_volume', { track_id: 1, delta_db: 1 });
+    assert(loud.isError && loud.text.includes('above the fader\'s maximum of +6.0 dB'), loud.text);
+
+    // Below -18 dB the fader is logarithmic, and the conversion round-trips
+    await call('set_track_volume', { track_id: 1, db: -40 });
+    assert(volumeOf(bass) > 0 && volumeOf(bass) < 0.2, `-40 dB is low on the fader (${bass.volume})`);
+    assert.strictEqual(JSON.parse((await call('get_track_volume', { track_id: 1 })).text).volume_db, -40);
+    await call('set_track_volume', { track_id: 1, volume: 0 });
+    assert.deepStrictEqual(JSON.parse((await call('get_track_volume', { track_id: 1 })).text),
+      { track_id: 1, volume: 0, volume_db: null, volume_display: '-inf dB' });
+    const silent = await call('set_track_volume', { track_id: 1, delta_db: 3 });
+    assert(silent.isError && silent.text.includes('is at -inf dB'), silent.text);
+    const both = await call('set_track_volume', { track_id: 1, volume: 0.5, db: -6 });
+    assert(both.isError && both.text.includes('exactly one of volume, db or delta_db'), both.text);
+
+    assert.deepStrictEqual(JSON.parse((await call('set_track_panning', { track: 'Keys', pan: '25l' })).text),
+      { track_id: 2, panning: -0.25, pan: '25L' });
+    assert.strictEqual(simulator.song.tracks[2].panning, -0.25);
+    assert.deepStrictEqual(JSON.parse((await call('get_track_panning', { track_id: 2 })).text),
+      { track_id: 2, panning: -0.25, pan: '25L' });
+    const badPan = await call('set_track_panning', { track_id: 2, pan: 'left-ish' });
+    assert(badPan.isError && badPan.text.includes('as a pan position'), badPan.text);
+
+    await call('set_track_property', { track_index: 0, property: 'volume', value: '-6 dB' });
+    assert.strictEqual(volumeOf(simulator.song.tracks[0]), 0.7);
+    await call('set_track_property', { track_index: 0, property: 'pan', value: '40R' });
+    assert.strictEqual(Math.round(simulator.song.tracks[0].panning * 1e6) / 1e6, 0.4);
+    const tooLoud = await call('set_track_property', { track_index: 0, property: 'volume', value: 1.5 });
+    assert(tooLoud.isError && tooLoud.text.includes('between 0.0 and 1.0'), tooLoud.text);
+    await call('set_master_property', { property: 'volume', value: '-inf dB' });
+    assert.strictEqual(simulator.song.master_track.volume, 0);
+
+    const faster = JSON.parse((await call('adjust_tempo', { tempo_delta: 4 })).text);
+    assert.deepStrictEqual(faster, { previous_tempo: 120, tempo: 124 });
+    const nudged = JSON.parse((await call('adjust_tempo', { nudge: -50 })).text);
+    assert.deepStrictEqual(nudged, { previous_tempo: 124, tempo: 62 });
+    assert.strictEqual(simulator.song.tempo, 62);
+    const tooSlow = await call('adjust_tempo', { tempo_delta: -50 });
+    assert(tooSlow.isError && tooSlow.text.includes('20-999 BPM'), tooSlow.text);
+    console.log('✓ mixer levels work in dB and L/R pan, and tempo changes relative to the current BPM');
+  });
+}
+
 async function main() {
   try {
     await testListTools();
+    await testCodeDefinedToolsAreListed();
+    await testMergedToolsMatchAbletonOsc();
     await testHealthCheck();
     await testGetTempoDoesNotDisconnect();
+    await testSongInfoFromSimulator();
+    await testJsonToolsAwaitReplies();
+    await testSettersUpdateSimulatorState();
+    await testConcurrentGettersKeepTheirReplies();
+    await testInvalidArgumentsAreRejected();
+    await testSnapshotsUseBulkQueries();
+    await testSnapshotsFallBackWithoutBulkQueries();
+    await testClipNoteEditing();
+    await testDeviceControl();
+    await testSessionResources();
+    await testLiveChangeNotifications();
+    await testSessionCache();
+    await testConfirmedWrites();
+    await testHttpTransport();
+    await testLivenessMonitoring();
+    await testNameReferences();
+    await testExecuteBatch();
+    await testActionJournal();
+    await testSessionSnapshots();
+    await testMidiFiles();
+    await testPatternGenerators();
+    await testSongKey();
+    await testArrangement();
+    await testSongStructure();
+    await testClipAutomation();
+    await testReturnTracksAndMaster();
+    await testMixerUnits();
     console.log('\nAll tests passed');
   } catch (e) {
     console.error('TEST FAILURE:', e?.stack || e);
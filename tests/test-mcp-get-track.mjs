@@ -1,21 +1,42 @@
 #!/usr/bin/env node
 // Test the MCP server by calling tools through the MCP protocol
 // This verifies that the initialization race condition is fixed
+//
+// By default the server is pointed at the AbletonOSC simulator over real UDP
+// (on ports that don't clash with Live). Set USE_LIVE=1 to test against Ableton.
 
-import { spawn } from 'child_process';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { AbletonSimulator } from '../ableton-simulator.mjs';
+
+const USE_LIVE = process.env.USE_LIVE === '1';
+const SIM_PORT = Number(process.env.SIMULATOR_OSC_PORT) || 11100;
+const SIM_RESPONSE_PORT = Number(process.env.SIMULATOR_OSC_RESPONSE_PORT) || 11101;
 
 console.log("\n=== MCP Server Integration Test ===\n");
 
 async function testMCPServer() {
     console.log("Starting MCP server...\n");
 
+    let simulator = null;
+    let env = process.env;
+    if (!USE_LIVE) {
+        simulator = new AbletonSimulator({ replyPort: SIM_RESPONSE_PORT });
+        await simulator.start({ host: '127.0.0.1', port: SIM_PORT });
+        env = {
+            ...process.env,
+            ABLETON_OSC_PORT: String(SIM_PORT),
+            ABLETON_OSC_RESPONSE_PORT: String(SIM_RESPONSE_PORT),
+        };
+        console.log(`Using AbletonOSC simulator on port ${SIM_PORT} (responses to ${SIM_RESPONSE_PORT})\n`);
+    }
+
     try {
         // Create MCP client with transport that spawns the server
         const transport = new StdioClientTransport({
-            command: 'node',
-            args: ['./mcp-server.mjs']
+            command: process.execPath,
+            args: ['./mcp-server.mjs'],
+            env
         });
 
         const client = new Client({
@@ -62,6 +83,15 @@ async function testMCPServer() {
             console.log("   (This is expected if Ableton is not running)\n");
         }
 
+        // Test 3b: Track getter answered with echoed index
+        console.log("--- Test 3b: Call get_track_name ---");
+        const trackName = await client.callTool({
+            name: 'get_track_name',
+            arguments: { track_id: 0 }
+        });
+        console.log(`✅ get_track_name response:`, trackName.content[0].text);
+        console.log();
+
         // Test 4: Multiple concurrent calls
         console.log("--- Test 4: Multiple concurrent tool calls ---");
         try {
@@ -95,6 +125,7 @@ async function testMCPServer() {
 
         // Cleanup
         await client.close();
+        await simulator?.stop();
         process.exit(0);
 
     } catch (error) {
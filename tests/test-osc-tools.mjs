@@ -53,7 +53,7 @@ async function testOSCTools() {
         console.log('   ✓ Track tools work!');
 
         console.log('\n✅ All OSC tools can be called successfully!');
-        console.log('   (Note: Actual OSC communication requires Ableton Live running)');
+        console.log('   (Note: MCP_TEST_MODE runs these against the AbletonOSC simulator)');
 
     } finally {
         await client.close();